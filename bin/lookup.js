@@ -4,8 +4,11 @@
  * CLI lookup tool for ad-hoc IP checks.
  *
  * Usage:
- *   node bin/lookup.js <ip> [ip...]
- *   trusted-lookup <ip> [ip...]      (after npm link)
+ *   node bin/lookup.js [--explain] <ip> [ip...]
+ *   trusted-lookup [--explain] <ip> [ip...]      (after npm link)
+ *
+ * Options:
+ *   --explain  Show how each provider was evaluated (skipped, matched, nearest ranges)
  *
  * Exit codes:
  *   0 - all IPs are trusted
@@ -18,16 +21,51 @@ const RESET = '\x1b[0m';
 const GREEN = '\x1b[32m';
 const RED = '\x1b[31m';
 const DIM = '\x1b[2m';
+const YELLOW = '\x1b[33m';
+
+const args = process.argv.slice(2);
+const isExplainMode = args.includes('--explain');
+const ips = args.filter((arg) => !arg.startsWith('--'));
+
+/**
+ * Describe one provider report from explain() as a single coloured line.
+ * @param {object} report - A provider report from trustedProviders.explain()
+ * @returns {string} The formatted line (without indentation or newline)
+ */
+const formatProviderReport = (report) => {
+  const name = report.provider.padEnd(22);
+  const state = report.state && report.state !== 'ready' ? ` ${YELLOW}[${report.state}]${RESET}` : '';
+
+  if (report.outcome === 'matched') {
+    return `${GREEN}\u2705 ${name} matched ${report.matchType} ${report.matchedRange}${RESET}${state}`;
+  }
 
-const ips = process.argv.slice(2);
+  if (report.outcome === 'denied') {
+    return `${RED}\u26D4 ${name} denies ${report.matchType} ${report.matchedRange}${RESET}${state}`;
+  }
+
+  if (report.outcome === 'shadowed') {
+    return `${YELLOW}\u2796 ${name} also matches ${report.matchType} ${report.matchedRange}${RESET}${state}`;
+  }
+
+  if (report.outcome === 'skipped') {
+    return `${DIM}   ${name} skipped (${report.skipReason})${RESET}${state}`;
+  }
+
+  const nearest = report.nearest.map((entry) => `${entry.range} (${entry.sharedBits} bits)`).join(', ');
+  return `${DIM}   ${name} no match${nearest ? `, nearest: ${nearest}` : ''}${RESET}${state}`;
+};
 
 if (ips.length === 0) {
   process.stdout.write(
-    '\nUsage: trusted-lookup <ip> [ip...]\n\n' +
+    '\nUsage: trusted-lookup [--explain] <ip> [ip...]\n\n' +
       '  Check whether IP addresses belong to a known trusted provider.\n\n' +
+      'Options:\n' +
+      '  --explain  Show how each provider was evaluated\n\n' +
       'Examples:\n' +
       '  trusted-lookup 66.249.66.87\n' +
-      '  trusted-lookup 66.249.66.87 123.123.123.123\n\n'
+      '  trusted-lookup 66.249.66.87 123.123.123.123\n' +
+      '  trusted-lookup --explain 66.249.66.87\n\n'
   );
   process.exitCode = 1;
 } else {
@@ -49,7 +87,23 @@ if (ips.length === 0) {
     const provider = trustedProviders.getTrustedProvider(ip);
     const padded = ip.padEnd(24);
 
-    if (provider) {
+    if (isExplainMode) {
+      const explanation = trustedProviders.explain(ip);
+
+      if (!explanation.valid) {
+        process.stdout.write(`  ${padded} ${RED}\u274C invalid IP address${RESET}\n\n`);
+      } else {
+        process.stdout.write(`  ${explanation.ip} (${explanation.ipVersion})\n`);
+        for (const report of explanation.providers) {
+          process.stdout.write(`    ${formatProviderReport(report)}\n`);
+        }
+        process.stdout.write(`  ${provider ? `${GREEN}=> ${provider}` : `${RED}=> not trusted`}${RESET}\n\n`);
+      }
+
+      if (!provider) {
+        hasUntrusted = true;
+      }
+    } else if (provider) {
       process.stdout.write(`  ${padded} ${GREEN}\u2705 ${provider}${RESET}\n`);
     } else {
       process.stdout.write(`  ${padded} ${RED}\u274C not trusted${RESET}\n`);
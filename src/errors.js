@@ -10,3 +10,11 @@ export class HttpError extends Error {
     this.url = url;
   }
 }
+
+export class NetworkDisabledError extends Error {
+  constructor(target) {
+    super(`Network access is disabled (offline mode): ${target}`);
+    this.name = 'NetworkDisabledError';
+    this.target = target;
+  }
+}
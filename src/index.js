@@ -3,10 +3,27 @@
  */
 
 import { EventEmitter } from 'node:events';
+import { performance } from 'node:perf_hooks';
 import ipaddr from 'ipaddr.js';
 import { LRUCache } from './lru-cache.js';
 import { TTLCache } from './ttl-cache.js';
-import logger from './utils/logger.js';
+import { SharedMemoryCache } from './shared-memory-cache.js';
+import { PrefixTrie } from './prefix-trie.js';
+import { LastKnownGoodStore } from './last-known-good-store.js';
+import { Metrics } from './metrics.js';
+import logger, { createJsonLogger } from './utils/logger.js';
+import networkMode, { NETWORK_MODE_ONLINE, NETWORK_MODE_OFFLINE } from './utils/network-mode.js';
+import { NetworkDisabledError } from './errors.js';
+import {
+  getSourceLocation,
+  readSource,
+  validateSource,
+  SOURCE_TYPE_URL,
+  SOURCE_TYPE_ASSET,
+  SOURCE_TYPE_FILE,
+  SOURCE_FORMAT_JSON,
+  SOURCE_FORMAT_TEXT,
+} from './utils/source-loader.js';
 import privateProvider from './providers/private.js';
 import googlebotProvider from './providers/googlebot.js';
 import googleWorkspaceProvider from './providers/google-workspace.js';
@@ -34,18 +51,117 @@ import labrikaProvider from './providers/labrika.js';
 const IP_VERSION_V4 = 'ipv4';
 const IP_VERSION_V6 = 'ipv6';
 
+// Address widths in bits, used to size the lookup index tries
+const IP_BIT_LENGTHS = {
+  [IP_VERSION_V4]: 32,
+  [IP_VERSION_V6]: 128,
+};
+
+// Constants for match types
+const MATCH_TYPE_ADDRESS = 'address';
+const MATCH_TYPE_RANGE = 'range';
+
+// Constants for provider modes
+const PROVIDER_MODE_ALLOW = 'allow'; // Matching IPs are trusted (default)
+const PROVIDER_MODE_DENY = 'deny'; // Matching IPs are never trusted, whichever allow providers cover them
+
+// Index entries for exclusion ranges carve matches out of their own provider and are never reported as matches
+const ENTRY_TYPE_EXCLUDE = 'exclude';
+
+// Constants for per-provider outcomes reported by explain()
+const EXPLAIN_OUTCOME_MATCHED = 'matched'; // Matched and won
+const EXPLAIN_OUTCOME_DENIED = 'denied'; // Deny provider that matched and blocked the IP
+const EXPLAIN_OUTCOME_SHADOWED = 'shadowed'; // Matched, but a higher-priority provider won
+const EXPLAIN_OUTCOME_NO_MATCH = 'no-match';
+const EXPLAIN_OUTCOME_SKIPPED = 'skipped';
+
+// Constants for the reasons explain() gives for skipping a provider
+const SKIP_REASON_EMPTY = 'empty'; // No addresses or ranges at all
+const SKIP_REASON_WRONG_FAMILY = 'wrong-family'; // Only has entries for the other IP version
+const SKIP_REASON_INVALID_DATA = 'invalid-data'; // Malformed data, left out of the lookup index
+const SKIP_REASON_DISABLED = 'disabled'; // Turned off with disableProvider()
+const SKIP_REASON_EXCLUDED = 'excluded'; // The IP falls inside one of the provider's exclude entries
+
 // Constants for provider states
 const PROVIDER_STATE_READY = 'ready';
 const PROVIDER_STATE_LOADING = 'loading';
 const PROVIDER_STATE_ERROR = 'error';
 const PROVIDER_STATE_STALE = 'stale';
+const PROVIDER_STATE_DISABLED = 'disabled'; // Reported by getProviderStatus() while a provider is disabled
+const PROVIDER_STATE_REJECTED = 'rejected'; // The last reload was refused by the reload thresholds
+const PROVIDER_STATE_OFFLINE = 'offline'; // The last reload needed the network, but the network mode is offline
+
+// Where a provider's live data came from, reported by getProviderStatus()
+const DATA_SOURCE_PROVIDER = 'provider'; // The data the provider was registered with
+const DATA_SOURCE_RELOAD = 'reload'; // A successful reload
+const DATA_SOURCE_LAST_KNOWN_GOOD = 'last-known-good'; // The on-disk copy of an earlier successful reload
+const DATA_SOURCE_SNAPSHOT = 'snapshot'; // A snapshot from exportSnapshot(), loaded with importSnapshot()
+
+// Why a reload was refused by the reload thresholds, reported with the 'reload:rejected' event
+const REJECT_REASON_TOO_FEW_ENTRIES = 'too-few-entries';
+const REJECT_REASON_SHRINK = 'shrink';
+const REJECT_REASON_GROWTH = 'growth';
+const REJECT_REASON_PREFIX_TOO_BROAD = 'prefix-too-broad';
+
+// Constants for the categories used by the built-in providers (custom providers may use any string)
+const PROVIDER_CATEGORY_CRAWLER = 'crawler'; // Search engine, SEO and social media bots
+const PROVIDER_CATEGORY_PAYMENT = 'payment'; // Payment gateways and their webhook callbacks
+const PROVIDER_CATEGORY_CDN = 'cdn'; // CDNs and reverse proxies in front of a site
+const PROVIDER_CATEGORY_MAIL = 'mail'; // Mail senders
+const PROVIDER_CATEGORY_SERVICE = 'service'; // Other third-party services
+const PROVIDER_CATEGORY_PRIVATE = 'private'; // Private and internal networks
 
 // Input validation limits
 const MAX_PROVIDERS = 100; // Maximum number of providers that can be registered
 const MAX_IPS_PER_PROVIDER = 10000; // Maximum combined IPs and ranges per provider
 const MAX_PARSED_ADDRESSES = 5000; // Maximum parsed CIDR ranges to cache (LRU)
-const MAX_CACHED_RESULTS = 10000; // Maximum IP lookup results to cache (TTL + LRU)
+const MAX_CACHED_RESULTS = 10000; // Default maximum IP lookup results per result cache (TTL + LRU)
 const DEFAULT_RESULT_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour default TTL for IP lookup results
+const MAX_NEAREST_RANGES = 3; // Nearest non-matching entries reported per provider by explain()
+const DEFAULT_STALENESS_THRESHOLD_MS = 24 * 60 * 60 * 1000; // 24 hours default staleness threshold
+
+const SNAPSHOT_FORMAT_VERSION = 1; // Version of the exportSnapshot() document format
+
+// Defaults for startAutoRefresh()
+const DEFAULT_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000; // Time between scheduled reloads of a provider
+const DEFAULT_REFRESH_JITTER = 0.1; // Scheduled delays vary randomly by up to ±10%
+const DEFAULT_RETRY_INITIAL_DELAY_MS = 60 * 1000; // First retry a minute after a failed reload
+const DEFAULT_RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // Retries back off to at most an hour apart
+const DEFAULT_STALENESS_CHECK_INTERVAL_MS = 60 * 60 * 1000; // checkStaleness() runs hourly
+
+// Default sanity checks applied to reloaded provider data. A null value turns a check off
+const DEFAULT_RELOAD_THRESHOLDS = Object.freeze({
+  minEntries: 0, // Fewest addresses and ranges a reload may produce
+  maxShrinkPercent: 50, // Largest drop in entries versus the previous data
+  maxGrowthPercent: null, // Largest rise in entries versus the previous data
+  minIpv4PrefixLength: 8, // Broadest IPv4 range a reload may contain (refuses /0 to /7)
+  minIpv6PrefixLength: 16, // Broadest IPv6 range a reload may contain (refuses /0 to /15)
+});
+
+// Methods every result cache adapter must implement
+const CACHE_ADAPTER_METHODS = ['get', 'set', 'has', 'delete', 'clear'];
+
+// Default TTL and capacity of the getTrustedProvider() result caches. Lookups that matched a provider (positive)
+// and lookups that didn't (negative) are cached apart, so a scan from unknown IPs can't evict the matches
+const DEFAULT_RESULT_CACHE_SETTINGS = Object.freeze({
+  positive: Object.freeze({ ttlMs: DEFAULT_RESULT_CACHE_TTL_MS, maxSize: MAX_CACHED_RESULTS }),
+  negative: Object.freeze({ ttlMs: DEFAULT_RESULT_CACHE_TTL_MS, maxSize: MAX_CACHED_RESULTS }),
+});
+
+// Overall results of getHealth(), from best to worst
+const HEALTH_STATUS_HEALTHY = 'healthy';
+const HEALTH_STATUS_DEGRADED = 'degraded';
+const HEALTH_STATUS_UNHEALTHY = 'unhealthy';
+const HEALTH_STATUSES = [HEALTH_STATUS_HEALTHY, HEALTH_STATUS_DEGRADED, HEALTH_STATUS_UNHEALTHY];
+
+// Default getHealth() rules: any enabled provider that isn't ready degrades the result
+const DEFAULT_HEALTH_RULES = Object.freeze([
+  Object.freeze({
+    name: 'providers-ready',
+    states: Object.freeze([PROVIDER_STATE_READY, PROVIDER_STATE_DISABLED]),
+    status: HEALTH_STATUS_DEGRADED,
+  }),
+]);
 
 const defaultProviders = [
   privateProvider,
@@ -72,57 +188,172 @@ const defaultProviders = [
   // seobilityProvider, // Unreliable
 ];
 
-const parsedAddresses = new LRUCache(MAX_PARSED_ADDRESSES);
-
-/**
- * Result cache for IP lookups with TTL.
- * Caches the result (provider name or null) for each IP address.
- * @type {TTLCache}
- */
-let resultCacheTtlMs = DEFAULT_RESULT_CACHE_TTL_MS;
-let resultCache = new TTLCache(MAX_CACHED_RESULTS, resultCacheTtlMs);
-
-/**
- * Provider metadata tracking.
- * Maps provider name → { state, lastUpdated, lastError }
- * @type {Map<string, { state: string, lastUpdated: number|null, lastError: Error|null }>}
- */
-const providerMetadata = new Map();
-
-/**
- * Event emitter for provider lifecycle events.
- * Consumers can listen to events like 'reload', 'error', and 'stale'.
- * @type {EventEmitter}
- */
-const events = new EventEmitter();
-
 /**
- * Configurable staleness threshold in milliseconds.
- * Providers that haven't been updated within this duration are marked as stale.
- * Default: 24 hours (86400000 ms)
- * @type {number}
+ * Reloads staging into a provider object, per provider object, with the reload sources each one tries
+ * (null for a reload function).
+ * Reload functions write into the provider object itself, and the built-in providers are module singletons
+ * shared by every instance, so this is process-wide: an instance reloading a provider that another instance
+ * is already reloading joins that run instead of writing into the same object alongside it. If the instances
+ * have added different reload sources, the second run waits for the first to finish instead.
+ * @type {WeakMap<Provider, { sources: ReloadSource[]|null, staging: Promise<StagedReload> }>}
  */
-let stalenessThresholdMs = 24 * 60 * 60 * 1000;
+const stagedReloads = new WeakMap();
 
 /**
  * @typedef {Object} Provider
  * @property {string} name - The display name of the provider
  * @property {string[]} [testAddresses] - Sample IP addresses for testing
  * @property {Function|Function[]} [reload] - Function(s) to reload provider data
+ * @property {ReloadSource[]} [reloadSources] - Where to reload the provider's data from, in order of preference.
+ *   Takes the place of reload (see ReloadSource)
+ * @property {Function} [parseSource] - Function(body, source) turning a reload source's data into { ipv4, ipv6 }.
+ *   Required with reloadSources; throw to reject the source's data and move on to the next source
+ * @property {number} [priority=0] - Providers with a higher priority are checked first (see addProvider)
+ * @property {string[]} [categories] - Kinds of traffic the provider represents, e.g. ['payment']
+ * @property {string} [mode='allow'] - 'allow' to trust matching IPs, or 'deny' to block them (see getTrustedProvider)
+ * @property {ReloadThresholds} [reloadThresholds] - Overrides the instance's reload thresholds for this provider
  * @property {Object} ipv4 - IPv4 configuration
  * @property {string[]} ipv4.addresses - Individual IPv4 addresses
  * @property {string[]} ipv4.ranges - IPv4 CIDR ranges
+ * @property {string[]} [ipv4.exclude] - IPv4 addresses or CIDR ranges carved out of ipv4.addresses and ipv4.ranges
  * @property {Object} ipv6 - IPv6 configuration
  * @property {string[]} ipv6.addresses - Individual IPv6 addresses
  * @property {string[]} ipv6.ranges - IPv6 CIDR ranges
+ * @property {string[]} [ipv6.exclude] - IPv6 addresses or CIDR ranges carved out of ipv6.addresses and ipv6.ranges
+ */
+
+/**
+ * @typedef {Object} ReloadSource
+ * One place a provider's data can be reloaded from. Sources are tried in order until one can be read,
+ * passed to the provider's parseSource() and validated, so a live URL can fall back to a bundled asset.
+ * @property {string} type - 'url' (HTTPS endpoint), 'asset' (file in src/assets) or 'file' (local file path)
+ * @property {string} [url] - The URL of a 'url' source
+ * @property {string} [path] - The asset name of an 'asset' source, or the path of a 'file' source
+ * @property {string} [format='json'] - 'json' to pass parseSource() the parsed JSON, 'text' to pass the raw text
+ * @property {string} [checksumKey] - Key in src/assets/checksums.json to verify an 'asset' source against
+ * @property {Function} [verifyStructure] - Checks the JSON of a 'url' source (see fetchJSON)
+ * @property {number} [timeout] - Request timeout of a 'url' source, in ms
+ * @property {number} [retries] - Retries of a 'url' source
+ */
+
+/**
+ * @typedef {Object} ReloadThresholds
+ * Sanity checks applied to a provider's data after a reload, before it goes live. Set a check to null to turn it off.
+ * Entries are the provider's addresses and ranges in both families; exclude entries don't count.
+ * @property {number|null} [minEntries=0] - Fewest entries a reload may produce
+ * @property {number|null} [maxShrinkPercent=50] - Largest drop in entries versus the previous data
+ * @property {number|null} [maxGrowthPercent=null] - Largest rise in entries versus the previous data
+ * @property {number|null} [minIpv4PrefixLength=8] - Shortest IPv4 CIDR prefix allowed in the reloaded ranges
+ * @property {number|null} [minIpv6PrefixLength=16] - Shortest IPv6 CIDR prefix allowed in the reloaded ranges
+ */
+
+/**
+ * @typedef {Object} ResultCacheSettings
+ * TTL and capacity of the two getTrustedProvider() result caches. Settings that aren't given keep their current value.
+ * @property {Object} [positive] - The cache of lookups that matched a provider (also used by getTrustedProviders())
+ * @property {number} [positive.ttlMs=3600000] - How long a match stays cached, in milliseconds
+ * @property {number} [positive.maxSize=10000] - Most matches kept before the least recently used is evicted
+ * @property {Object} [negative] - The cache of lookups that matched no provider, or were blocked by a deny provider
+ * @property {number} [negative.ttlMs=3600000] - How long a negative result stays cached, in milliseconds
+ * @property {number} [negative.maxSize=10000] - Most negative results kept before the least recently used is evicted
+ */
+
+/**
+ * @typedef {Object} CacheStats
+ * Size and access counters of one cache, from TTLCache.getStats() or LRUCache.getStats().
+ * @property {number} size - Entries currently held (TTL caches include expired entries not yet removed)
+ * @property {number} maxSize - Most entries the cache holds
+ * @property {number} hits - Reads that found an entry
+ * @property {number} misses - Reads that found nothing, or an expired entry
+ * @property {number} evictions - Entries dropped to make room for new ones
+ * @property {number} expirations - Entries removed because their TTL ran out
+ */
+
+/**
+ * @typedef {Object} CacheAdapter
+ * Storage for getTrustedProvider() results, keyed by IP address (plus lookup categories) with a provider name or
+ * null as the value. TTLCache is the default; SharedMemoryCache shares results between worker_threads.
+ * @property {function(string): (string|null|undefined)} get - Returns the value, or undefined if missing or expired
+ * @property {function(string, (string|null), number, number=): void} set - Stores a value for a TTL in milliseconds.
+ *   Adapters with a generation are passed the generation read before the lookup, and should refuse the write
+ *   if it has changed since
+ * @property {function(string): boolean} has - Checks for an entry that hasn't expired
+ * @property {function(string): boolean} delete - Removes an entry
+ * @property {function(): void} clear - Removes every entry
+ * @property {function(function(*, string): boolean): number} [deleteWhere] - Removes the entries a predicate
+ *   matches, called with (value, key). Without it, a provider change clears the whole cache
+ * @property {function(): CacheStats} [getStats] - Size and access counters reported by getCacheStats()
+ * @property {number} [generation] - For caches shared between threads: a value that changes whenever entries are
+ *   invalidated, so a result computed before another thread's invalidation isn't written back
+ */
+
+/**
+ * @typedef {Object} HealthRule
+ * A condition getHealth() checks. The rule applies to every registered provider that matches its providers and
+ * categories filters (all providers if neither is set), and each one must meet its states and minEntries checks.
+ * @property {string} [name] - Identifies the rule in getHealth() failures (defaults to its position)
+ * @property {string[]} [providers] - Only these providers; a named provider that isn't registered fails the rule
+ * @property {string[]} [categories] - Only providers in at least one of these categories
+ * @property {string[]} [states] - States the providers must be in, as reported by getProviderStatus()
+ * @property {number} [minEntries] - Fewest addresses and ranges each provider must have
+ * @property {string} status - 'degraded' or 'unhealthy': the overall result if the rule fails
+ */
+
+/**
+ * @typedef {Object} ProviderChange
+ * The difference between a provider's data before and after a successful reload.
+ * Each list holds the addresses and CIDR ranges, as listed by the provider, that appeared or disappeared.
+ * @property {string} provider - The provider name
+ * @property {{ ipv4: string[], ipv6: string[] }} added - Entries in the new data that weren't in the previous data
+ * @property {{ ipv4: string[], ipv6: string[] }} removed - Entries in the previous data that aren't in the new data
+ * @property {number} timestamp - When the new data went live
+ */
+
+/**
+ * @typedef {Object} LookupResult
+ * @property {string|null} provider - The name of the matching provider, or null if a deny provider blocked the IP
+ * @property {string|null} deniedBy - The name of the deny provider that blocked the IP, or null if it is trusted
+ * @property {string} matchType - 'address' for an exact entry in addresses, 'range' for a CIDR in ranges
+ * @property {string} matchedRange - The address or CIDR range that matched, as listed by the provider
+ *   (the deny provider's entry if the IP was blocked)
+ * @property {string} ip - The normalised IP address
+ * @property {string} ipVersion - 'ipv4' or 'ipv6'
+ * @property {Object} status - The current status of the matching (or denying) provider, from getProviderStatus()
+ */
+
+/**
+ * @typedef {Object} StagedReload
+ * The outcome of running a provider's reload tasks, shared by every instance reloading the provider.
+ * @property {Object[]} outcomes - The settled reload tasks, as from Promise.allSettled()
+ * @property {Error|null} validationError - Why the reloaded data was refused, if every task succeeded
+ * @property {{ ipv4: Object, ipv6: Object }|null} data - The reloaded data, or null if a task failed or
+ *   the data was refused. Shared by the instances, so copy it before keeping it
+ */
+
+/**
+ * @typedef {Object} Explanation
+ * @property {string} ip - The normalised IP address (or the input, if it couldn't be parsed)
+ * @property {string|null} ipVersion - 'ipv4', 'ipv6', or null for an invalid IP
+ * @property {boolean} valid - False if the IP couldn't be parsed (no providers are checked)
+ * @property {string|null} provider - The winning provider, identical to getTrustedProvider()
+ * @property {string|null} deniedBy - The deny provider that blocked the IP, if any
+ * @property {Object[]} providers - One report per registered provider, in priority order, with
+ *   provider, order, state, outcome ('matched' | 'denied' | 'shadowed' | 'no-match' | 'skipped'),
+ *   skipReason ('empty' | 'wrong-family' | 'invalid-data' | 'disabled' | 'excluded' | null), matchType,
+ *   matchedRange (the exclude entry that applied, for 'excluded'),
+ *   and nearest (up to 3 non-matching entries as { matchType, range, sharedBits })
  */
 
 /**
  * Validates a provider configuration before adding it.
  * Checks:
  * - Provider count doesn't exceed MAX_PROVIDERS
- * - Total IPs per provider doesn't exceed MAX_IPS_PER_PROVIDER
- * - All CIDR ranges are valid
+ * - The provider's address data is valid (see validateProviderData)
+ * - Priority, if set, is a finite number
+ * - Categories, if set, are an array of non-empty strings
+ * - Mode, if set, is 'allow' or 'deny'
+ * - Reload thresholds, if set, are valid (see validateReloadThresholds)
+ * - Reload sources, if set, are a non-empty array of valid sources, with a parseSource function
  *
  * @param {Provider} provider - The provider to validate
  * @param {number} currentProviderCount - The current number of registered providers
@@ -135,736 +366,3568 @@ function validateProvider(provider, currentProviderCount) {
     throw new Error(`Maximum provider limit reached (${MAX_PROVIDERS}). Cannot add provider: ${provider.name}`);
   }
 
-  // Count total IPs and ranges
-  const ipv4Addresses = provider.ipv4?.addresses?.length || 0;
-  const ipv4Ranges = provider.ipv4?.ranges?.length || 0;
-  const ipv6Addresses = provider.ipv6?.addresses?.length || 0;
-  const ipv6Ranges = provider.ipv6?.ranges?.length || 0;
-  const totalIps = ipv4Addresses + ipv4Ranges + ipv6Addresses + ipv6Ranges;
+  validateProviderData(provider);
 
-  if (totalIps > MAX_IPS_PER_PROVIDER) {
-    throw new Error(
-      `Provider "${provider.name}" exceeds maximum IP limit (${MAX_IPS_PER_PROVIDER}). Total IPs: ${totalIps}`
-    );
+  if (provider.priority !== undefined && !Number.isFinite(provider.priority)) {
+    throw new Error(`Provider "${provider.name}" has an invalid priority: ${provider.priority}`);
   }
 
-  // Validate all CIDR ranges
-  const invalidRanges = [];
+  if (
+    provider.categories !== undefined &&
+    (!Array.isArray(provider.categories) ||
+      provider.categories.some((category) => typeof category !== 'string' || category.length === 0))
+  ) {
+    throw new Error(`Provider "${provider.name}" has invalid categories: ${provider.categories}`);
+  }
 
-  if (provider.ipv4?.ranges) {
-    for (const range of provider.ipv4.ranges) {
-      if (!ipaddr.isValidCIDR(range)) {
-        invalidRanges.push(range);
-      }
+  if (provider.mode !== undefined && provider.mode !== PROVIDER_MODE_ALLOW && provider.mode !== PROVIDER_MODE_DENY) {
+    throw new Error(`Provider "${provider.name}" has an invalid mode: ${provider.mode}`);
+  }
+
+  if (provider.reloadThresholds !== undefined) {
+    try {
+      validateReloadThresholds(provider.reloadThresholds);
+    } catch (error) {
+      throw new Error(`Provider "${provider.name}" has invalid reloadThresholds: ${error.message}`);
     }
   }
 
-  if (provider.ipv6?.ranges) {
-    for (const range of provider.ipv6.ranges) {
-      if (!ipaddr.isValidCIDR(range)) {
-        invalidRanges.push(range);
+  if (provider.reloadSources !== undefined) {
+    if (!Array.isArray(provider.reloadSources) || provider.reloadSources.length === 0) {
+      throw new Error(`Provider "${provider.name}" has invalid reloadSources: must be a non-empty array`);
+    }
+
+    for (const source of provider.reloadSources) {
+      try {
+        validateSource(source);
+      } catch (error) {
+        throw new Error(`Provider "${provider.name}" has invalid reloadSources: ${error.message}`);
       }
     }
+
+    if (typeof provider.parseSource !== 'function') {
+      throw new Error(`Provider "${provider.name}" has reloadSources but no parseSource function`);
+    }
   }
+}
 
-  if (invalidRanges.length > 0) {
-    throw new Error(`Provider "${provider.name}" contains invalid CIDR ranges: ${invalidRanges.join(', ')}`);
+/**
+ * Checks whether a provider can be reloaded, either with a reload function or from its reload sources.
+ *
+ * @param {Provider} provider - The provider to check
+ * @returns {boolean} True if reloadAll() and reloadProvider() can reload it
+ */
+function canReload(provider) {
+  return typeof provider.reload === 'function' || provider.reloadSources !== undefined;
+}
+
+/**
+ * Checks whether two lists of reload sources are the same sources in the same order.
+ *
+ * @param {ReloadSource[]|null} sources - A list of sources, or null for a reload function
+ * @param {ReloadSource[]|null} otherSources - The list to compare it with
+ * @returns {boolean} True if a run with one list loads the same data as a run with the other
+ */
+function isSameSourceList(sources, otherSources) {
+  if (sources === null || otherSources === null) {
+    return sources === otherSources;
   }
+
+  return sources.length === otherSources.length && sources.every((source, index) => source === otherSources[index]);
 }
 
-const self = {
-  providers: [],
+/**
+ * Validates a set of reload thresholds.
+ * Every key must be one of the DEFAULT_RELOAD_THRESHOLDS keys, with a non-negative number or null.
+ *
+ * @param {ReloadThresholds} thresholds - The thresholds to validate
+ * @throws {Error} If validation fails
+ * @returns {void}
+ */
+function validateReloadThresholds(thresholds) {
+  if (typeof thresholds !== 'object' || thresholds === null || Array.isArray(thresholds)) {
+    throw new Error('reload thresholds must be an object');
+  }
 
-  /**
-   * Adds a new provider to the trusted network list.
-   * Providers must have a unique name and will be checked in order during IP lookups.
-   *
-   * @param {Provider} provider - The provider configuration object
-   * @returns {void}
-   *
-   * @example
-   * trustedProviders.addProvider({
-   *   name: 'My CDN',
-   *   ipv4: {
-   *     addresses: ['1.2.3.4'],
-   *     ranges: ['10.0.0.0/8']
-   *   },
-   *   ipv6: {
-   *     addresses: [],
-   *     ranges: ['2001:db8::/32']
-   *   }
-   * });
-   */
-  addProvider: (provider) => {
-    if (provider && provider.name && !self.hasProvider(provider.name)) {
-      // Validate provider before adding
-      validateProvider(provider, self.providers.length);
-
-      logger.debug(`➕ Add provider: ${provider.name}`);
-
-      self.providers.push(provider);
-
-      // Initialize provider metadata
-      providerMetadata.set(provider.name, {
-        state: PROVIDER_STATE_READY,
-        lastUpdated: null,
-        lastError: null,
-      });
+  for (const [key, value] of Object.entries(thresholds)) {
+    if (!Object.hasOwn(DEFAULT_RELOAD_THRESHOLDS, key)) {
+      throw new Error(`unknown reload threshold: ${key}`);
     }
-  },
-
-  /**
-   * Removes a provider from the trusted network list by name.
-   * Clears all caches to prevent stale results from the deleted provider.
-   *
-   * @param {string} providerName - The name of the provider to remove
-   * @returns {void}
-   *
-   * @example
-   * trustedProviders.deleteProvider('My CDN');
-   */
-  deleteProvider: (providerName) => {
-    if (self.hasProvider(providerName)) {
-      const providerIndex = self.providers.findIndex((testProvider) => testProvider.name === providerName);
-      if (providerIndex >= 0) {
-        self.providers.splice(providerIndex, 1);
-        providerMetadata.delete(providerName);
 
-        // Clear caches to prevent stale results
-        parsedAddresses.clear();
-        resultCache.clear();
-      }
+    if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`reload threshold ${key} must be a non-negative number or null`);
     }
-  },
+  }
+}
 
-  /**
-   * Returns an array of all registered providers.
-   *
-   * @returns {Provider[]} Array of provider objects
-   *
-   * @example
-   * const providers = trustedProviders.getAllProviders();
-   * console.log(`Loaded ${providers.length} providers`);
-   */
-  getAllProviders: () => {
-    return [...self.providers];
-  },
+/**
+ * Validates result cache settings.
+ * Only the 'positive' and 'negative' caches can be set, each with a positive integer ttlMs and maxSize.
+ *
+ * @param {ResultCacheSettings} settings - The settings to validate
+ * @throws {Error} If validation fails
+ * @returns {void}
+ */
+function validateResultCacheSettings(settings) {
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (!isObject(settings)) {
+    throw new Error('result cache settings must be an object');
+  }
 
-  /**
-   * Checks if a provider with the given name is already registered.
-   *
-   * @param {string} providerName - The name of the provider to check
-   * @returns {boolean} True if the provider exists, false otherwise
-   *
-   * @example
-   * if (trustedProviders.hasProvider('Cloudflare')) {
-   *   console.log('Cloudflare provider is loaded');
-   * }
-   */
-  hasProvider: (providerName) => {
-    if (!providerName) {
-      return false;
+  for (const [cache, cacheSettings] of Object.entries(settings)) {
+    if (!Object.hasOwn(DEFAULT_RESULT_CACHE_SETTINGS, cache)) {
+      throw new Error(`unknown result cache: ${cache}`);
     }
 
-    return self.providers.some((testProvider) => testProvider.name === providerName);
-  },
-
-  /**
-   * Registers an event listener for provider lifecycle events.
-   *
-   * Supported events:
-   * - 'reload:start': Emitted when a provider begins reloading. Payload: { provider: string }
-   * - 'reload:success': Emitted when a provider successfully reloads. Payload: { provider: string, timestamp: number }
-   * - 'error': Emitted when a provider fails to reload. Payload: { provider: string, error: Error, timestamp: number }
-   * - 'stale': Emitted when a provider becomes stale. Payload: { provider: string, lastUpdated: number, staleDuration: number, timestamp: number }
-   *
-   * @param {string} event - The event name to listen for
-   * @param {Function} listener - The callback function to invoke when the event is emitted
-   * @returns {EventEmitter} The event emitter (for chaining)
-   *
-   * @example
-   * trustedProviders.on('reload:success', ({ provider, timestamp }) => {
-   *   console.log(`Provider ${provider} reloaded successfully at ${new Date(timestamp)}`);
-   * });
-   *
-   * trustedProviders.on('error', ({ provider, error }) => {
-   *   console.error(`Provider ${provider} failed to reload: ${error.message}`);
-   * });
-   *
-   * trustedProviders.on('stale', ({ provider, staleDuration }) => {
-   *   console.warn(`Provider ${provider} is stale (${Math.floor(staleDuration / 3600000)}h old)`);
-   * });
-   */
-  on: (event, listener) => {
-    return events.on(event, listener);
-  },
+    if (!isObject(cacheSettings)) {
+      throw new Error(`result cache ${cache} settings must be an object`);
+    }
 
-  /**
-   * Registers a one-time event listener for provider lifecycle events.
-   * The listener will be invoked once and then automatically removed.
-   *
-   * @param {string} event - The event name to listen for
-   * @param {Function} listener - The callback function to invoke when the event is emitted
-   * @returns {EventEmitter} The event emitter (for chaining)
-   *
-   * @example
-   * trustedProviders.once('reload:success', ({ provider }) => {
-   *   console.log(`First reload complete: ${provider}`);
-   * });
-   */
-  once: (event, listener) => {
-    return events.once(event, listener);
-  },
+    for (const [key, value] of Object.entries(cacheSettings)) {
+      if (!Object.hasOwn(DEFAULT_RESULT_CACHE_SETTINGS[cache], key)) {
+        throw new Error(`unknown result cache setting: ${cache}.${key}`);
+      }
 
-  /**
-   * Removes an event listener.
-   *
-   * @param {string} event - The event name
-   * @param {Function} listener - The callback function to remove
-   * @returns {EventEmitter} The event emitter (for chaining)
-   *
-   * @example
-   * const handleError = ({ provider, error }) => {
-   *   console.error(`Error in ${provider}: ${error.message}`);
-   * };
-   *
-   * trustedProviders.on('error', handleError);
-   * // ... later ...
-   * trustedProviders.off('error', handleError);
-   */
-  off: (event, listener) => {
-    return events.off(event, listener);
-  },
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`result cache setting ${cache}.${key} must be a positive integer`);
+      }
+    }
+  }
+}
 
-  /**
-   * Returns the current status of a provider including its state, last update time, and any errors.
-   *
-   * @param {string} providerName - The name of the provider to check
-   * @returns {{ state: string, lastUpdated: number|null, lastError: Error|null }|null} Provider status object, or null if provider doesn't exist
-   *
-   * @example
-   * const status = trustedProviders.getProviderStatus('Googlebot');
-   * if (status) {
-   *   console.log(`State: ${status.state}`);
-   *   console.log(`Last updated: ${new Date(status.lastUpdated)}`);
-   *   if (status.lastError) {
-   *     console.error(`Error: ${status.lastError.message}`);
-   *   }
-   * }
-   */
-  getProviderStatus: (providerName) => {
-    if (!self.hasProvider(providerName)) {
-      return null;
-    }
-
-    const metadata = providerMetadata.get(providerName);
-    if (!metadata) {
-      return null;
-    }
-
-    // Return a copy to prevent external mutation
-    return {
-      state: metadata.state,
-      lastUpdated: metadata.lastUpdated,
-      lastError: metadata.lastError,
-    };
-  },
+/**
+ * Validates a result cache adapter.
+ *
+ * @param {CacheAdapter} adapter - The adapter to validate
+ * @throws {Error} If a required method is missing
+ * @returns {void}
+ */
+function validateCacheAdapter(adapter) {
+  if (!adapter || CACHE_ADAPTER_METHODS.some((method) => typeof adapter[method] !== 'function')) {
+    throw new Error(`Invalid cache adapter: must have ${CACHE_ADAPTER_METHODS.join(', ')} functions`);
+  }
+}
 
-  /**
-   * Sets the staleness threshold in milliseconds.
-   * Providers that haven't been updated within this duration will be marked as stale.
-   *
-   * @param {number} thresholdMs - The staleness threshold in milliseconds
-   * @returns {void}
-   *
-   * @example
-   * // Set staleness threshold to 12 hours
-   * trustedProviders.setStalenessThreshold(12 * 60 * 60 * 1000);
-   */
-  setStalenessThreshold: (thresholdMs) => {
-    if (typeof thresholdMs === 'number' && thresholdMs > 0) {
-      stalenessThresholdMs = thresholdMs;
-    }
-  },
+/**
+ * Validates a list of health rules for getHealth().
+ *
+ * @param {HealthRule[]} rules - The rules to validate
+ * @throws {Error} If validation fails
+ * @returns {void}
+ */
+function validateHealthRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('health rules must be an array');
+  }
 
-  /**
-   * Gets the current staleness threshold in milliseconds.
-   *
-   * @returns {number} The current staleness threshold in milliseconds
-   *
-   * @example
-   * const threshold = trustedProviders.getStalenessThreshold();
-   * console.log(`Providers become stale after ${threshold / (60 * 60 * 1000)} hours`);
-   */
-  getStalenessThreshold: () => {
-    return stalenessThresholdMs;
-  },
+  const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
 
-  /**
-   * Sets the TTL (time-to-live) for IP lookup result caching in milliseconds.
-   * Cached results older than this duration will be re-evaluated.
-   * Changing the TTL recreates the cache (clearing all existing entries).
-   *
-   * @param {number} ttlMs - The cache TTL in milliseconds
-   * @returns {void}
-   *
-   * @example
-   * // Cache IP lookups for 30 minutes
-   * trustedProviders.setResultCacheTTL(30 * 60 * 1000);
-   */
-  setResultCacheTTL: (ttlMs) => {
-    if (typeof ttlMs === 'number' && ttlMs > 0) {
-      resultCacheTtlMs = ttlMs;
-      // Recreate cache with new TTL (clears existing entries)
-      resultCache = new TTLCache(MAX_CACHED_RESULTS, resultCacheTtlMs);
+  rules.forEach((rule, index) => {
+    const label = `health rule ${rule?.name ?? index}`;
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      throw new Error(`${label} must be an object`);
     }
-  },
 
-  /**
-   * Gets the current TTL for IP lookup result caching in milliseconds.
-   *
-   * @returns {number} The current result cache TTL in milliseconds
-   *
-   * @example
-   * const ttl = trustedProviders.getResultCacheTTL();
-   * console.log(`Results are cached for ${ttl / (60 * 1000)} minutes`);
-   */
-  getResultCacheTTL: () => {
-    return resultCacheTtlMs;
-  },
+    if (![HEALTH_STATUS_DEGRADED, HEALTH_STATUS_UNHEALTHY].includes(rule.status)) {
+      throw new Error(`${label} status must be '${HEALTH_STATUS_DEGRADED}' or '${HEALTH_STATUS_UNHEALTHY}'`);
+    }
 
-  /**
-   * Checks all providers for staleness and updates their state if they exceed the staleness threshold.
-   * Emits a 'stale' event for each provider that transitions to the stale state.
-   * Should be called periodically (e.g., hourly) in long-running applications.
-   *
-   * @returns {string[]} Array of provider names that were marked as stale
-   *
-   * @example
-   * // Check for stale providers every hour
-   * setInterval(() => {
-   *   const staleProviders = trustedProviders.checkStaleness();
-   *   if (staleProviders.length > 0) {
-   *     console.log(`Marked ${staleProviders.length} provider(s) as stale:`, staleProviders);
-   *   }
-   * }, 60 * 60 * 1000);
-   */
-  checkStaleness: () => {
-    const now = Date.now();
-    const staleProviders = [];
-
-    for (const [providerName, metadata] of providerMetadata.entries()) {
-      // Skip providers that haven't been updated yet or are already stale
-      if (!metadata.lastUpdated || metadata.state === PROVIDER_STATE_STALE) {
-        continue;
+    for (const key of ['providers', 'categories', 'states']) {
+      if (rule[key] !== undefined && !isStringArray(rule[key])) {
+        throw new Error(`${label} ${key} must be an array of strings`);
       }
+    }
 
-      // Check if the provider exceeds the staleness threshold
-      const timeSinceUpdate = now - metadata.lastUpdated;
-      if (timeSinceUpdate > stalenessThresholdMs) {
-        // Mark as stale
-        metadata.state = PROVIDER_STATE_STALE;
-        staleProviders.push(providerName);
+    if (rule.minEntries !== undefined && !(Number.isFinite(rule.minEntries) && rule.minEntries >= 0)) {
+      throw new Error(`${label} minEntries must be a non-negative number`);
+    }
 
-        // Emit stale event
-        events.emit('stale', {
-          provider: providerName,
-          lastUpdated: metadata.lastUpdated,
-          staleDuration: timeSinceUpdate,
-          timestamp: now,
-        });
+    if (rule.states === undefined && rule.minEntries === undefined) {
+      throw new Error(`${label} must set states or minEntries`);
+    }
+  });
+}
 
-        logger.debug(
-          `⚠️  Provider ${providerName} marked as stale (${Math.floor(timeSinceUpdate / (60 * 60 * 1000))}h since update)`
-        );
+/**
+ * Copies a list of health rules, so callers can't change the rules in use.
+ *
+ * @param {HealthRule[]} rules - The rules to copy
+ * @returns {HealthRule[]} Copies of the rules and their lists
+ */
+function copyHealthRules(rules) {
+  return rules.map((rule) => {
+    const copy = { ...rule };
+    for (const key of ['providers', 'categories', 'states']) {
+      if (rule[key] !== undefined) {
+        copy[key] = [...rule[key]];
       }
     }
+    return copy;
+  });
+}
 
-    return staleProviders;
-  },
+/**
+ * Counts a provider's addresses and ranges across both address families, leaving out exclude entries.
+ *
+ * @param {{ ipv4: Object, ipv6: Object }} data - Provider address data
+ * @returns {number} The number of entries
+ */
+function countProviderEntries(data) {
+  return [IP_VERSION_V4, IP_VERSION_V6].reduce(
+    (count, ipVersion) => count + (data[ipVersion]?.addresses?.length || 0) + (data[ipVersion]?.ranges?.length || 0),
+    0
+  );
+}
 
-  /**
-   * Set the logging level for the library.
-   * Controls which messages are output to the console.
-   *
-   * @param {string} level - One of: 'silent', 'error', 'warn', 'info', 'debug'
-   * @returns {void}
-   * @throws {Error} If level is invalid
-   *
-   * @example
-   * trustedProviders.setLogLevel('info'); // Show errors, warnings, and info
-   * trustedProviders.setLogLevel('silent'); // Suppress all output
-   */
-  setLogLevel: (level) => {
-    logger.setLevel(level);
-  },
+/**
+ * Checks reloaded provider data against the reload thresholds.
+ * The shrink and growth checks are skipped when the previous data had no entries, e.g. on the first load
+ * of a provider that starts out empty. Expects data that has already passed validateProviderData().
+ *
+ * @param {{ ipv4: Object, ipv6: Object }} data - The reloaded data
+ * @param {{ ipv4: Object, ipv6: Object }} previousData - The provider's live data before the reload
+ * @param {ReloadThresholds} thresholds - The thresholds to apply
+ * @returns {{ reason: string, message: string, previousCount: number, count: number }|null} Why the data was
+ *   refused, or null if it passes every check
+ */
+function checkReloadThresholds(data, previousData, thresholds) {
+  const previousCount = countProviderEntries(previousData);
+  const count = countProviderEntries(data);
+  const reject = (reason, message) => ({ reason, message, previousCount, count });
 
-  /**
-   * Get the current logging level.
-   *
-   * @returns {string} Current log level ('silent', 'error', 'warn', 'info', or 'debug')
-   *
-   * @example
-   * const level = trustedProviders.getLogLevel();
-   * console.log(`Current log level: ${level}`); // 'error'
-   */
-  getLogLevel: () => {
-    return logger.getLevel();
-  },
+  if (thresholds.minEntries !== null && count < thresholds.minEntries) {
+    return reject(REJECT_REASON_TOO_FEW_ENTRIES, `${count} entries is below the minimum of ${thresholds.minEntries}`);
+  }
 
-  /**
-   * Loads all built-in providers (Googlebot, Stripe, Cloudflare, etc.).
-   * This is typically called once during application initialization.
-   *
-   * @returns {void}
-   *
-   * @example
-   * const trustedProviders = require('@headwall/trusted-network-providers');
-   * trustedProviders.loadDefaultProviders();
-   * await trustedProviders.reloadAll();
-   */
-  loadDefaultProviders: () => {
-    for (const defaultProvider of defaultProviders) {
-      if (!self.hasProvider(defaultProvider.name)) {
-        self.addProvider(defaultProvider);
-      }
+  if (previousCount > 0) {
+    const changePercent = ((count - previousCount) / previousCount) * 100;
+
+    if (thresholds.maxShrinkPercent !== null && -changePercent > thresholds.maxShrinkPercent) {
+      return reject(
+        REJECT_REASON_SHRINK,
+        `entries dropped from ${previousCount} to ${count}, more than ${thresholds.maxShrinkPercent}%`
+      );
     }
-  },
 
-  /**
-   * Reloads data for all providers that support dynamic updates.
-   * This fetches fresh IP ranges from external sources (APIs, DNS, bundled assets).
-   * Should be called periodically (e.g., daily) to keep provider data current.
-   *
-   * Uses Promise.allSettled() to ensure all providers are attempted, even if some fail.
-   * Failed reloads are logged but don't prevent other providers from updating.
-   *
-   * @returns {Promise<PromiseSettledResult<void>[]>} Promise that resolves with results for all providers
-   *
-   * @example
-   * // Initial load
-   * trustedProviders.loadDefaultProviders();
-   * await trustedProviders.reloadAll();
-   *
-   * // Periodic update (once per day)
-   * setInterval(async () => {
-   *   try {
-   *     const results = await trustedProviders.reloadAll();
-   *     const failed = results.filter(r => r.status === 'rejected');
-   *     if (failed.length > 0) {
-   *       console.error(`Failed to reload ${failed.length} provider(s)`);
-   *     } else {
-   *       console.log('All provider data updated');
-   *     }
-   *   } catch (error) {
-   *     console.error('Failed to reload providers:', error);
-   *   }
-   * }, 24 * 60 * 60 * 1000);
-   */
-  reloadAll: async () => {
-    const reloadRequests = [];
-
-    for (const provider of self.providers) {
-      if (typeof provider.reload === 'function') {
-          logger.debug(`🔃 Reload: ${provider.name}`);
-
-        // Set provider state to LOADING before starting the reload
-        // This allows consumers to detect when a provider is updating
-        const metadata = providerMetadata.get(provider.name);
-        if (metadata) {
-          metadata.state = PROVIDER_STATE_LOADING;
-        }
+    if (thresholds.maxGrowthPercent !== null && changePercent > thresholds.maxGrowthPercent) {
+      return reject(
+        REJECT_REASON_GROWTH,
+        `entries grew from ${previousCount} to ${count}, more than ${thresholds.maxGrowthPercent}%`
+      );
+    }
+  }
 
-        // Emit reload:start event for monitoring/observability
-        events.emit('reload:start', { provider: provider.name });
-
-        const reloadPromises = provider.reload();
-
-        // Some providers return multiple promises (e.g., multiple API endpoints)
-        // Others return a single promise. We handle both cases.
-        if (Array.isArray(reloadPromises)) {
-          // Multiple reload tasks (e.g., fetching from different endpoints)
-          // Each promise is wrapped with state management callbacks
-          for (const promise of reloadPromises) {
-            reloadRequests.push(
-              promise
-                .then(() => {
-                  // Update metadata on success
-                  // All provider reloads must succeed for the state to become READY
-                  const meta = providerMetadata.get(provider.name);
-                  if (meta) {
-                    meta.state = PROVIDER_STATE_READY;
-                    meta.lastUpdated = Date.now();
-                    meta.lastError = null;
-                  }
-                  // Emit reload:success event for monitoring
-                  events.emit('reload:success', { provider: provider.name, timestamp: Date.now() });
-                })
-                .catch((error) => {
-                  // Update metadata on failure
-                  // The provider enters ERROR state, but other providers continue loading
-                  const meta = providerMetadata.get(provider.name);
-                  if (meta) {
-                    meta.state = PROVIDER_STATE_ERROR;
-                    meta.lastError = error;
-                  }
-                  // Emit error event for monitoring
-                  events.emit('error', { provider: provider.name, error, timestamp: Date.now() });
-                  // Re-throw to maintain Promise.allSettled behavior
-                  // This ensures the result array shows which providers failed
-                  throw error;
-                })
-            );
-          }
-        } else {
-          // Single reload task (most common case)
-          reloadRequests.push(
-            reloadPromises
-              .then(() => {
-                // Update metadata on success
-                const meta = providerMetadata.get(provider.name);
-                if (meta) {
-                  meta.state = PROVIDER_STATE_READY;
-                  meta.lastUpdated = Date.now();
-                  meta.lastError = null;
-                }
-                // Emit reload:success event
-                events.emit('reload:success', { provider: provider.name, timestamp: Date.now() });
-              })
-              .catch((error) => {
-                // Update metadata on failure
-                const meta = providerMetadata.get(provider.name);
-                if (meta) {
-                  meta.state = PROVIDER_STATE_ERROR;
-                  meta.lastError = error;
-                }
-                // Emit error event
-                events.emit('error', { provider: provider.name, error, timestamp: Date.now() });
-                throw error; // Re-throw to maintain Promise.allSettled behavior
-              })
-          );
-        }
-      }
+  const minPrefixLengths = {
+    [IP_VERSION_V4]: thresholds.minIpv4PrefixLength,
+    [IP_VERSION_V6]: thresholds.minIpv6PrefixLength,
+  };
+
+  for (const [ipVersion, minPrefixLength] of Object.entries(minPrefixLengths)) {
+    const broadRange =
+      minPrefixLength !== null &&
+      (data[ipVersion]?.ranges ?? []).find((range) => Number(range.split('/')[1]) < minPrefixLength);
+    if (broadRange) {
+      return reject(REJECT_REASON_PREFIX_TOO_BROAD, `${broadRange} is broader than /${minPrefixLength}`);
     }
+  }
 
-    // Use Promise.allSettled (not Promise.all) to ensure all providers are attempted
-    // even if some fail. This is critical for resilience — we want partial success.
-    // If we used Promise.all, a single provider failure would abort the entire reload.
-    const results = await Promise.allSettled(reloadRequests);
+  return null;
+}
 
-    // Clear both caches after all reloads complete (success or failure)
-    // This prevents stale data from being used with updated provider ranges
-    // The result cache (IP lookups) must be invalidated because provider ranges changed
-    // The parsed address cache (CIDR ranges) must be invalidated because ranges may have been added/removed
-    parsedAddresses.clear();
-    resultCache.clear();
+/**
+ * Compares a provider's addresses and ranges before and after a reload, per address family.
+ * Exclude entries aren't compared.
+ *
+ * @param {{ ipv4: Object, ipv6: Object }} previousData - The provider's data before the reload
+ * @param {{ ipv4: Object, ipv6: Object }} data - The provider's data after the reload
+ * @returns {{ added: { ipv4: string[], ipv6: string[] }, removed: { ipv4: string[], ipv6: string[] } }} The entries
+ *   that appeared and disappeared, in the order the provider lists them
+ */
+function diffProviderData(previousData, data) {
+  const diff = { added: {}, removed: {} };
+
+  for (const ipVersion of [IP_VERSION_V4, IP_VERSION_V6]) {
+    const listEntries = (pool) => [...(pool?.addresses ?? []), ...(pool?.ranges ?? [])];
+    const previousEntries = listEntries(previousData[ipVersion]);
+    const entries = listEntries(data[ipVersion]);
+    const previousSet = new Set(previousEntries);
+    const entrySet = new Set(entries);
+
+    diff.added[ipVersion] = entries.filter((entry) => !previousSet.has(entry));
+    diff.removed[ipVersion] = previousEntries.filter((entry) => !entrySet.has(entry));
+  }
 
-    return results;
-  },
+  return diff;
+}
 
-  /**
-   * Identifies which trusted provider (if any) an IP address belongs to.
-   * Returns the provider name on match, or null if the IP is not trusted.
-   *
-   * This function performs a linear search through providers in registration order.
-   * First match wins, so provider order matters if ranges overlap.
-   *
-   * Results are cached with a configurable TTL to improve performance for repeated lookups.
-   * The cache is automatically cleared when providers are reloaded.
-   *
-   * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
-   * @returns {string|null} The name of the trusted provider, or null if not found
-   *
-   * @example
-   * const provider = trustedProviders.getTrustedProvider('66.249.66.1');
-   * if (provider === 'Googlebot') {
-   *   console.log('Request is from Googlebot');
-   * }
-   *
-   * @example
-   * // Express.js middleware example
-   * app.use((req, res, next) => {
-   *   const provider = trustedProviders.getTrustedProvider(req.ip);
-   *   if (provider) {
-   *     req.trustedProvider = provider;
-   *   }
-   *   next();
-   * });
-   */
-  getTrustedProvider: (ipAddress) => {
-    // Check result cache first (hot path for repeated lookups)
-    // This cache has TTL expiry, so stale results are automatically invalidated
-    if (resultCache.has(ipAddress)) {
-      return resultCache.get(ipAddress);
+/**
+ * Validates startAutoRefresh() options and fills in the defaults.
+ *
+ * @param {Object} options - Options as passed to startAutoRefresh()
+ * @throws {Error} If an interval or delay isn't a positive number, or jitter isn't between 0 and 1
+ * @returns {{ defaultInterval: number, perProvider: Object<string, number>, jitter: number,
+ *   retry: { initialDelay: number, maxDelay: number }|null, stalenessCheckInterval: number }} The settings to use
+ */
+function resolveAutoRefreshOptions({
+  defaultInterval = DEFAULT_REFRESH_INTERVAL_MS,
+  perProvider = {},
+  jitter = DEFAULT_REFRESH_JITTER,
+  retryOnError = true,
+  stalenessCheckInterval = DEFAULT_STALENESS_CHECK_INTERVAL_MS,
+}) {
+  const checkDuration = (name, value) => {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${name} must be a positive number of milliseconds`);
     }
+  };
 
-    let trustedSource = null;
+  checkDuration('defaultInterval', defaultInterval);
+  checkDuration('stalenessCheckInterval', stalenessCheckInterval);
 
-    // Parse the IP address string into an ipaddr.js object
-    // This validates the IP format and provides methods for CIDR matching
-    let parsedIp = null;
+  if (typeof perProvider !== 'object' || perProvider === null || Array.isArray(perProvider)) {
+    throw new Error('perProvider must map provider names to intervals');
+  }
+
+  for (const [providerName, interval] of Object.entries(perProvider)) {
+    checkDuration(`perProvider["${providerName}"]`, interval);
+  }
+
+  if (!Number.isFinite(jitter) || jitter < 0 || jitter > 1) {
+    throw new Error('jitter must be a number between 0 and 1');
+  }
+
+  let retry = null;
+  if (retryOnError) {
+    const { initialDelay = DEFAULT_RETRY_INITIAL_DELAY_MS, maxDelay = DEFAULT_RETRY_MAX_DELAY_MS } =
+      retryOnError === true ? {} : retryOnError;
+    checkDuration('retryOnError.initialDelay', initialDelay);
+    checkDuration('retryOnError.maxDelay', maxDelay);
+    retry = { initialDelay, maxDelay };
+  }
+
+  return { defaultInterval, perProvider: { ...perProvider }, jitter, retry, stalenessCheckInterval };
+}
+
+/**
+ * Checks the shape of a snapshot document from exportSnapshot() and the metadata of each provider in it.
+ * The providers' definitions and data are validated separately, with validateProvider().
+ *
+ * @param {Object} snapshot - The parsed snapshot document
+ * @throws {Error} If the document isn't a snapshot this version can import
+ * @returns {void}
+ */
+function validateSnapshot(snapshot) {
+  if (snapshot?.version !== SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+  }
+
+  if (!Array.isArray(snapshot.providers)) {
+    throw new Error('Snapshot has no providers array');
+  }
+
+  const names = new Set();
+  for (const entry of snapshot.providers) {
+    if (typeof entry?.name !== 'string' || entry.name.length === 0) {
+      throw new Error('Snapshot contains a provider without a name');
+    }
+
+    if (names.has(entry.name)) {
+      throw new Error(`Snapshot contains provider "${entry.name}" more than once`);
+    }
+    names.add(entry.name);
+
+    const { lastUpdated = null, lastError = null, reloadSource = null } = entry.metadata ?? {};
+    if (lastUpdated !== null && !Number.isFinite(lastUpdated)) {
+      throw new Error(`Snapshot provider "${entry.name}" has an invalid lastUpdated: ${lastUpdated}`);
+    }
+
+    if (lastError !== null && typeof lastError !== 'string') {
+      throw new Error(`Snapshot provider "${entry.name}" has an invalid lastError: ${lastError}`);
+    }
+
+    if (reloadSource !== null && typeof reloadSource?.location !== 'string') {
+      throw new Error(`Snapshot provider "${entry.name}" has an invalid reloadSource`);
+    }
+  }
+}
+
+/**
+ * Copies a provider change record, so listeners and callers can't alter the stored one.
+ *
+ * @param {ProviderChange} change - The change to copy
+ * @returns {ProviderChange} A copy with its own entry lists
+ */
+function copyProviderChange(change) {
+  return {
+    ...change,
+    added: { ipv4: [...change.added.ipv4], ipv6: [...change.added.ipv6] },
+    removed: { ipv4: [...change.removed.ipv4], ipv6: [...change.removed.ipv6] },
+  };
+}
+
+/**
+ * Validates a provider's address data, both when it is added and when a reload has staged new data.
+ * Checks:
+ * - Total IPs per provider doesn't exceed MAX_IPS_PER_PROVIDER
+ * - All CIDR ranges are valid
+ * - All exclude entries are valid addresses or CIDR ranges
+ *
+ * @param {Provider} provider - The provider whose data to validate
+ * @throws {Error} If validation fails
+ * @returns {void}
+ */
+function validateProviderData(provider) {
+  // Count total IPs and ranges
+  const ipv4Addresses = provider.ipv4?.addresses?.length || 0;
+  const ipv4Ranges = provider.ipv4?.ranges?.length || 0;
+  const ipv6Addresses = provider.ipv6?.addresses?.length || 0;
+  const ipv6Ranges = provider.ipv6?.ranges?.length || 0;
+  const ipv4Excludes = provider.ipv4?.exclude?.length || 0;
+  const ipv6Excludes = provider.ipv6?.exclude?.length || 0;
+  const totalIps = ipv4Addresses + ipv4Ranges + ipv6Addresses + ipv6Ranges + ipv4Excludes + ipv6Excludes;
+
+  if (totalIps > MAX_IPS_PER_PROVIDER) {
+    throw new Error(
+      `Provider "${provider.name}" exceeds maximum IP limit (${MAX_IPS_PER_PROVIDER}). Total IPs: ${totalIps}`
+    );
+  }
+
+  // Validate all CIDR ranges
+  const invalidRanges = [];
+
+  if (provider.ipv4?.ranges) {
+    for (const range of provider.ipv4.ranges) {
+      if (!ipaddr.isValidCIDR(range)) {
+        invalidRanges.push(range);
+      }
+    }
+  }
+
+  if (provider.ipv6?.ranges) {
+    for (const range of provider.ipv6.ranges) {
+      if (!ipaddr.isValidCIDR(range)) {
+        invalidRanges.push(range);
+      }
+    }
+  }
+
+  if (invalidRanges.length > 0) {
+    throw new Error(`Provider "${provider.name}" contains invalid CIDR ranges: ${invalidRanges.join(', ')}`);
+  }
+
+  // Validate exclusions, which may be single addresses or CIDR ranges of the pool's own family
+  const invalidExcludes = [];
+
+  for (const ipVersion of [IP_VERSION_V4, IP_VERSION_V6]) {
+    const exclude = provider[ipVersion]?.exclude;
+    if (exclude === undefined) {
+      continue;
+    }
+
+    if (!Array.isArray(exclude)) {
+      throw new Error(`Provider "${provider.name}" has an invalid ${ipVersion}.exclude list: ${exclude}`);
+    }
+
+    for (const entry of exclude) {
+      const isValidEntry = typeof entry === 'string' && (ipaddr.isValid(entry) || ipaddr.isValidCIDR(entry));
+      const entryVersion = isValidEntry ? ipaddr.parse(entry.split('/')[0]).kind() : null;
+      if (entryVersion !== ipVersion) {
+        invalidExcludes.push(entry);
+      }
+    }
+  }
+
+  if (invalidExcludes.length > 0) {
+    throw new Error(`Provider "${provider.name}" contains invalid exclude entries: ${invalidExcludes.join(', ')}`);
+  }
+}
+
+/**
+ * Writes address data into a provider object, unless a reload is staging into the object.
+ * That reload restores or replaces the object's data when it finishes, so writing now would be lost
+ * or, worse, end up in the staged data.
+ *
+ * @param {Provider} provider - The provider object to update
+ * @param {{ ipv4: Object, ipv6: Object }} data - The address data to write
+ * @returns {void}
+ */
+function writeProviderData(provider, data) {
+  if (!stagedReloads.has(provider)) {
+    Object.assign(provider, copyProviderData(data));
+  }
+}
+
+/**
+ * Copies a provider's address pools, so later changes to the provider object don't affect the copy.
+ * Malformed pools are copied as they are and rejected when the lookup index is compiled.
+ *
+ * @param {Provider} provider - The provider whose data to copy
+ * @returns {{ ipv4: Object, ipv6: Object }} Copies of the provider's ipv4 and ipv6 pools
+ */
+function copyProviderData(provider) {
+  const data = {};
+
+  for (const ipVersion of [IP_VERSION_V4, IP_VERSION_V6]) {
+    const pool = provider[ipVersion];
+    if (!pool || typeof pool !== 'object') {
+      data[ipVersion] = pool;
+      continue;
+    }
+
+    data[ipVersion] = { ...pool };
+    for (const [key, value] of Object.entries(pool)) {
+      if (Array.isArray(value)) {
+        data[ipVersion][key] = [...value];
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Returns a provider's priority, defaulting to 0.
+ *
+ * @param {Provider} provider - The provider
+ * @returns {number} The provider's priority
+ */
+function getProviderPriority(provider) {
+  return provider.priority ?? 0;
+}
+
+/**
+ * Returns a provider's mode, defaulting to 'allow'.
+ *
+ * @param {Provider} provider - The provider
+ * @returns {string} 'allow' or 'deny'
+ */
+function getProviderMode(provider) {
+  return provider.mode ?? PROVIDER_MODE_ALLOW;
+}
+
+/**
+ * Validates the categories option of a lookup and returns it in a canonical form.
+ * An empty array is kept as-is: it matches no providers, rather than lifting the restriction.
+ *
+ * @param {string[]|undefined} categories - The categories option passed by the caller
+ * @returns {string[]|null} Sorted, de-duplicated categories, or null if no restriction was given
+ * @throws {Error} If categories is not an array of strings
+ */
+function normaliseCategories(categories) {
+  if (categories === undefined || categories === null) {
+    return null;
+  }
+
+  if (!Array.isArray(categories) || categories.some((category) => typeof category !== 'string')) {
+    throw new Error('categories must be an array of category names');
+  }
+
+  return [...new Set(categories)].sort();
+}
+
+/**
+ * Returns the result cache key for a lookup, so category-scoped results don't collide with unscoped ones.
+ *
+ * @param {string} ipAddress - The IP address being looked up
+ * @param {string[]|null} categories - Normalised categories, or null
+ * @returns {string} The cache key
+ */
+function getResultCacheKey(ipAddress, categories) {
+  return categories ? `${ipAddress}#${categories.join(',')}` : ipAddress;
+}
+
+/**
+ * Collects the lookup index entries for a single provider.
+ * Exact addresses become full-length prefixes (/32 or /128) so they share the trie with CIDR ranges.
+ * Addresses that don't parse, and entries listed under the wrong address family, are skipped.
+ * Exclude entries are indexed too, with the 'exclude' entry type, so lookups can discard the provider's
+ * matches for IPs inside them.
+ *
+ * @param {Provider} provider - The provider to index
+ * @param {number} order - The provider's position in the registry (lower wins)
+ * @param {LRUCache} parsedAddresses - Cache of parsed CIDR ranges
+ * @param {Metrics|null} [metrics] - Counts the parsed range cache hits and misses, if given
+ * @returns {Array<{ ipVersion: string, bytes: number[], prefixLength: number, entry: Object }>} Index entries
+ * @throws {Error} If the provider's address pools are malformed
+ */
+function collectIndexEntries(provider, order, parsedAddresses, metrics = null) {
+  const indexEntries = [];
+  const mode = getProviderMode(provider);
+
+  for (const ipVersion of [IP_VERSION_V4, IP_VERSION_V6]) {
+    const pool = provider[ipVersion];
+    if (!pool) {
+      continue;
+    }
+
+    for (const address of pool.addresses) {
+      if (!ipaddr.isValid(address)) {
+        continue;
+      }
+
+      const parsedAddress = ipaddr.parse(address);
+      if (parsedAddress.kind() === ipVersion) {
+        indexEntries.push({
+          ipVersion,
+          bytes: parsedAddress.toByteArray(),
+          prefixLength: IP_BIT_LENGTHS[ipVersion],
+          entry: { order, provider: provider.name, mode, matchType: MATCH_TYPE_ADDRESS, match: address },
+        });
+      }
+    }
+
+    for (const range of pool.ranges) {
+      // Cache parsed CIDR ranges (LRU) so unchanged ranges aren't re-parsed on every rebuild
+      let parsedRange = parsedAddresses.get(range);
+      metrics?.countCacheAccess('parsedAddresses', parsedRange !== undefined);
+      if (parsedRange === undefined) {
+        parsedRange = ipaddr.parseCIDR(range);
+        parsedAddresses.set(range, parsedRange);
+      }
+
+      const [network, prefixLength] = parsedRange;
+      if (network.kind() === ipVersion) {
+        indexEntries.push({
+          ipVersion,
+          bytes: network.toByteArray(),
+          prefixLength,
+          entry: { order, provider: provider.name, mode, matchType: MATCH_TYPE_RANGE, match: range },
+        });
+      }
+    }
+
+    for (const exclusion of pool.exclude ?? []) {
+      // A single address excludes just itself
+      const cidr = ipaddr.isValid(exclusion) ? `${exclusion}/${IP_BIT_LENGTHS[ipVersion]}` : exclusion;
+      let parsedRange = parsedAddresses.get(cidr);
+      metrics?.countCacheAccess('parsedAddresses', parsedRange !== undefined);
+      if (parsedRange === undefined) {
+        parsedRange = ipaddr.parseCIDR(cidr);
+        parsedAddresses.set(cidr, parsedRange);
+      }
+
+      const [network, prefixLength] = parsedRange;
+      if (network.kind() === ipVersion) {
+        indexEntries.push({
+          ipVersion,
+          bytes: network.toByteArray(),
+          prefixLength,
+          entry: { order, provider: provider.name, mode, matchType: ENTRY_TYPE_EXCLUDE, match: exclusion },
+        });
+      }
+    }
+  }
+
+  return indexEntries;
+}
+
+/**
+ * Compiles the address pools of every provider into per-family prefix tries.
+ * A provider with malformed data is logged and left out of the index; the rest are still indexed.
+ * Disabled providers are left out too, but keep their position so entry orders still match the registry.
+ *
+ * @param {Provider[]} providers - Providers in priority order
+ * @param {LRUCache} parsedAddresses - Cache of parsed CIDR ranges
+ * @param {Set<string>} disabledProviders - Names of providers to leave out of the index
+ * @param {Metrics|null} [metrics] - Counts the parsed range cache hits and misses, if given
+ * @returns {{ ipv4: PrefixTrie, ipv6: PrefixTrie }} The compiled lookup index
+ */
+function buildLookupIndex(providers, parsedAddresses, disabledProviders, metrics = null) {
+  const index = {
+    [IP_VERSION_V4]: new PrefixTrie(IP_BIT_LENGTHS[IP_VERSION_V4]),
+    [IP_VERSION_V6]: new PrefixTrie(IP_BIT_LENGTHS[IP_VERSION_V6]),
+  };
+
+  providers.forEach((provider, order) => {
+    if (disabledProviders.has(provider.name)) {
+      return;
+    }
+
+    let indexEntries = [];
+    try {
+      indexEntries = collectIndexEntries(provider, order, parsedAddresses, metrics);
+    } catch (error) {
+      logger.error(`ERROR: Failed to index provider ${provider.name}`, { provider: provider.name, error });
+    }
+
+    for (const { ipVersion, bytes, prefixLength, entry } of indexEntries) {
+      index[ipVersion].insert(bytes, prefixLength, entry);
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Counts the leading bits two addresses have in common, up to a limit.
+ *
+ * @param {number[]} bytesA - First address as a byte array
+ * @param {number[]} bytesB - Second address as a byte array
+ * @param {number} maxBits - Stop counting after this many bits
+ * @returns {number} Number of leading bits that are equal
+ */
+function countSharedBits(bytesA, bytesB, maxBits) {
+  let sharedBits = 0;
+  while (sharedBits < maxBits) {
+    const byteIndex = sharedBits >> 3;
+    const mask = 0x80 >> (sharedBits & 7);
+    if ((bytesA[byteIndex] & mask) !== (bytesB[byteIndex] & mask)) {
+      break;
+    }
+    ++sharedBits;
+  }
+  return sharedBits;
+}
+
+/**
+ * Picks the winning entry from a set of index matches.
+ * The provider registered first wins. Within one provider, the most specific prefix wins,
+ * and an exact address beats a range of the same length.
+ *
+ * @param {Object[]} matches - Index entries whose prefixes contain the IP
+ * @returns {Object|null} The winning entry, or null if there were no matches
+ */
+function selectBestMatch(matches) {
+  let bestMatch = null;
+
+  for (const candidate of matches) {
+    // Matches arrive shortest prefix first, so within one provider a later entry is more specific
+    // An exact address is never displaced by a range
+    if (
+      !bestMatch ||
+      candidate.order < bestMatch.order ||
+      (candidate.order === bestMatch.order &&
+        (candidate.matchType === MATCH_TYPE_ADDRESS || bestMatch.matchType !== MATCH_TYPE_ADDRESS))
+    ) {
+      bestMatch = candidate;
+    }
+  }
+
+  return bestMatch;
+}
+
+/**
+ * Splits index matches into the winning deny match and the winning trusted match.
+ * A deny match overrides the trusted match, whatever the order of the two providers.
+ *
+ * @param {Object[]} matches - Index entries whose prefixes contain the IP
+ * @returns {{ denyMatch: Object|null, trustedMatch: Object|null }} The winning entry of each mode
+ */
+function resolveMatches(matches) {
+  return {
+    denyMatch: selectBestMatch(matches.filter((match) => match.mode === PROVIDER_MODE_DENY)),
+    trustedMatch: selectBestMatch(matches.filter((match) => match.mode !== PROVIDER_MODE_DENY)),
+  };
+}
+
+/**
+ * Creates an isolated trusted network instance.
+ * Each instance has its own provider registry, provider metadata, caches, lookup index,
+ * event emitter and staleness threshold, so several provider sets can coexist in one process.
+ *
+ * Provider objects are not copied: the built-in providers are module singletons, so instances
+ * that load them share the same provider objects. Each instance keeps its own live copy of every
+ * provider's address data, though, and only updates it when that instance reloads the provider.
+ * Instances reloading a shared provider at the same time share one run of its reload function, and
+ * each checks the result against its own reload thresholds.
+ * The log level and the network mode are process-wide and shared by every instance.
+ *
+ * @param {Object} [options] - Instance configuration
+ * @param {number} [options.stalenessThresholdMs] - Staleness threshold in milliseconds (default: 24 hours)
+ * @param {number} [options.resultCacheTtlMs] - IP lookup result cache TTL in milliseconds (default: 1 hour)
+ * @param {ResultCacheSettings} [options.resultCache] - Separate TTLs and capacities for positive and negative
+ *   lookup results (see setResultCacheSettings); applied after resultCacheTtlMs
+ * @param {{ positive?: CacheAdapter, negative?: CacheAdapter }} [options.resultCacheAdapters] - Where to cache
+ *   getTrustedProvider() results instead of the default TTLCaches (see setResultCacheAdapters)
+ * @param {ReloadThresholds} [options.reloadThresholds] - Sanity checks for reloaded data (see setReloadThresholds)
+ * @param {HealthRule[]} [options.healthRules] - Rules for getHealth()'s overall result (see setHealthRules)
+ * @param {boolean} [options.metrics=false] - Count lookups, cache hits and reloads (see setMetricsEnabled)
+ * @param {string} [options.lastKnownGoodDir] - Directory to save reloaded data in and fall back to
+ *   (see setLastKnownGoodDir)
+ * @param {boolean} [options.loadDefaultProviders=false] - Register the built-in providers immediately
+ * @param {Provider[]} [options.providers] - Additional providers to register, in priority order
+ * @returns {Object} A trusted network instance with the same methods as the default export
+ *
+ * @example
+ * import { createTrustedNetwork } from '@headwall/trusted-network-providers';
+ *
+ * // Strict instance for payment webhooks, with only our own gateway's addresses
+ * const webhookNetwork = createTrustedNetwork({
+ *   providers: [
+ *     {
+ *       name: 'Payment Gateway',
+ *       ipv4: { addresses: ['192.0.2.10'], ranges: [] },
+ *       ipv6: { addresses: [], ranges: [] },
+ *     },
+ *   ],
+ * });
+ *
+ * // Lenient instance for the crawler allowlist
+ * const crawlerNetwork = createTrustedNetwork({ loadDefaultProviders: true, resultCacheTtlMs: 5 * 60 * 1000 });
+ * await crawlerNetwork.reloadAll();
+ */
+export function createTrustedNetwork(options = {}) {
+  /**
+   * Parsed CIDR ranges (LRU), reused when the lookup index is rebuilt.
+   * @type {LRUCache}
+   */
+  const parsedAddresses = new LRUCache(MAX_PARSED_ADDRESSES);
+
+  /**
+   * Compiled lookup index with one prefix trie per address family.
+   * Built lazily on the first lookup after the provider list or provider data changes,
+   * and discarded by invalidateLookupIndex().
+   * @type {{ ipv4: PrefixTrie, ipv6: PrefixTrie }|null}
+   */
+  let lookupIndex = null;
+
+  /**
+   * TTL and capacity of the result caches below.
+   * @type {{ positive: { ttlMs: number, maxSize: number }, negative: { ttlMs: number, maxSize: number } }}
+   */
+  const resultCacheSettings = {
+    positive: { ...DEFAULT_RESULT_CACHE_SETTINGS.positive },
+    negative: { ...DEFAULT_RESULT_CACHE_SETTINGS.negative },
+  };
+
+  /**
+   * Cache adapters set with setResultCacheAdapters(), used in place of the default TTLCaches.
+   * @type {{ positive: CacheAdapter|null, negative: CacheAdapter|null }}
+   */
+  const resultCacheAdapters = { positive: null, negative: null };
+
+  /**
+   * Result caches for IP lookups with TTL.
+   * Lookups that matched a provider are cached apart from lookups that didn't (null), each with
+   * its own TTL and size limit, so negative results never evict positive ones.
+   * @type {CacheAdapter}
+   */
+  let positiveResultCache = createResultCache('positive');
+  let negativeResultCache = createResultCache('negative');
+
+  /**
+   * Result cache for multi-provider lookups (getTrustedProviders).
+   * Shares the TTL and size limit of positiveResultCache and is invalidated alongside the result caches.
+   * Caches the array of matching provider names for each IP address.
+   * @type {TTLCache}
+   */
+  let allProvidersCache = new TTLCache(resultCacheSettings.positive.maxSize, resultCacheSettings.positive.ttlMs);
+
+  /**
+   * Provider metadata tracking.
+   * Maps provider name → { state, lastUpdated, lastError, source }
+   * lastUpdated is when the live data was loaded, which for last-known-good data is when it was saved.
+   * @type {Map<string, { state: string, lastUpdated: number|null, lastError: Error|null, source: string }>}
+   */
+  const providerMetadata = new Map();
+
+  /**
+   * The address data lookups actually use, per provider name.
+   * Provider reload functions write into the provider object itself, which acts as a staging area;
+   * a copy of the staged data only replaces the data here once the whole reload has succeeded and the
+   * data has passed validation and this instance's reload thresholds. Until then, and if the reload
+   * fails, lookups keep using the previous data.
+   * @type {Map<string, { ipv4: Object, ipv6: Object }>}
+   */
+  const liveProviderData = new Map();
+
+  /**
+   * Names of providers turned off with disableProvider().
+   * Disabled providers stay registered, keep their data and metadata, and are left out of the lookup index.
+   * @type {Set<string>}
+   */
+  const disabledProviders = new Set();
+
+  /**
+   * The most recent change to each provider's data, as emitted with the 'change' event.
+   * Maps provider name → ProviderChange
+   * @type {Map<string, ProviderChange>}
+   */
+  const lastChanges = new Map();
+
+  /**
+   * Reload sources added with addReloadSource(), tried after the provider's own.
+   * Maps provider name → ReloadSource[]
+   * @type {Map<string, ReloadSource[]>}
+   */
+  const addedReloadSources = new Map();
+
+  /**
+   * Reloads in progress in this instance, per provider name.
+   * A second reload of the same provider joins the one in progress, so it's checked and swapped in once.
+   * Instances share the run of the reload function itself (see stagedReloads).
+   * @type {Map<string, Promise<void>>}
+   */
+  const pendingReloads = new Map();
+
+  /**
+   * The running auto refresh, or null when it is stopped.
+   * Holds the resolved startAutoRefresh() settings, one reload timer per provider, the number of
+   * consecutive failed scheduled reloads per provider, and the staleness check timer.
+   * @type {{ settings: Object, timers: Map<string, Object>, failures: Map<string, number>,
+   *   stalenessTimer: Object }|null}
+   */
+  let autoRefresh = null;
+
+  /**
+   * On-disk store of each provider's last successfully reloaded data, or null if not configured.
+   * @type {LastKnownGoodStore|null}
+   */
+  let lastKnownGoodStore = null;
+
+  /**
+   * Event emitter for provider lifecycle events.
+   * Consumers can listen to events like 'reload', 'error', and 'stale'.
+   * @type {EventEmitter}
+   */
+  const events = new EventEmitter();
+
+  /**
+   * Configurable staleness threshold in milliseconds.
+   * Providers that haven't been updated within this duration are marked as stale.
+   * Default: 24 hours (86400000 ms)
+   * @type {number}
+   */
+  let stalenessThresholdMs = DEFAULT_STALENESS_THRESHOLD_MS;
+
+  /**
+   * Reload thresholds applied to providers that don't override them with their own reloadThresholds.
+   * @type {ReloadThresholds}
+   */
+  let reloadThresholds = { ...DEFAULT_RELOAD_THRESHOLDS };
+
+  /**
+   * Rules getHealth() checks to decide the overall result.
+   * @type {HealthRule[]}
+   */
+  let healthRules = copyHealthRules(DEFAULT_HEALTH_RULES);
+
+  /**
+   * Lookup, cache and reload counters, or null while metrics are disabled (the default).
+   * @type {Metrics|null}
+   */
+  let metrics = null;
+
+  /**
+   * Discards the compiled lookup index so the next lookup rebuilds it from current provider data.
+   * @returns {void}
+   */
+  function invalidateLookupIndex() {
+    lookupIndex = null;
+  }
+
+  /**
+   * Returns the cache for positive or negative lookup results: the adapter set with setResultCacheAdapters(),
+   * or a new TTLCache with the cache's settings.
+   *
+   * @param {string} cache - 'positive' or 'negative'
+   * @returns {CacheAdapter} The result cache
+   */
+  function createResultCache(cache) {
+    const { maxSize, ttlMs } = resultCacheSettings[cache];
+    return resultCacheAdapters[cache] ?? new TTLCache(maxSize, ttlMs);
+  }
+
+  /**
+   * Removes the cached results a predicate matches, or every result if the cache adapter can't select them.
+   *
+   * @param {CacheAdapter} cache - The result cache
+   * @param {Function} predicate - Called with (value, key); return true to remove the entry
+   * @returns {void}
+   */
+  function deleteCachedResults(cache, predicate) {
+    if (typeof cache.deleteWhere === 'function') {
+      cache.deleteWhere(predicate);
+    } else {
+      cache.clear();
+    }
+  }
+
+  /**
+   * Drops the cached lookup results a change to one provider can affect, keeping the rest warm.
+   * Cached results are the name of the provider that matched, or null, which is enough to tell:
+   * - A trusted provider that gains coverage (added, enabled, new entries) can only take over IPs that
+   *   were untrusted or matched a lower-priority provider, and can join any multi-provider result.
+   * - A trusted provider that loses coverage (deleted, disabled, entries removed) affects the IPs it matched.
+   *   Untrusted results are dropped too, so every change starts negative caching afresh.
+   * - A deny provider that gains coverage can block any trusted IP, and one that loses it can only
+   *   unblock IPs cached as untrusted.
+   * - A trusted provider that moves ahead of others matches the same IPs, but can take over IPs matched by
+   *   providers it now outranks, and changes the order of multi-provider results it is part of. Deny providers
+   *   block IPs whatever their position, so moving one changes no cached result.
+   *
+   * @param {Provider} provider - The provider that changed (still registered, unless it was deleted)
+   * @param {Object} [change] - How its coverage changed (both by default, e.g. for a wholesale data swap)
+   * @param {boolean} [change.gained=true] - It may match IPs it didn't before
+   * @param {boolean} [change.lost=true] - It may no longer match IPs it did before
+   * @param {boolean} [change.moved=false] - It now outranks providers that used to outrank it
+   * @returns {void}
+   */
+  function invalidateProviderResults(provider, { gained = true, lost = true, moved = false } = {}) {
+    if (!gained && !lost && !moved) {
+      return;
+    }
+
+    const orders = new Map(self.providers.map((registeredProvider, order) => [registeredProvider.name, order]));
+    const providerOrder = orders.get(provider.name);
+    const isDenyProvider = getProviderMode(provider) === PROVIDER_MODE_DENY;
+
+    if (isDenyProvider) {
+      if (!gained && !lost) {
+        return;
+      }
+      if (gained) {
+        positiveResultCache.clear();
+      }
+      if (lost) {
+        negativeResultCache.clear();
+      }
+      allProvidersCache.deleteWhere((cachedNames) => (cachedNames.length === 0 ? lost : gained));
+      return;
+    }
+
+    if (gained || lost) {
+      negativeResultCache.clear();
+    }
+    deleteCachedResults(positiveResultCache, (cachedProvider) => {
+      if (cachedProvider === provider.name) {
+        return lost;
+      }
+
+      return (gained || moved) && (orders.get(cachedProvider) ?? Infinity) > providerOrder;
+    });
+    allProvidersCache.deleteWhere((cachedNames) => gained || cachedNames.includes(provider.name));
+  }
+
+  /**
+   * Returns a view of a provider with its live address data in place of whatever its object currently holds.
+   *
+   * @param {Provider} provider - A registered provider
+   * @returns {Provider} The provider as lookups should see it
+   */
+  function getLiveProvider(provider) {
+    return { ...provider, ...liveProviderData.get(provider.name) };
+  }
+
+  /**
+   * Finds every lookup index entry whose prefix contains the given IP address.
+   * Compiles the index first if it has been invalidated.
+   *
+   * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
+   * @param {string[]|null} [categories] - Only keep entries of providers in at least one of these categories
+   *   (deny provider entries are always kept)
+   * @returns {{ parsedIp: Object|null, matches: Object[], exclusions: Object[] }} The parsed IP (null if
+   *   unparseable), the matching entries, and the exclude entries that removed a provider's matches
+   */
+  function findIndexMatches(ipAddress, categories = null) {
+    // Parse the IP address string into an ipaddr.js object
+    // This validates the IP format and gives us the byte representation for the trie walk
+    let parsedIp = null;
     try {
       parsedIp = ipaddr.parse(ipAddress);
     } catch (error) {
-      logger.error(`Failed to parse IP: ${ipAddress}`);
-      logger.error(error);
-      parsedIp = null;
-    }
-
-    if (parsedIp) {
-      const ipAddressVersion = parsedIp.kind(); // 'ipv4' or 'ipv6'
-
-      // Linear search through providers in registration order
-      // First match wins, so provider order matters if ranges overlap
-      // This allows prioritizing more specific providers before catch-all ones
-      const providerCount = self.providers.length;
-      let providerIndex = 0;
-      while (providerIndex < providerCount) {
-        const provider = self.providers[providerIndex];
-
-        // Select the appropriate test pool (ipv4 or ipv6) based on the IP version
-        // This prevents testing IPv4 addresses against IPv6 ranges and vice versa
-        let testPool = null;
-        if (ipAddressVersion === IP_VERSION_V4) {
-          testPool = provider.ipv4;
-        } else if (ipAddressVersion === IP_VERSION_V6) {
-          testPool = provider.ipv6;
-        } else {
-          // Unknown IP version (should never happen with ipaddr.js)
+      logger.error(`Failed to parse IP: ${ipAddress}`, { ip: ipAddress, error });
+      return { parsedIp: null, matches: [], exclusions: [] };
+    }
+
+    // Compile the index on the first lookup after a provider change
+    if (!lookupIndex) {
+      lookupIndex = buildLookupIndex(self.providers.map(getLiveProvider), parsedAddresses, disabledProviders, metrics);
+    }
+
+    // Walk the trie for the IP's family ('ipv4' or 'ipv6'), collecting every prefix that contains it
+    // IPv4 addresses are never tested against IPv6 ranges and vice versa
+    const indexMatches = lookupIndex[parsedIp.kind()].match(parsedIp.toByteArray());
+
+    // An IP inside one of a provider's exclude entries isn't attributed to that provider at all,
+    // however specific its other matching entries are
+    const exclusions = indexMatches.filter((match) => match.matchType === ENTRY_TYPE_EXCLUDE);
+    const excludedOrders = new Set(exclusions.map((exclusion) => exclusion.order));
+    let matches = indexMatches.filter(
+      (match) => match.matchType !== ENTRY_TYPE_EXCLUDE && !excludedOrders.has(match.order)
+    );
+
+    // Entry orders are registry positions, and the index is rebuilt whenever those change
+    if (categories) {
+      matches = matches.filter(
+        (match) =>
+          match.mode === PROVIDER_MODE_DENY ||
+          self.providers[match.order].categories?.some((category) => categories.includes(category))
+      );
+    }
+
+    return { parsedIp, matches, exclusions };
+  }
+
+  /**
+   * Emits a 'lookup:denied' event for an IP blocked by a deny provider.
+   *
+   * @param {Object} parsedIp - The parsed IP that was blocked
+   * @param {Object} denyMatch - The winning deny index entry
+   * @param {Object|null} trustedMatch - The trusted match the deny overrode, if any
+   * @returns {void}
+   */
+  function emitDenied(parsedIp, denyMatch, trustedMatch) {
+    events.emit('lookup:denied', {
+      provider: denyMatch.provider,
+      ip: parsedIp.toString(),
+      matchType: denyMatch.matchType,
+      matchedRange: denyMatch.match,
+      overridden: trustedMatch ? trustedMatch.provider : null,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Builds the explain() report for a single provider.
+   * Whether the provider matched comes from the lookup index matches, so the report always agrees
+   * with getTrustedProvider(). The skip reasons and nearest entries are derived from the same
+   * index entries the lookup index is compiled from.
+   *
+   * @param {Provider} provider - The provider to report on
+   * @param {number} order - The provider's position in the registry
+   * @param {Object} parsedIp - The parsed IP being explained
+   * @param {Object[]} providerMatches - Index matches belonging to this provider
+   * @param {Object[]} providerExclusions - Exclude entries of this provider that contain the IP
+   * @param {Object|null} winningMatch - The overall winning index match
+   * @returns {Object} The provider report
+   */
+  function explainProvider(provider, order, parsedIp, providerMatches, providerExclusions, winningMatch) {
+    const report = {
+      provider: provider.name,
+      order,
+      state: self.getProviderStatus(provider.name)?.state ?? null,
+      outcome: EXPLAIN_OUTCOME_NO_MATCH,
+      skipReason: null,
+      matchType: null,
+      matchedRange: null,
+      nearest: [],
+    };
+
+    if (disabledProviders.has(provider.name)) {
+      report.outcome = EXPLAIN_OUTCOME_SKIPPED;
+      report.skipReason = SKIP_REASON_DISABLED;
+      return report;
+    }
+
+    // Exclusions arrive shortest prefix first, so report the most specific one
+    if (providerExclusions.length > 0) {
+      report.outcome = EXPLAIN_OUTCOME_SKIPPED;
+      report.skipReason = SKIP_REASON_EXCLUDED;
+      report.matchedRange = providerExclusions[providerExclusions.length - 1].match;
+      return report;
+    }
+
+    const bestMatch = selectBestMatch(providerMatches);
+    if (bestMatch) {
+      if (bestMatch !== winningMatch) {
+        report.outcome = EXPLAIN_OUTCOME_SHADOWED;
+      } else if (bestMatch.mode === PROVIDER_MODE_DENY) {
+        report.outcome = EXPLAIN_OUTCOME_DENIED;
+      } else {
+        report.outcome = EXPLAIN_OUTCOME_MATCHED;
+      }
+      report.matchType = bestMatch.matchType;
+      report.matchedRange = bestMatch.match;
+      return report;
+    }
+
+    let indexEntries = null;
+    try {
+      indexEntries = collectIndexEntries(getLiveProvider(provider), order, parsedAddresses, metrics).filter(
+        (indexEntry) => indexEntry.entry.matchType !== ENTRY_TYPE_EXCLUDE
+      );
+    } catch {
+      report.outcome = EXPLAIN_OUTCOME_SKIPPED;
+      report.skipReason = SKIP_REASON_INVALID_DATA;
+      return report;
+    }
+
+    const ipVersion = parsedIp.kind();
+    const familyEntries = indexEntries.filter((indexEntry) => indexEntry.ipVersion === ipVersion);
+    if (indexEntries.length === 0) {
+      report.outcome = EXPLAIN_OUTCOME_SKIPPED;
+      report.skipReason = SKIP_REASON_EMPTY;
+    } else if (familyEntries.length === 0) {
+      report.outcome = EXPLAIN_OUTCOME_SKIPPED;
+      report.skipReason = SKIP_REASON_WRONG_FAMILY;
+    } else {
+      // Nearest entries are the ones sharing the longest leading bit sequence with the IP
+      const ipBytes = parsedIp.toByteArray();
+      report.nearest = familyEntries
+        .map(({ bytes, prefixLength, entry }) => ({
+          matchType: entry.matchType,
+          range: entry.match,
+          sharedBits: countSharedBits(ipBytes, bytes, prefixLength),
+        }))
+        .sort((a, b) => b.sharedBits - a.sharedBits)
+        .slice(0, MAX_NEAREST_RANGES);
+    }
+
+    return report;
+  }
+
+  /**
+   * Validates a provider and registers it at the given position in the priority order.
+   *
+   * @param {Provider} provider - The provider configuration object
+   * @param {number} position - Index in self.providers to insert at
+   * @throws {Error} If validation fails
+   * @returns {void}
+   */
+  function registerProvider(provider, position) {
+    // Validate provider before adding
+    validateProvider(provider, self.providers.length);
+
+    logger.debug(`➕ Add provider: ${provider.name}`, { provider: provider.name });
+
+    self.providers.splice(position, 0, provider);
+    if (autoRefresh && canReload(provider)) {
+      scheduleRefresh(provider.name, getRefreshInterval(provider.name));
+    }
+    liveProviderData.set(provider.name, copyProviderData(provider));
+
+    // The new provider can match IPs cached as untrusted, or outrank cached matches
+    invalidateProviderResults(provider, { lost: false });
+    invalidateLookupIndex();
+
+    // Initialize provider metadata
+    providerMetadata.set(provider.name, {
+      state: PROVIDER_STATE_READY,
+      lastUpdated: null,
+      lastError: null,
+      source: DATA_SOURCE_PROVIDER,
+      reloadSource: null,
+    });
+  }
+
+  /**
+   * Emits an 'error' event for a failed reload.
+   * EventEmitter throws when 'error' is emitted with no listener, which would replace the reload's
+   * own error, so the event is only emitted when someone is listening.
+   *
+   * @param {Provider} provider - The provider that failed to reload
+   * @param {Error} error - The reload or validation error
+   * @returns {void}
+   */
+  function emitReloadError(provider, error) {
+    if (events.listenerCount('error') > 0) {
+      events.emit('error', { provider: provider.name, error, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Loads a provider's data from the first of its reload sources that can be read, parsed with the provider's
+   * parseSource() and validated, and writes it into the provider object (the staging area, as with reload).
+   * Lists the parsed data leaves out, such as a static exclude list, keep their entries.
+   *
+   * @param {Provider} provider - A registered provider with reloadSources
+   * @param {ReloadSource[]} sources - The sources to try, in order (see getReloadSources)
+   * @returns {Promise<{ type: string, location: string }>} The source the data was loaded from
+   * @throws {Error} If every source fails (the NetworkDisabledError if they all failed for being offline)
+   */
+  async function loadFromSources(provider, sources) {
+    const failures = [];
+
+    for (const source of sources) {
+      const location = getSourceLocation(source);
+      try {
+        const data = (await provider.parseSource(await readSource(source), source)) ?? {};
+        const staged = { name: provider.name };
+        for (const ipVersion of [IP_VERSION_V4, IP_VERSION_V6]) {
+          staged[ipVersion] = { ...provider[ipVersion], ...data[ipVersion] };
         }
+        validateProviderData(staged);
+
+        Object.assign(provider, copyProviderData(staged));
+        if (failures.length > 0) {
+          logger.warn(`↪️  ${provider.name} loaded from ${location} after ${failures.length} failed source(s)`, {
+            provider: provider.name,
+            source: location,
+            failedSources: failures.map((failure) => failure.location),
+          });
+        }
+
+        return { type: source.type, location };
+      } catch (error) {
+        logger.debug(`⚠️  ${provider.name} source failed: ${location}: ${error.message}`, {
+          provider: provider.name,
+          source: location,
+          code: error.code,
+          error,
+        });
+        failures.push({ location, error });
+      }
+    }
+
+    if (failures.every(({ error }) => error instanceof NetworkDisabledError)) {
+      throw failures[0].error;
+    }
+
+    const details = failures.map(({ location, error }) => `${location}: ${error.message}`).join('; ');
+    throw new Error(`Provider "${provider.name}" could not be loaded from any source (${details})`);
+  }
+
+  /**
+   * Runs a provider's reload function(s), or loads it from its reload sources, and validates the result.
+   *
+   * The reload writes into the provider object, which serves as the staging area. Once every task has
+   * succeeded, the staged data is validated (including compiling its index entries). If a task fails or
+   * the data is invalid, the object gets back the data it had before the run, so it never keeps a
+   * half-finished reload; valid data stays in the object.
+   *
+   * The provider object can be shared by several instances, so a run of the same object in progress
+   * anywhere in the process is joined rather than started again, unless it tries other reload sources
+   * (see stagedReloads).
+   *
+   * @param {Provider} provider - A registered provider with a reload function or reload sources
+   * @returns {Promise<StagedReload>} The outcome of the run; never rejects
+   */
+  function stageReload(provider) {
+    const sources = provider.reloadSources ? getReloadSources(provider) : null;
+    const running = stagedReloads.get(provider);
+    if (running && isSameSourceList(running.sources, sources)) {
+      return running.staging;
+    }
+
+    // A run with other sources writes into the same object, so this one starts once it has finished
+    const run = running
+      ? running.staging.then(() => runReloadTasks(provider, sources))
+      : runReloadTasks(provider, sources);
+    const staging = run.finally(() => {
+      if (stagedReloads.get(provider)?.staging === staging) {
+        stagedReloads.delete(provider);
+      }
+    });
+    stagedReloads.set(provider, { sources, staging });
+
+    return staging;
+  }
+
+  /**
+   * Lists the reload sources this instance tries for a provider: the provider's own, then any added with
+   * addReloadSource().
+   *
+   * @param {Provider} provider - A registered provider with reloadSources
+   * @returns {ReloadSource[]} The sources, in order
+   */
+  function getReloadSources(provider) {
+    const addedSources = addedReloadSources.get(provider.name);
+    return addedSources ? [...provider.reloadSources, ...addedSources] : provider.reloadSources;
+  }
+
+  /**
+   * Runs one staged reload of a provider object (see stageReload).
+   *
+   * @param {Provider} provider - A registered provider with a reload function or reload sources
+   * @param {ReloadSource[]|null} sources - The reload sources to try, or null to run the reload function
+   * @returns {Promise<StagedReload>} The outcome of the run
+   */
+  async function runReloadTasks(provider, sources) {
+    const previousData = copyProviderData(provider);
+
+    // Some providers return multiple promises (e.g., multiple API endpoints)
+    // Others return a single promise. We handle both cases, and a reload function that throws synchronously.
+    // Providers with reload sources are loaded from the first source that works instead
+    let reloadTasks;
+    try {
+      reloadTasks = sources ? loadFromSources(provider, sources) : provider.reload();
+    } catch (error) {
+      reloadTasks = Promise.reject(error);
+    }
+
+    const outcomes = await Promise.allSettled(Array.isArray(reloadTasks) ? reloadTasks : [reloadTasks]);
+    const failed = outcomes.some((outcome) => outcome.status === 'rejected');
+
+    // Validate and compile the staged data before it goes live, so a malformed reload can't
+    // take the provider out of the lookup index
+    let validationError = null;
+    if (!failed) {
+      try {
+        validateProviderData(provider);
+        collectIndexEntries(provider, 0, parsedAddresses, metrics);
+      } catch (error) {
+        validationError = error;
+      }
+    }
+
+    if (failed || validationError) {
+      Object.assign(provider, previousData);
+      return { outcomes, validationError, data: null };
+    }
+
+    return { outcomes, validationError, data: copyProviderData(provider) };
+  }
+
+  /**
+   * Reloads one provider through a staging step.
+   *
+   * The provider's reload runs and is validated in its own object (see stageReload). Only once every
+   * reload task has succeeded and the data is valid is a copy of it swapped into this instance's live
+   * data, which lookups use. Lookups carry on with the previous data throughout, and keep it if the
+   * reload fails.
+   *
+   * Valid data is also checked against the reload thresholds. Data that fails them is refused the same
+   * way, but leaves the provider in the 'rejected' state and emits 'reload:rejected' instead of 'error'.
+   * Thresholds are checked per instance, so the provider object keeps the data even if this instance
+   * refuses it.
+   *
+   * @param {Provider} provider - A registered provider with a reload function
+   * @param {ReloadThresholds} [thresholdOverrides] - Thresholds that take precedence over the provider's
+   *   and the instance's for this reload only
+   * @returns {Promise<void>} Resolves once the new data is live, or rejects with the first error
+   */
+  async function reloadProviderData(provider, thresholdOverrides = {}) {
+    logger.debug(`🔃 Reload: ${provider.name}`, { provider: provider.name });
+    const startedAt = Date.now();
+
+    // Set provider state to LOADING before starting the reload
+    // This allows consumers to detect when a provider is updating
+    const metadata = providerMetadata.get(provider.name);
+    metadata.state = PROVIDER_STATE_LOADING;
+
+    // Emit reload:start event for monitoring/observability
+    events.emit('reload:start', { provider: provider.name });
+
+    const { outcomes, validationError, data } = await stageReload(provider);
+    const failure = outcomes.find((outcome) => outcome.status === 'rejected');
+    const previousData = liveProviderData.get(provider.name);
+
+    // Refuse suspicious but well-formed data, e.g. a feed that suddenly lost most of its ranges
+    let rejection = null;
+    if (data) {
+      rejection = checkReloadThresholds(data, previousData, {
+        ...reloadThresholds,
+        ...provider.reloadThresholds,
+        ...thresholdOverrides,
+      });
+    }
 
-        try {
-          if (testPool) {
-            // Step 1: Check exact address matches (fast string comparison)
-            // This is significantly faster than CIDR parsing, so we check these first
-            // Example: "1.2.3.4" === "1.2.3.4" (simple string equality)
-            const addressCount = testPool.addresses.length;
-            for (let addressIndex = 0; addressIndex < addressCount; ++addressIndex) {
-              if (testPool.addresses[addressIndex] === ipAddress) {
-                trustedSource = provider.name;
-                break;
-              }
-            }
-
-            // Step 2: Check CIDR range matches (slower, requires CIDR parsing)
-            // Only run this if we didn't find an exact match above
-            // Example: Check if "1.2.3.4" falls within "1.2.3.0/24"
-            const rangeCount = testPool.ranges.length;
-            for (let rangeIndex = 0; rangeIndex < rangeCount; ++rangeIndex) {
-              const testRange = testPool.ranges[rangeIndex];
-
-              // Cache parsed CIDR ranges (LRU) to avoid re-parsing on every lookup
-              // Parsing "1.2.3.0/24" into a range object is expensive, so we only do it once
-              // The LRU cache automatically evicts old entries when full (5000 max)
-              if (!parsedAddresses.has(testRange)) {
-                parsedAddresses.set(testRange, ipaddr.parseCIDR(testRange));
-              }
-
-              // Check if the IP falls within this CIDR range using ipaddr.js's match() method
-              // This performs bitwise comparison of the IP against the range's network/mask
-              if (parsedIp.match(parsedAddresses.get(testRange))) {
-                trustedSource = provider.name;
-                break;
-              }
-            }
-          }
-        } catch (error) {
-          logger.error(`ERROR: Failed to find trusted source of ${ipAddress}`);
-          logger.error(error);
-        }
+    const rejectionError = rejection && new Error(`Provider "${provider.name}" update rejected: ${rejection.message}`);
+    const error = failure?.reason ?? validationError ?? rejectionError;
+    let change = null;
+    if (!error) {
+      const diff = diffProviderData(previousData, data);
+      const entryLists = [...Object.values(diff.added), ...Object.values(diff.removed)];
+      if (entryLists.some((entries) => entries.length > 0)) {
+        change = { provider: provider.name, ...diff, timestamp: Date.now() };
+        lastChanges.set(provider.name, change);
+      }
+
+      // Exclude entries aren't part of the diff, so a change to them counts as both gaining and losing IPs
+      const listExcludes = (lists) =>
+        [IP_VERSION_V4, IP_VERSION_V6].map((ipVersion) => lists[ipVersion]?.exclude ?? []);
+      const excludesChanged = JSON.stringify(listExcludes(previousData)) !== JSON.stringify(listExcludes(data));
+      const hasEntries = (lists) => lists.ipv4.length + lists.ipv6.length > 0;
+
+      liveProviderData.set(provider.name, copyProviderData(data));
+      invalidateProviderResults(provider, {
+        gained: hasEntries(diff.added) || excludesChanged,
+        lost: hasEntries(diff.removed) || excludesChanged,
+      });
+      invalidateLookupIndex();
+    }
+
+    // Update metadata. All reload tasks must succeed for the state to become READY
+    if (error) {
+      if (rejection) {
+        metadata.state = PROVIDER_STATE_REJECTED;
+      } else if (error instanceof NetworkDisabledError) {
+        metadata.state = PROVIDER_STATE_OFFLINE;
+      } else {
+        metadata.state = PROVIDER_STATE_ERROR;
+      }
+      metadata.lastError = error;
+    } else {
+      metadata.state = PROVIDER_STATE_READY;
+      metadata.lastUpdated = Date.now();
+      metadata.lastError = null;
+      metadata.source = DATA_SOURCE_RELOAD;
+      metadata.reloadSource = provider.reloadSources ? outcomes[0].value : null;
+    }
 
-        // Exit early if we found a match (no need to check remaining providers)
-        // This is important for performance when dealing with 20+ providers
-        if (trustedSource) {
-          break;
+    // The failed states share their names with the reload outcomes
+    const reloadOutcome = error ? metadata.state : 'success';
+    const durationMs = Date.now() - startedAt;
+    metrics?.recordReload(provider.name, reloadOutcome, durationMs);
+    logger.debug(`🏁 Reload ${reloadOutcome}: ${provider.name} in ${durationMs}ms`, {
+      provider: provider.name,
+      outcome: reloadOutcome,
+      durationMs,
+      ...(error && { code: error.code, error }),
+    });
+
+    // Emit one event per reload task, or a single event if the staged data was refused
+    if (validationError) {
+      logger.error(`Rejected reloaded data for ${provider.name}: ${validationError.message}`, {
+        provider: provider.name,
+        durationMs,
+        error: validationError,
+      });
+      emitReloadError(provider, validationError);
+    } else if (rejection) {
+      logger.warn(`🛑 Rejected update for ${provider.name}: ${rejection.message}`, {
+        provider: provider.name,
+        reason: rejection.reason,
+        durationMs,
+      });
+      events.emit('reload:rejected', { provider: provider.name, ...rejection, timestamp: Date.now() });
+    } else {
+      for (const outcome of outcomes) {
+        if (outcome.status === 'fulfilled') {
+          events.emit('reload:success', { provider: provider.name, timestamp: Date.now() });
         } else {
-          ++providerIndex;
+          emitReloadError(provider, outcome.reason);
         }
       }
     }
 
-    // Cache the result (including null for negative lookups) with TTL
-    // Negative caching prevents repeated expensive lookups for unknown IPs
-    // This is especially important during high-volume attacks from untrusted sources
-    resultCache.set(ipAddress, trustedSource);
+    if (change) {
+      const countEntries = (lists) => lists.ipv4.length + lists.ipv6.length;
+      const added = countEntries(change.added);
+      const removed = countEntries(change.removed);
+      logger.debug(`🔀 Change: ${provider.name} +${added} / -${removed}`, { provider: provider.name, added, removed });
+      events.emit('change', copyProviderChange(change));
+    }
+
+    if (lastKnownGoodStore) {
+      if (!error) {
+        await saveLastKnownGood(provider, metadata);
+      } else if (metadata.source !== DATA_SOURCE_RELOAD) {
+        // Nothing has reloaded successfully since startup, so the saved copy beats the registered data
+        await restoreLastKnownGood(provider, metadata);
+      }
+    }
+
+    if (error) {
+      throw error;
+    }
+  }
 
-    return trustedSource;
-  },
+  /**
+   * Saves a provider's live data to the last-known-good store.
+   * A failed write is logged rather than failing the reload, whose data is already live.
+   *
+   * @param {Provider} provider - The provider that just reloaded
+   * @param {Object} metadata - The provider's metadata
+   * @returns {Promise<void>}
+   */
+  async function saveLastKnownGood(provider, metadata) {
+    try {
+      await lastKnownGoodStore.save(provider.name, liveProviderData.get(provider.name), {
+        savedAt: metadata.lastUpdated,
+        source: metadata.source,
+      });
+    } catch (error) {
+      logger.warn(`Could not save last-known-good data for ${provider.name}: ${error.message}`, {
+        provider: provider.name,
+        code: error.code,
+        error,
+      });
+    }
+  }
 
   /**
-   * Checks if an IP address belongs to any trusted provider.
-   * This is a convenience wrapper around getTrustedProvider().
+   * Replaces a provider's live data with its last-known-good copy after a failed reload.
+   * The copy is validated like reloaded data, but isn't held to the reload thresholds: it already
+   * passed them when it was saved. It is skipped if it is missing, unreadable or invalid, and if it
+   * isn't newer than the live data (e.g. the live data is already that copy, or came from a newer snapshot).
    *
-   * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
-   * @returns {boolean} True if the IP belongs to a trusted provider, false otherwise
+   * @param {Provider} provider - The provider that failed to reload
+   * @param {Object} metadata - The provider's metadata
+   * @returns {Promise<boolean>} True if the saved copy went live
+   */
+  async function restoreLastKnownGood(provider, metadata) {
+    let saved = null;
+    try {
+      saved = await lastKnownGoodStore.load(provider.name);
+      if (saved) {
+        validateProviderData({ name: provider.name, ipv4: saved.ipv4, ipv6: saved.ipv6 });
+        collectIndexEntries({ ...provider, ipv4: saved.ipv4, ipv6: saved.ipv6 }, 0, parsedAddresses, metrics);
+      }
+    } catch (error) {
+      logger.warn(`Could not restore last-known-good data for ${provider.name}: ${error.message}`, {
+        provider: provider.name,
+        code: error.code,
+        error,
+      });
+      return false;
+    }
+
+    const olderThanLive = metadata.lastUpdated !== null && saved?.savedAt <= metadata.lastUpdated;
+    if (!saved || olderThanLive || providerMetadata.get(provider.name) !== metadata) {
+      return false;
+    }
+
+    const savedAt = new Date(saved.savedAt).toISOString();
+    logger.warn(`💾 Using last-known-good data for ${provider.name} from ${savedAt}`, {
+      provider: provider.name,
+      savedAt,
+    });
+
+    const data = copyProviderData(saved);
+    writeProviderData(provider, data);
+    liveProviderData.set(provider.name, data);
+    invalidateProviderResults(provider);
+    invalidateLookupIndex();
+
+    metadata.lastUpdated = saved.savedAt;
+    metadata.source = DATA_SOURCE_LAST_KNOWN_GOOD;
+    metadata.reloadSource = null;
+
+    events.emit('reload:fallback', {
+      provider: provider.name,
+      source: DATA_SOURCE_LAST_KNOWN_GOOD,
+      savedAt: saved.savedAt,
+      timestamp: Date.now(),
+    });
+
+    return true;
+  }
+
+  /**
+   * Starts a staged reload of a provider, or joins the reload of it already in progress.
+   *
+   * @param {Provider} provider - A registered provider with a reload function
+   * @param {ReloadThresholds} [thresholdOverrides] - Thresholds for this reload only (see reloadProviderData)
+   * @returns {Promise<void>} The reload in progress
+   */
+  function startReload(provider, thresholdOverrides) {
+    if (!pendingReloads.has(provider.name)) {
+      const reloading = reloadProviderData(provider, thresholdOverrides).finally(() => {
+        pendingReloads.delete(provider.name);
+      });
+      pendingReloads.set(provider.name, reloading);
+    }
+
+    return pendingReloads.get(provider.name);
+  }
+
+  /**
+   * Schedules the next auto refresh of a provider, replacing any reload already scheduled for it.
+   * The delay is varied by the configured jitter, so providers with the same interval spread out.
+   * Timers are unref()'d so they never keep the process alive.
    *
-   * @example
-   * if (trustedProviders.isTrusted('34.237.253.141')) {
-   *   console.log('IP is from a trusted source');
-   * }
+   * @param {string} providerName - The provider to reload
+   * @param {number} delayMs - The delay before the reload, before jitter
+   * @returns {void}
    */
-  isTrusted: (ipAddress) => {
-    return self.getTrustedProvider(ipAddress) !== null;
-  },
+  function scheduleRefresh(providerName, delayMs) {
+    const { timers, settings } = autoRefresh;
+    clearTimeout(timers.get(providerName));
+
+    const jitteredDelay = delayMs * (1 + (Math.random() * 2 - 1) * settings.jitter);
+    const timer = setTimeout(() => runScheduledRefresh(providerName), jitteredDelay);
+    timer.unref();
+    timers.set(providerName, timer);
+  }
 
   /**
-   * Runs tests against all registered providers using their configured test addresses.
-   * Outputs results to console with ✅ for passing tests and ❌ for failures.
-   * Useful for verifying provider configuration after loading or reloading.
+   * Returns the auto refresh interval for a provider.
    *
-   * @returns {Promise<void>} Promise that resolves when all tests complete
+   * @param {string} providerName - The provider name
+   * @returns {number} The interval in milliseconds
+   */
+  function getRefreshInterval(providerName) {
+    return autoRefresh.settings.perProvider[providerName] ?? autoRefresh.settings.defaultInterval;
+  }
+
+  /**
+   * Runs a scheduled reload and schedules the next one.
+   * After a failure the provider is retried with exponential backoff (if retries are enabled), never
+   * waiting longer than its regular interval. Disabled providers aren't reloaded, but stay scheduled.
+   * Reload errors are already reported through the provider's state and events, so they go no further.
    *
-   * @example
-   * trustedProviders.loadDefaultProviders();
-   * await trustedProviders.reloadAll();
-   * await trustedProviders.runTests();
-   */
-  runTests: async () => {
-    const tests = [
-      { ip: '192.42.116.182', provider: null },
-      { ip: '123.123.123.123', provider: null },
-    ];
-
-    let failedProviderIndex = 0;
-    for (const testProvider of self.getAllProviders()) {
-      if (!Array.isArray(testProvider.testAddresses)) {
-        if (failedProviderIndex === 0) {
-          logger.info();
-        }
+   * @param {string} providerName - The provider to reload
+   * @returns {Promise<void>} Resolves once the next reload has been scheduled
+   */
+  async function runScheduledRefresh(providerName) {
+    const run = autoRefresh;
+    run.timers.delete(providerName);
 
-        logger.info(`🔷 No tests for ${testProvider.name}`);
-        ++failedProviderIndex;
-      } else {
-        for (const testAddress of testProvider.testAddresses) {
-          tests.push({
-            ip: testAddress,
-            provider: testProvider.name,
+    const provider = self.providers.find((testProvider) => testProvider.name === providerName);
+    if (!provider || !canReload(provider)) {
+      return;
+    }
+
+    const interval = getRefreshInterval(providerName);
+    let nextDelay = interval;
+    if (!disabledProviders.has(providerName)) {
+      try {
+        await startReload(provider);
+        run.failures.delete(providerName);
+      } catch {
+        const failures = (run.failures.get(providerName) ?? 0) + 1;
+        run.failures.set(providerName, failures);
+
+        if (run.settings.retry) {
+          const { initialDelay, maxDelay } = run.settings.retry;
+          nextDelay = Math.min(initialDelay * 2 ** (failures - 1), maxDelay, interval);
+          logger.debug(`🔁 Retry ${providerName} in ${Math.round(nextDelay / 1000)}s (failure ${failures})`, {
+            provider: providerName,
+            delayMs: nextDelay,
+            failures,
           });
         }
       }
     }
 
-    logger.info();
+    // Auto refresh may have been stopped or restarted, or the provider deleted, during the reload
+    if (autoRefresh === run && self.hasProvider(providerName)) {
+      scheduleRefresh(providerName, nextDelay);
+    }
+  }
+
+  const self = {
+    providers: [],
+
+    /**
+     * Adds a new provider to the trusted network list.
+     * Providers must have a unique name and will be checked in order during IP lookups.
+     * The provider is placed after every provider with the same or a higher `priority`
+     * (default 0), so with no priorities set this is registration order.
+     *
+     * @param {Provider} provider - The provider configuration object
+     * @returns {void}
+     *
+     * @example
+     * trustedProviders.addProvider({
+     *   name: 'My CDN',
+     *   ipv4: {
+     *     addresses: ['1.2.3.4'],
+     *     ranges: ['10.0.0.0/8']
+     *   },
+     *   ipv6: {
+     *     addresses: [],
+     *     ranges: ['2001:db8::/32']
+     *   }
+     * });
+     */
+    addProvider: (provider) => {
+      if (provider && provider.name && !self.hasProvider(provider.name)) {
+        const priority = getProviderPriority(provider);
+        const position = self.providers.findIndex((existing) => getProviderPriority(existing) < priority);
+
+        registerProvider(provider, position >= 0 ? position : self.providers.length);
+      }
+    },
+
+    /**
+     * Adds a new provider immediately before or after an existing one, ignoring `priority`.
+     * Without a `before` or `after` option this behaves like addProvider().
+     *
+     * @param {Provider} provider - The provider configuration object
+     * @param {Object} [position] - Where to insert the provider
+     * @param {string} [position.before] - Name of the provider to insert before
+     * @param {string} [position.after] - Name of the provider to insert after
+     * @returns {void}
+     * @throws {Error} If both before and after are given, or the named provider doesn't exist
+     *
+     * @example
+     * // Make sure our VPN range is attributed to us rather than to 'Private'
+     * trustedProviders.insertProvider(officeVpnProvider, { before: 'Private' });
+     */
+    insertProvider: (provider, { before, after } = {}) => {
+      if (!provider || !provider.name || self.hasProvider(provider.name)) {
+        return;
+      }
+
+      if (before !== undefined && after !== undefined) {
+        throw new Error(`Cannot insert provider "${provider.name}": use either before or after, not both`);
+      }
+
+      const referenceName = before ?? after;
+      if (referenceName === undefined) {
+        self.addProvider(provider);
+        return;
+      }
+
+      const referenceIndex = self.providers.findIndex((testProvider) => testProvider.name === referenceName);
+      if (referenceIndex < 0) {
+        throw new Error(`Cannot insert provider "${provider.name}": unknown provider "${referenceName}"`);
+      }
+
+      registerProvider(provider, before !== undefined ? referenceIndex : referenceIndex + 1);
+    },
+
+    /**
+     * Reorders registered providers. The named providers move to the front, in the order given;
+     * any providers not named keep their relative order after them.
+     *
+     * Only the lookup index and result caches are invalidated, and only if the order actually changes.
+     * Cached results are only dropped where a provider moved ahead of one that used to outrank it:
+     * the matches of the providers it now outranks, and the multi-provider results it is part of.
+     * Parsed CIDR ranges stay cached because they don't depend on provider order.
+     *
+     * @param {string[]} providerNames - Provider names, highest priority first
+     * @returns {void}
+     * @throws {Error} If providerNames isn't an array or names an unknown provider
+     *
+     * @example
+     * trustedProviders.setProviderOrder(['Office VPN', 'Private', 'Cloudflare']);
+     */
+    setProviderOrder: (providerNames) => {
+      if (!Array.isArray(providerNames)) {
+        throw new Error('setProviderOrder() expects an array of provider names');
+      }
+
+      const unknownNames = providerNames.filter((providerName) => !self.hasProvider(providerName));
+      if (unknownNames.length > 0) {
+        throw new Error(`Cannot reorder unknown providers: ${unknownNames.join(', ')}`);
+      }
+
+      const listedProviders = [...new Set(providerNames)].map((providerName) =>
+        self.providers.find((testProvider) => testProvider.name === providerName)
+      );
+      const reorderedProviders = [
+        ...listedProviders,
+        ...self.providers.filter((testProvider) => !providerNames.includes(testProvider.name)),
+      ];
+
+      if (reorderedProviders.every((provider, index) => provider === self.providers[index])) {
+        return;
+      }
+
+      const previousOrders = new Map(self.providers.map((provider, order) => [provider.name, order]));
+      self.providers.splice(0, self.providers.length, ...reorderedProviders);
+
+      // Only providers that overtook another can change cached results; the index's provider
+      // positions all depend on order, but parsed ranges don't
+      reorderedProviders.forEach((provider, order) => {
+        const overtook = reorderedProviders
+          .slice(order + 1)
+          .some((lowerProvider) => previousOrders.get(lowerProvider.name) < previousOrders.get(provider.name));
+        if (overtook) {
+          invalidateProviderResults(provider, { gained: false, lost: false, moved: true });
+        }
+      });
+      invalidateLookupIndex();
+    },
+
+    /**
+     * Removes a provider from the trusted network list by name.
+     * Only the cached results the provider can have produced are dropped: its own matches and the
+     * untrusted results (or, for a deny provider, the untrusted results only).
+     *
+     * @param {string} providerName - The name of the provider to remove
+     * @returns {void}
+     *
+     * @example
+     * trustedProviders.deleteProvider('My CDN');
+     */
+    deleteProvider: (providerName) => {
+      if (self.hasProvider(providerName)) {
+        const providerIndex = self.providers.findIndex((testProvider) => testProvider.name === providerName);
+        if (providerIndex >= 0) {
+          const [provider] = self.providers.splice(providerIndex, 1);
+          providerMetadata.delete(providerName);
+          liveProviderData.delete(providerName);
+          disabledProviders.delete(providerName);
+          lastChanges.delete(providerName);
+          addedReloadSources.delete(providerName);
+          if (autoRefresh) {
+            clearTimeout(autoRefresh.timers.get(providerName));
+            autoRefresh.timers.delete(providerName);
+            autoRefresh.failures.delete(providerName);
+          }
+
+          // Parsed CIDR ranges are keyed by the range itself, so they stay valid
+          invalidateProviderResults(provider, { gained: false });
+          invalidateLookupIndex();
+        }
+      }
+    },
+
+    /**
+     * Exports every provider's live data and metadata as a versioned, JSON-serialisable document.
+     * Hand it to importSnapshot() in another process (or instance) to restore the same data there
+     * without reloading, e.g. from a parent process that reloads once for all of its workers.
+     *
+     * Each provider entry holds its name, the serialisable parts of its definition (categories, mode,
+     * priority, testAddresses, reloadThresholds), its ipv4 and ipv6 data, and its metadata (state, lastUpdated, the
+     * lastError message, source and reloadSource). Reload functions can't be serialised and aren't included.
+     *
+     * @returns {{ version: number, createdAt: number, providers: Object[] }} The snapshot document
+     *
+     * @example
+     * // Parent process
+     * trustedProviders.loadDefaultProviders();
+     * await trustedProviders.reloadAll();
+     * worker.postMessage(JSON.stringify(trustedProviders.exportSnapshot()));
+     */
+    exportSnapshot: () => {
+      const providers = self.providers.map((provider) => {
+        const metadata = providerMetadata.get(provider.name);
+        const entry = { name: provider.name };
+        for (const key of ['categories', 'mode', 'priority', 'testAddresses', 'reloadThresholds']) {
+          if (provider[key] !== undefined) {
+            const value = provider[key];
+            entry[key] = Array.isArray(value) ? [...value] : typeof value === 'object' ? { ...value } : value;
+          }
+        }
+
+        return {
+          ...entry,
+          ...copyProviderData(liveProviderData.get(provider.name)),
+          metadata: {
+            state: metadata.state,
+            lastUpdated: metadata.lastUpdated,
+            lastError: metadata.lastError?.message ?? null,
+            source: metadata.source,
+            reloadSource: metadata.reloadSource && { ...metadata.reloadSource },
+          },
+        };
+      });
+
+      return { version: SNAPSHOT_FORMAT_VERSION, createdAt: Date.now(), providers };
+    },
+
+    /**
+     * Restores provider data and metadata from a snapshot made by exportSnapshot().
+     *
+     * Providers that are already registered keep their own definition (including reload functions)
+     * and take the snapshot's data and metadata. Providers that aren't registered are added from the
+     * snapshot's definition, as providers without a reload function. Registered providers missing
+     * from the snapshot are left alone. Every provider is checked with validateProvider() before
+     * anything changes, so an invalid snapshot changes nothing.
+     *
+     * Imported providers report their source as 'snapshot' and keep the snapshot's lastUpdated, so
+     * staleness is measured from when the data was actually loaded. A provider that was mid-reload
+     * when the snapshot was made is imported as 'ready'.
+     *
+     * @param {Object|string} snapshot - The snapshot document, or its JSON
+     * @throws {Error} If the snapshot's version isn't supported, or a provider in it fails validation
+     * @returns {void}
+     *
+     * @example
+     * // Worker process
+     * const workerProviders = createTrustedNetwork();
+     * parentPort.once('message', (snapshot) => workerProviders.importSnapshot(snapshot));
+     */
+    importSnapshot: (snapshot) => {
+      const document = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+      validateSnapshot(document);
+
+      // Validate everything first, so a bad entry can't leave the import half-applied
+      let newProviderCount = 0;
+      const imports = document.providers.map((entry) => {
+        const { metadata = {}, ...definition } = entry;
+        const existing = self.providers.find((provider) => provider.name === entry.name);
+        const candidate = existing
+          ? { ...existing, ...copyProviderData(definition) }
+          : { ...definition, ...copyProviderData(definition) };
+
+        validateProvider(candidate, existing ? 0 : self.providers.length + newProviderCount);
+        collectIndexEntries(candidate, 0, parsedAddresses, metrics);
+        if (!existing) {
+          ++newProviderCount;
+        }
+
+        return { existing, candidate, metadata };
+      });
+
+      logger.debug(`📥 Import snapshot: ${imports.length} providers`, { providers: imports.length });
+
+      for (const { existing, candidate, metadata } of imports) {
+        if (existing) {
+          writeProviderData(existing, candidate);
+          liveProviderData.set(existing.name, copyProviderData(candidate));
+          invalidateProviderResults(existing);
+        } else {
+          self.addProvider(candidate);
+        }
+
+        const importedState = metadata.state ?? PROVIDER_STATE_READY;
+        Object.assign(providerMetadata.get(candidate.name), {
+          state: importedState === PROVIDER_STATE_LOADING ? PROVIDER_STATE_READY : importedState,
+          lastUpdated: metadata.lastUpdated ?? null,
+          lastError: metadata.lastError ? new Error(metadata.lastError) : null,
+          source: DATA_SOURCE_SNAPSHOT,
+          reloadSource: metadata.reloadSource ? { ...metadata.reloadSource } : null,
+        });
+      }
+
+      invalidateLookupIndex();
+    },
+
+    /**
+     * Returns an array of all registered providers.
+     *
+     * @returns {Provider[]} Array of provider objects
+     *
+     * @example
+     * const providers = trustedProviders.getAllProviders();
+     * console.log(`Loaded ${providers.length} providers`);
+     */
+    getAllProviders: () => {
+      return [...self.providers];
+    },
+
+    /**
+     * Checks if a provider with the given name is already registered.
+     *
+     * @param {string} providerName - The name of the provider to check
+     * @returns {boolean} True if the provider exists, false otherwise
+     *
+     * @example
+     * if (trustedProviders.hasProvider('Cloudflare')) {
+     *   console.log('Cloudflare provider is loaded');
+     * }
+     */
+    hasProvider: (providerName) => {
+      if (!providerName) {
+        return false;
+      }
+
+      return self.providers.some((testProvider) => testProvider.name === providerName);
+    },
+
+    /**
+     * Temporarily stops a provider from matching IP addresses, without deleting it.
+     * The provider keeps its position, data and metadata, and getProviderStatus() reports its state
+     * as 'disabled' until enableProvider() is called. reloadAll() skips disabled providers unless
+     * called with { includeDisabled: true }.
+     * Emits a 'provider:disabled' event. Unknown or already disabled providers are ignored.
+     *
+     * @param {string} providerName - The name of the provider to disable
+     * @returns {void}
+     *
+     * @example
+     * // Stop trusting a feed that started returning suspicious ranges
+     * trustedProviders.disableProvider('Labrika');
+     */
+    disableProvider: (providerName) => {
+      if (!self.hasProvider(providerName) || disabledProviders.has(providerName)) {
+        return;
+      }
+
+      logger.debug(`⏸️  Disable provider: ${providerName}`, { provider: providerName });
+
+      disabledProviders.add(providerName);
+
+      // Cached results may name the disabled provider, or hide lower-priority matches behind it
+      const provider = self.providers.find((testProvider) => testProvider.name === providerName);
+      invalidateProviderResults(provider, { gained: false });
+      invalidateLookupIndex();
+
+      events.emit('provider:disabled', { provider: providerName, timestamp: Date.now() });
+    },
+
+    /**
+     * Re-enables a provider that was turned off with disableProvider().
+     * Lookups use the provider's current data straight away, and getProviderStatus() reports its
+     * underlying state again ('ready', 'error', 'stale', ...).
+     * Emits a 'provider:enabled' event. Unknown or already enabled providers are ignored.
+     *
+     * @param {string} providerName - The name of the provider to enable
+     * @returns {void}
+     *
+     * @example
+     * trustedProviders.enableProvider('Labrika');
+     */
+    enableProvider: (providerName) => {
+      if (!self.hasProvider(providerName) || !disabledProviders.has(providerName)) {
+        return;
+      }
+
+      logger.debug(`▶️  Enable provider: ${providerName}`, { provider: providerName });
+
+      disabledProviders.delete(providerName);
+
+      // The provider can now match IPs cached as untrusted, or outrank cached matches
+      const provider = self.providers.find((testProvider) => testProvider.name === providerName);
+      invalidateProviderResults(provider, { lost: false });
+      invalidateLookupIndex();
+
+      events.emit('provider:enabled', { provider: providerName, timestamp: Date.now() });
+    },
+
+    /**
+     * Adds a source for this instance to reload a provider from, tried after the provider's own reloadSources
+     * and any sources added before it. Use it to give a provider a fallback, e.g. a local copy of a list that
+     * has no bundled copy. The provider object isn't changed, so other instances don't try the source.
+     *
+     * @param {string} providerName - The name of a registered provider with reloadSources
+     * @param {ReloadSource} source - The source to add
+     * @returns {void}
+     * @throws {Error} If the provider isn't registered, has no reloadSources, or the source is invalid
+     *
+     * @example
+     * // Fall back to a copy of Stripe's list kept up to date by a cron job
+     * trustedProviders.addReloadSource('Stripe API', { type: 'file', path: '/var/lib/stripe/ips_api.json' });
+     */
+    addReloadSource: (providerName, source) => {
+      const provider = self.providers.find((testProvider) => testProvider.name === providerName);
+      if (!provider) {
+        throw new Error(`Unknown provider: ${providerName}`);
+      }
+
+      if (!provider.reloadSources) {
+        throw new Error(`Provider "${providerName}" has no reloadSources`);
+      }
+
+      try {
+        validateSource(source);
+      } catch (error) {
+        throw new Error(`Invalid reload source for provider "${providerName}": ${error.message}`);
+      }
+
+      addedReloadSources.set(providerName, [...(addedReloadSources.get(providerName) ?? []), { ...source }]);
+    },
+
+    /**
+     * Registers an event listener for provider lifecycle events.
+     *
+     * Supported events:
+     * - 'reload:start': Emitted when a provider begins reloading. Payload: { provider: string }
+     * - 'reload:success': Emitted when a provider successfully reloads. Payload: { provider: string, timestamp: number }
+     * - 'error': Emitted when a provider fails to reload. Payload: { provider: string, error: Error, timestamp: number }
+     * - 'change': Emitted after a reload that changed a provider's addresses or ranges (see getLastChange()).
+     *   Payload: { provider: string, added: { ipv4: string[], ipv6: string[] },
+     *   removed: { ipv4: string[], ipv6: string[] }, timestamp: number }
+     * - 'reload:fallback': Emitted when a failed reload falls back to the last-known-good copy on disk.
+     *   Payload: { provider: string, source: string, savedAt: number, timestamp: number }
+     * - 'reload:rejected': Emitted when reloaded data fails the reload thresholds and the previous data is kept.
+     *   Payload: { provider: string, reason: string, message: string, previousCount: number, count: number,
+     *   timestamp: number }
+     * - 'stale': Emitted when a provider becomes stale. Payload: { provider: string, lastUpdated: number, staleDuration: number, timestamp: number }
+     * - 'provider:disabled': Emitted when a provider is disabled. Payload: { provider: string, timestamp: number }
+     * - 'provider:enabled': Emitted when a provider is re-enabled. Payload: { provider: string, timestamp: number }
+     * - 'lookup:denied': Emitted when a deny provider blocks an IP (not again for cached getTrustedProvider() results).
+     *   Payload: { provider: string, ip: string, matchType: string, matchedRange: string, overridden: string|null,
+     *   timestamp: number }
+     *
+     * @param {string} event - The event name to listen for
+     * @param {Function} listener - The callback function to invoke when the event is emitted
+     * @returns {EventEmitter} The event emitter (for chaining)
+     *
+     * @example
+     * trustedProviders.on('reload:success', ({ provider, timestamp }) => {
+     *   console.log(`Provider ${provider} reloaded successfully at ${new Date(timestamp)}`);
+     * });
+     *
+     * trustedProviders.on('error', ({ provider, error }) => {
+     *   console.error(`Provider ${provider} failed to reload: ${error.message}`);
+     * });
+     *
+     * trustedProviders.on('stale', ({ provider, staleDuration }) => {
+     *   console.warn(`Provider ${provider} is stale (${Math.floor(staleDuration / 3600000)}h old)`);
+     * });
+     *
+     * trustedProviders.on('reload:rejected', ({ provider, message }) => {
+     *   console.warn(`Kept the previous data for ${provider}: ${message}`);
+     * });
+     */
+    on: (event, listener) => {
+      return events.on(event, listener);
+    },
+
+    /**
+     * Registers a one-time event listener for provider lifecycle events.
+     * The listener will be invoked once and then automatically removed.
+     *
+     * @param {string} event - The event name to listen for
+     * @param {Function} listener - The callback function to invoke when the event is emitted
+     * @returns {EventEmitter} The event emitter (for chaining)
+     *
+     * @example
+     * trustedProviders.once('reload:success', ({ provider }) => {
+     *   console.log(`First reload complete: ${provider}`);
+     * });
+     */
+    once: (event, listener) => {
+      return events.once(event, listener);
+    },
+
+    /**
+     * Removes an event listener.
+     *
+     * @param {string} event - The event name
+     * @param {Function} listener - The callback function to remove
+     * @returns {EventEmitter} The event emitter (for chaining)
+     *
+     * @example
+     * const handleError = ({ provider, error }) => {
+     *   console.error(`Error in ${provider}: ${error.message}`);
+     * };
+     *
+     * trustedProviders.on('error', handleError);
+     * // ... later ...
+     * trustedProviders.off('error', handleError);
+     */
+    off: (event, listener) => {
+      return events.off(event, listener);
+    },
+
+    /**
+     * Returns the current status of a provider including its state, last update time, and any errors.
+     * The state of a disabled provider is 'disabled', whatever the outcome of its last reload. The state is
+     * 'offline' if its last reload needed the network while the network mode is offline (see setNetworkMode).
+     * The source says where the live data came from: 'provider' (the data it was registered with), 'reload',
+     * 'snapshot' (see importSnapshot) or 'last-known-good' (see setLastKnownGoodDir), in which case cacheAge
+     * is the age of that copy in ms. For a provider with reloadSources, reloadSource names the source its last
+     * successful reload used, e.g. { type: 'asset', location: '/.../googlebot-ips.json' } after a fallback.
+     *
+     * @param {string} providerName - The name of the provider to check
+     * @returns {{ state: string, lastUpdated: number|null, lastError: Error|null, source: string,
+     *   cacheAge: number|null, reloadSource: { type: string, location: string }|null }|null} Provider status
+     *   object, or null if provider doesn't exist
+     *
+     * @example
+     * const status = trustedProviders.getProviderStatus('Googlebot');
+     * if (status) {
+     *   console.log(`State: ${status.state}`);
+     *   console.log(`Last updated: ${new Date(status.lastUpdated)}`);
+     *   if (status.lastError) {
+     *     console.error(`Error: ${status.lastError.message}`);
+     *   }
+     * }
+     */
+    getProviderStatus: (providerName) => {
+      if (!self.hasProvider(providerName)) {
+        return null;
+      }
+
+      const metadata = providerMetadata.get(providerName);
+      if (!metadata) {
+        return null;
+      }
+
+      // Return a copy to prevent external mutation
+      return {
+        state: disabledProviders.has(providerName) ? PROVIDER_STATE_DISABLED : metadata.state,
+        lastUpdated: metadata.lastUpdated,
+        lastError: metadata.lastError,
+        source: metadata.source,
+        cacheAge: metadata.source === DATA_SOURCE_LAST_KNOWN_GOOD ? Date.now() - metadata.lastUpdated : null,
+        reloadSource: metadata.reloadSource && { ...metadata.reloadSource },
+      };
+    },
+
+    /**
+     * Returns the most recent change to a provider's data: the addresses and ranges its last data-changing
+     * reload added and removed. Reloads that leave the data as it was don't replace it, and neither do
+     * failed or rejected reloads.
+     *
+     * @param {string} providerName - The name of the provider
+     * @returns {ProviderChange|null} The last change, or null if the provider is unknown or its data hasn't changed
+     *
+     * @example
+     * const change = trustedProviders.getLastChange('Stripe Webhooks');
+     * if (change) {
+     *   const added = change.added.ipv4.length + change.added.ipv6.length;
+     *   const removed = change.removed.ipv4.length + change.removed.ipv6.length;
+     *   console.log(`${change.provider}: +${added} / -${removed} addresses`);
+     * }
+     */
+    getLastChange: (providerName) => {
+      const change = lastChanges.get(providerName);
+      return change ? copyProviderChange(change) : null;
+    },
+
+    /**
+     * Sets the staleness threshold in milliseconds.
+     * Providers that haven't been updated within this duration will be marked as stale.
+     *
+     * @param {number} thresholdMs - The staleness threshold in milliseconds
+     * @returns {void}
+     *
+     * @example
+     * // Set staleness threshold to 12 hours
+     * trustedProviders.setStalenessThreshold(12 * 60 * 60 * 1000);
+     */
+    setStalenessThreshold: (thresholdMs) => {
+      if (typeof thresholdMs === 'number' && thresholdMs > 0) {
+        stalenessThresholdMs = thresholdMs;
+      }
+    },
+
+    /**
+     * Gets the current staleness threshold in milliseconds.
+     *
+     * @returns {number} The current staleness threshold in milliseconds
+     *
+     * @example
+     * const threshold = trustedProviders.getStalenessThreshold();
+     * console.log(`Providers become stale after ${threshold / (60 * 60 * 1000)} hours`);
+     */
+    getStalenessThreshold: () => {
+      return stalenessThresholdMs;
+    },
+
+    /**
+     * Sets the reload thresholds: sanity checks that reloaded provider data must pass before it replaces
+     * the previous data. Keys that aren't given keep their default, and a null value turns a check off.
+     * A provider's own `reloadThresholds` take precedence over these.
+     *
+     * Data that fails a check is refused: lookups keep using the previous data, the provider's state
+     * becomes 'rejected' and a 'reload:rejected' event is emitted with the reason.
+     *
+     * @param {ReloadThresholds} thresholds - The thresholds to apply
+     * @throws {Error} If a threshold is unknown or isn't a non-negative number or null
+     * @returns {void}
+     *
+     * @example
+     * // Refuse updates that drop more than a quarter of a provider's entries, or contain anything broader than /12
+     * trustedProviders.setReloadThresholds({ maxShrinkPercent: 25, minIpv4PrefixLength: 12 });
+     */
+    setReloadThresholds: (thresholds) => {
+      validateReloadThresholds(thresholds);
+      reloadThresholds = { ...DEFAULT_RELOAD_THRESHOLDS, ...thresholds };
+    },
+
+    /**
+     * Gets the reload thresholds applied to providers that don't set their own.
+     *
+     * @returns {ReloadThresholds} A copy of the current reload thresholds
+     *
+     * @example
+     * const { maxShrinkPercent } = trustedProviders.getReloadThresholds();
+     */
+    getReloadThresholds: () => {
+      return { ...reloadThresholds };
+    },
+
+    /**
+     * Sets the rules getHealth() checks, replacing the current ones. Each rule picks providers by name or
+     * category and requires them to be in certain states or to have a minimum number of entries. The overall
+     * result is the status of the worst failing rule, or 'healthy' if every rule passes.
+     *
+     * By default a single rule degrades the result while any enabled provider isn't 'ready'. Include it
+     * (from getHealthRules()) to keep it alongside your own rules.
+     *
+     * @param {HealthRule[]} rules - The rules to check
+     * @throws {Error} If a rule is invalid
+     * @returns {void}
+     *
+     * @example
+     * // Payment providers must be ready; anything else not ready only degrades the result
+     * trustedProviders.setHealthRules([
+     *   ...trustedProviders.getHealthRules(),
+     *   { name: 'payments-ready', categories: ['payment'], states: ['ready'], status: 'unhealthy' },
+     * ]);
+     */
+    setHealthRules: (rules) => {
+      validateHealthRules(rules);
+      healthRules = copyHealthRules(rules);
+    },
+
+    /**
+     * Gets the rules getHealth() checks.
+     *
+     * @returns {HealthRule[]} A copy of the current rules
+     *
+     * @example
+     * const rules = trustedProviders.getHealthRules();
+     */
+    getHealthRules: () => {
+      return copyHealthRules(healthRules);
+    },
+
+    /**
+     * Summarises the instance's health in one call, e.g. for a readiness probe.
+     *
+     * Reports every provider's status with its entry counts, the cache statistics (see getCacheStats) and the
+     * staleness threshold, and checks the health rules (see setHealthRules). The overall status is 'healthy' if
+     * every rule passes, otherwise the status of the worst failing rule, and failures lists each provider that
+     * failed a rule.
+     *
+     * @returns {{ status: string, timestamp: number, failures: Object[], providers: Object[],
+     *   caches: Object, stalenessThresholdMs: number }} The health report. Each provider has name, categories,
+     *   state, lastUpdated, lastError (the message), source, reloadSource and entries ({ ipv4, ipv6, total }).
+     *   Each failure has rule, status, provider and reason
+     *
+     * @example
+     * app.get('/ready', (req, res) => {
+     *   const health = trustedProviders.getHealth();
+     *   res.status(health.status === 'unhealthy' ? 503 : 200).json(health);
+     * });
+     */
+    getHealth: () => {
+      const providers = self.providers.map((provider) => {
+        const status = self.getProviderStatus(provider.name);
+        const data = liveProviderData.get(provider.name);
+        const countFamily = (ipVersion) => countProviderEntries({ [ipVersion]: data[ipVersion] });
+
+        return {
+          name: provider.name,
+          categories: [...(provider.categories ?? [])],
+          state: status.state,
+          lastUpdated: status.lastUpdated,
+          lastError: status.lastError?.message ?? null,
+          source: status.source,
+          reloadSource: status.reloadSource,
+          entries: {
+            ipv4: countFamily(IP_VERSION_V4),
+            ipv6: countFamily(IP_VERSION_V6),
+            total: countProviderEntries(data),
+          },
+        };
+      });
+
+      const failures = [];
+      healthRules.forEach((rule, index) => {
+        const ruleName = rule.name ?? String(index);
+        const fail = (provider, reason) => failures.push({ rule: ruleName, status: rule.status, provider, reason });
+
+        for (const name of rule.providers ?? []) {
+          if (!self.hasProvider(name)) {
+            fail(name, 'not registered');
+          }
+        }
+
+        for (const provider of providers) {
+          if (rule.providers && !rule.providers.includes(provider.name)) {
+            continue;
+          }
+
+          if (rule.categories && !rule.categories.some((category) => provider.categories.includes(category))) {
+            continue;
+          }
+
+          if (rule.states && !rule.states.includes(provider.state)) {
+            fail(provider.name, `state is '${provider.state}'`);
+          } else if (rule.minEntries !== undefined && provider.entries.total < rule.minEntries) {
+            fail(provider.name, `${provider.entries.total} entries, fewer than ${rule.minEntries}`);
+          }
+        }
+      });
+
+      const worst = Math.max(0, ...failures.map((failure) => HEALTH_STATUSES.indexOf(failure.status)));
+
+      return {
+        status: HEALTH_STATUSES[worst],
+        timestamp: Date.now(),
+        failures,
+        providers,
+        caches: self.getCacheStats(),
+        stalenessThresholdMs,
+      };
+    },
+
+    /**
+     * Turns the metrics on or off. Metrics are off by default, so lookups don't pay for counting.
+     *
+     * While they are on, the instance counts lookups and their durations by method, result and parsed
+     * range cache hits and misses, the lookups each provider was returned for, IP addresses
+     * getTrustedProvider() couldn't parse, and every finished reload's outcome and duration per provider.
+     * Turning them off discards the counters, and turning them on again starts from zero.
+     *
+     * @param {boolean} enabled - True to start counting, false to stop
+     * @throws {Error} If enabled is not a boolean
+     * @returns {void}
+     *
+     * @example
+     * trustedProviders.setMetricsEnabled(true);
+     */
+    setMetricsEnabled: (enabled) => {
+      if (typeof enabled !== 'boolean') {
+        throw new Error('enabled must be a boolean');
+      }
+
+      if (!enabled) {
+        metrics = null;
+      } else if (!metrics) {
+        metrics = new Metrics();
+      }
+    },
+
+    /**
+     * Checks whether metrics are being counted.
+     *
+     * @returns {boolean} True if metrics are enabled
+     */
+    isMetricsEnabled: () => {
+      return metrics !== null;
+    },
+
+    /**
+     * Sets every metrics counter back to zero. Does nothing while metrics are disabled.
+     *
+     * @returns {void}
+     */
+    resetMetrics: () => {
+      metrics?.reset();
+    },
+
+    /**
+     * Gets the metrics counters as a plain object.
+     *
+     * Cache hits and misses are counted for the getTrustedProvider() cache ('results'), the
+     * getTrustedProviders() cache ('allProviders') and the cache of parsed CIDR ranges ('parsedAddresses'),
+     * which is read when the lookup index is rebuilt and when data is validated. A cached result is looked
+     * up once, so an IP that can't be parsed counts as a parse failure on its cache miss only. Reload outcomes
+     * are 'success', 'error', 'rejected' or 'offline', and reloads that join one already in progress aren't
+     * counted again.
+     *
+     * @returns {{ since: number, lookups: Object<string, number>, lookupDurationMs: Object<string, Object>,
+     *   caches: Object, matches: Object<string, number>, parseFailures: number, reloads: Object<string, Object> }|null}
+     *   The counters (since is when counting started or was reset), or null if metrics are disabled.
+     *   lookupDurationMs has { count, total, max } per lookup method. Each reload entry has outcomes
+     *   (counts by outcome) and durationMs ({ count, total, last, max })
+     *
+     * @example
+     * const metrics = trustedProviders.getMetrics();
+     * const { hits, misses } = metrics.caches.results;
+     * console.log(`Result cache hit rate: ${((hits / (hits + misses)) * 100).toFixed(1)}%`);
+     */
+    getMetrics: () => {
+      return metrics ? metrics.toJSON() : null;
+    },
+
+    /**
+     * Gets the metrics in the Prometheus text exposition format, ready to serve from a /metrics route.
+     * Metric names start with trusted_network_. Lookup and reload durations are summaries, in seconds.
+     *
+     * @returns {string} The metrics, or an empty string if metrics are disabled
+     *
+     * @example
+     * app.get('/metrics', async (req, res) => {
+     *   res.type('text/plain; version=0.0.4').send(
+     *     `${await register.metrics()}${trustedProviders.getPrometheusMetrics()}`
+     *   );
+     * });
+     */
+    getPrometheusMetrics: () => {
+      return metrics ? metrics.toPrometheus() : '';
+    },
+
+    /**
+     * Sets the directory of the last-known-good store, or turns the store off with null.
+     *
+     * Every successful reload writes the provider's data, with its timestamp and source, to a JSON file
+     * in this directory. When a reload fails before the provider has reloaded successfully in this
+     * process (e.g. a cold start with the network down), the saved copy is loaded instead.
+     * getProviderStatus() then reports the source as 'last-known-good' with the copy's age in cacheAge,
+     * and a 'reload:fallback' event is emitted. The reload still rejects, and the state is still 'error'.
+     *
+     * @param {string|null} directory - The directory to use (created on the first save), or null
+     * @throws {Error} If directory is neither a non-empty string nor null
+     * @returns {void}
+     *
+     * @example
+     * trustedProviders.setLastKnownGoodDir('/var/cache/trusted-network-providers');
+     * await trustedProviders.reloadAll();
+     *
+     * const { source, cacheAge } = trustedProviders.getProviderStatus('Stripe API');
+     * if (source === 'last-known-good') {
+     *   console.warn(`Stripe API data is ${Math.round(cacheAge / 60000)} minutes old`);
+     * }
+     */
+    setLastKnownGoodDir: (directory) => {
+      lastKnownGoodStore = directory === null ? null : new LastKnownGoodStore(directory);
+    },
+
+    /**
+     * Gets the directory of the last-known-good store.
+     *
+     * @returns {string|null} The directory, or null if the store is off
+     *
+     * @example
+     * const directory = trustedProviders.getLastKnownGoodDir();
+     */
+    getLastKnownGoodDir: () => {
+      return lastKnownGoodStore?.directory ?? null;
+    },
+
+    /**
+     * Sets the TTL (time-to-live) for IP lookup result caching in milliseconds.
+     * Cached results older than this duration will be re-evaluated.
+     * Applies to both positive and negative results; use setResultCacheSettings() to set them apart.
+     * Changing the TTL recreates the caches (clearing all existing entries).
+     *
+     * @param {number} ttlMs - The cache TTL in milliseconds
+     * @returns {void}
+     *
+     * @example
+     * // Cache IP lookups for 30 minutes
+     * trustedProviders.setResultCacheTTL(30 * 60 * 1000);
+     */
+    setResultCacheTTL: (ttlMs) => {
+      if (typeof ttlMs === 'number' && ttlMs > 0) {
+        self.setResultCacheSettings({ positive: { ttlMs }, negative: { ttlMs } });
+      }
+    },
+
+    /**
+     * Gets the current TTL for IP lookup result caching in milliseconds.
+     * This is the TTL of positive results (lookups that matched a provider); see getResultCacheSettings().
+     *
+     * @returns {number} The current result cache TTL in milliseconds
+     *
+     * @example
+     * const ttl = trustedProviders.getResultCacheTTL();
+     * console.log(`Results are cached for ${ttl / (60 * 1000)} minutes`);
+     */
+    getResultCacheTTL: () => {
+      return resultCacheSettings.positive.ttlMs;
+    },
+
+    /**
+     * Sets the TTL and capacity of the getTrustedProvider() result caches. Lookups that matched a provider
+     * (positive results) and lookups that didn't (negative results) are cached apart, so a scan from random IPs
+     * can only evict other negative results. getTrustedProviders() results follow the positive settings.
+     * Settings that aren't given keep their current value.
+     *
+     * Changing a cache's settings recreates it, clearing its entries and its statistics. A cache adapter set with
+     * setResultCacheAdapters() is kept instead: it manages its own capacity, and new entries get the new TTL.
+     *
+     * @param {ResultCacheSettings} settings - The settings to change
+     * @throws {Error} If a cache or setting is unknown, or a value isn't a positive integer
+     * @returns {void}
+     *
+     * @example
+     * // Keep matches for an hour, but only remember unknown IPs for five minutes
+     * trustedProviders.setResultCacheSettings({
+     *   positive: { ttlMs: 60 * 60 * 1000, maxSize: 50000 },
+     *   negative: { ttlMs: 5 * 60 * 1000, maxSize: 10000 },
+     * });
+     */
+    setResultCacheSettings: (settings) => {
+      validateResultCacheSettings(settings);
+
+      if (settings.positive !== undefined) {
+        const positive = { ...resultCacheSettings.positive, ...settings.positive };
+        resultCacheSettings.positive = positive;
+        positiveResultCache = createResultCache('positive');
+        allProvidersCache = new TTLCache(positive.maxSize, positive.ttlMs);
+      }
+
+      if (settings.negative !== undefined) {
+        const negative = { ...resultCacheSettings.negative, ...settings.negative };
+        resultCacheSettings.negative = negative;
+        negativeResultCache = createResultCache('negative');
+      }
+    },
+
+    /**
+     * Sets where getTrustedProvider() caches its results. Any object with get, set (key, value, ttlMs), has,
+     * delete and clear methods can be used; TTLCache is the default and SharedMemoryCache shares results between
+     * worker_threads in one process. Pass null to go back to the default TTLCache for a cache.
+     *
+     * Entries are stored with the TTLs from setResultCacheSettings(). Adapters that implement deleteWhere() only
+     * lose the results a provider change can affect; others are cleared on every change. Workers sharing an
+     * adapter must register the same providers in the same order, as each one writes its own results to it.
+     *
+     * A worker can be in the middle of a lookup while another worker invalidates the shared entries. Adapters
+     * with a generation (like SharedMemoryCache) refuse the result of such a lookup, so it can't be written back
+     * after the invalidation. That only covers the lookup in flight: a worker that hasn't reloaded yet keeps
+     * writing results from its own older data, so reload every worker together, e.g. from one snapshot.
+     *
+     * @param {{ positive?: CacheAdapter|null, negative?: CacheAdapter|null }} adapters - The adapters to use
+     * @throws {Error} If a cache is unknown or an adapter is missing a method
+     * @returns {void}
+     *
+     * @example
+     * // main.js: create the shared tables and hand them to every worker
+     * const positive = new SharedMemoryCache(50000, 60 * 60 * 1000);
+     * const negative = new SharedMemoryCache(10000, 5 * 60 * 1000);
+     * new Worker('./worker.js', { workerData: { positive: positive.buffer, negative: negative.buffer } });
+     *
+     * // worker.js
+     * trustedProviders.setResultCacheAdapters({
+     *   positive: new SharedMemoryCache(workerData.positive),
+     *   negative: new SharedMemoryCache(workerData.negative),
+     * });
+     */
+    setResultCacheAdapters: (adapters) => {
+      if (typeof adapters !== 'object' || adapters === null || Array.isArray(adapters)) {
+        throw new Error('result cache adapters must be an object');
+      }
+
+      for (const [cache, adapter] of Object.entries(adapters)) {
+        if (!Object.hasOwn(resultCacheAdapters, cache)) {
+          throw new Error(`unknown result cache: ${cache}`);
+        }
+
+        if (adapter !== null) {
+          validateCacheAdapter(adapter);
+        }
+      }
+
+      if (adapters.positive !== undefined) {
+        resultCacheAdapters.positive = adapters.positive;
+        positiveResultCache = createResultCache('positive');
+      }
+
+      if (adapters.negative !== undefined) {
+        resultCacheAdapters.negative = adapters.negative;
+        negativeResultCache = createResultCache('negative');
+      }
+    },
+
+    /**
+     * Gets the caches getTrustedProvider() currently stores its results in.
+     *
+     * @returns {{ positive: CacheAdapter, negative: CacheAdapter }} The positive and negative result caches
+     *
+     * @example
+     * const { positive } = trustedProviders.getResultCacheAdapters();
+     * positive.delete('66.249.66.1');
+     */
+    getResultCacheAdapters: () => {
+      return { positive: positiveResultCache, negative: negativeResultCache };
+    },
+
+    /**
+     * Gets the TTL and capacity of the positive and negative result caches.
+     *
+     * @returns {{ positive: { ttlMs: number, maxSize: number }, negative: { ttlMs: number, maxSize: number } }}
+     *   A copy of the current settings
+     *
+     * @example
+     * const { negative } = trustedProviders.getResultCacheSettings();
+     * console.log(`Unknown IPs are remembered for ${negative.ttlMs / 1000} seconds`);
+     */
+    getResultCacheSettings: () => {
+      return {
+        positive: { ...resultCacheSettings.positive },
+        negative: { ...resultCacheSettings.negative },
+      };
+    },
+
+    /**
+     * Gets the size and access counters of every cache the instance keeps: the positive and negative
+     * getTrustedProvider() result caches, the getTrustedProviders() result cache and the parsed CIDR ranges
+     * reused when the lookup index is rebuilt. Counters start from zero when a cache is recreated.
+     * A getTrustedProvider() call counts in one result cache: the negative cache if it holds the IP,
+     * the positive cache otherwise, so a lookup of an uncached IP is a positive cache miss.
+     * A cache adapter without a getStats() method is reported as null.
+     *
+     * @returns {{ positiveResults: CacheStats|null, negativeResults: CacheStats|null, allProviders: CacheStats,
+     *   parsedRanges: CacheStats }} The statistics of each cache
+     *
+     * @example
+     * const { positiveResults, negativeResults } = trustedProviders.getCacheStats();
+     * if (negativeResults.evictions > 0) {
+     *   console.log(`Negative cache is full (${negativeResults.size} entries); consider raising its maxSize`);
+     * }
+     * console.log(`Positive hit rate: ${positiveResults.hits / (positiveResults.hits + positiveResults.misses)}`);
+     */
+    getCacheStats: () => {
+      return {
+        positiveResults: positiveResultCache.getStats?.() ?? null,
+        negativeResults: negativeResultCache.getStats?.() ?? null,
+        allProviders: allProvidersCache.getStats(),
+        parsedRanges: parsedAddresses.getStats(),
+      };
+    },
+
+    /**
+     * Checks all providers for staleness and updates their state if they exceed the staleness threshold.
+     * Emits a 'stale' event for each provider that transitions to the stale state.
+     * Disabled providers aren't checked until they are re-enabled.
+     * Should be called periodically (e.g., hourly) in long-running applications; startAutoRefresh() does this.
+     *
+     * @returns {string[]} Array of provider names that were marked as stale
+     *
+     * @example
+     * // Check for stale providers every hour
+     * setInterval(() => {
+     *   const staleProviders = trustedProviders.checkStaleness();
+     *   if (staleProviders.length > 0) {
+     *     console.log(`Marked ${staleProviders.length} provider(s) as stale:`, staleProviders);
+     *   }
+     * }, 60 * 60 * 1000);
+     */
+    checkStaleness: () => {
+      const now = Date.now();
+      const staleProviders = [];
+
+      for (const [providerName, metadata] of providerMetadata.entries()) {
+        // Skip providers that haven't been updated yet, are already stale, or are disabled
+        if (!metadata.lastUpdated || metadata.state === PROVIDER_STATE_STALE || disabledProviders.has(providerName)) {
+          continue;
+        }
+
+        // Check if the provider exceeds the staleness threshold
+        const timeSinceUpdate = now - metadata.lastUpdated;
+        if (timeSinceUpdate > stalenessThresholdMs) {
+          // Mark as stale
+          metadata.state = PROVIDER_STATE_STALE;
+          staleProviders.push(providerName);
+
+          // Emit stale event
+          events.emit('stale', {
+            provider: providerName,
+            lastUpdated: metadata.lastUpdated,
+            staleDuration: timeSinceUpdate,
+            timestamp: now,
+          });
+
+          logger.debug(
+            `⚠️  Provider ${providerName} marked as stale (${Math.floor(timeSinceUpdate / (60 * 60 * 1000))}h since update)`,
+            { provider: providerName, lastUpdated: metadata.lastUpdated, staleDurationMs: timeSinceUpdate }
+          );
+        }
+      }
+
+      return staleProviders;
+    },
+
+    /**
+     * Set the logging level for the library.
+     * Controls which messages reach the console (or the logger given to setLogger()).
+     *
+     * @param {string} level - One of: 'silent', 'error', 'warn', 'info', 'debug'
+     * @returns {void}
+     * @throws {Error} If level is invalid
+     *
+     * @example
+     * trustedProviders.setLogLevel('info'); // Show errors, warnings, and info
+     * trustedProviders.setLogLevel('silent'); // Suppress all output
+     */
+    setLogLevel: (level) => {
+      logger.setLevel(level);
+    },
+
+    /**
+     * Send the library's log messages to your own logger instead of the console.
+     * Like the log level, the logger applies to the whole process, not just this instance.
+     *
+     * Each call passes the message and, where there is one, a context object as the second argument,
+     * with fields such as provider, url, source, ip, code, error and durationMs. The log level still
+     * filters messages first, so set it to 'debug' to leave the filtering to your logger.
+     * Use createJsonLogger() for JSON lines without a logging library.
+     *
+     * @param {{ error: Function, warn: Function, info: Function, debug: Function }|null} customLogger - The
+     *   logger to use, or null to go back to the console
+     * @returns {void}
+     * @throws {Error} If customLogger is missing any of the four functions
+     *
+     * @example
+     * // pino takes the context first
+     * const log = pino();
+     * trustedProviders.setLogLevel('debug');
+     * trustedProviders.setLogger({
+     *   error: (message, context) => log.error(context, message),
+     *   warn: (message, context) => log.warn(context, message),
+     *   info: (message, context) => log.info(context, message),
+     *   debug: (message, context) => log.debug(context, message),
+     * });
+     *
+     * @example
+     * import { createJsonLogger } from '@headwall/trusted-network-providers';
+     * trustedProviders.setLogger(createJsonLogger(process.stdout));
+     */
+    setLogger: (customLogger) => {
+      logger.setLogger(customLogger);
+    },
+
+    /**
+     * Set the network mode. In offline mode the library makes no HTTP requests or DNS lookups: reloads
+     * that need the network fail with a NetworkDisabledError and leave the provider in the 'offline'
+     * state with its previous data (or its last-known-good copy), and providers with bundled data load
+     * that instead. Like the log level, the mode applies to the whole process, not just this instance.
+     * Until it's set, the mode is 'offline' if the TNP_OFFLINE environment variable is '1' or 'true'.
+     *
+     * @param {string|null} mode - 'online' or 'offline', or null to go back to the TNP_OFFLINE default
+     * @returns {void}
+     * @throws {Error} If mode is invalid
+     *
+     * @example
+     * trustedProviders.setNetworkMode('offline');
+     * await trustedProviders.reloadAll();
+     * const unpopulated = trustedProviders
+     *   .getAllProviders()
+     *   .filter(({ name }) => trustedProviders.getProviderStatus(name).state === 'offline');
+     */
+    setNetworkMode: (mode) => {
+      networkMode.setNetworkMode(mode);
+    },
+
+    /**
+     * Get the current network mode.
+     *
+     * @returns {string} 'online' or 'offline'
+     *
+     * @example
+     * if (trustedProviders.getNetworkMode() === NETWORK_MODE_OFFLINE) {
+     *   console.log('Running on bundled data');
+     * }
+     */
+    getNetworkMode: () => {
+      return networkMode.getNetworkMode();
+    },
+
+    /**
+     * Get the current logging level.
+     *
+     * @returns {string} Current log level ('silent', 'error', 'warn', 'info', or 'debug')
+     *
+     * @example
+     * const level = trustedProviders.getLogLevel();
+     * console.log(`Current log level: ${level}`); // 'error'
+     */
+    getLogLevel: () => {
+      return logger.getLevel();
+    },
+
+    /**
+     * Loads all built-in providers (Googlebot, Stripe, Cloudflare, etc.).
+     * This is typically called once during application initialization.
+     *
+     * @returns {void}
+     *
+     * @example
+     * const trustedProviders = require('@headwall/trusted-network-providers');
+     * trustedProviders.loadDefaultProviders();
+     * await trustedProviders.reloadAll();
+     */
+    loadDefaultProviders: () => {
+      for (const defaultProvider of defaultProviders) {
+        if (!self.hasProvider(defaultProvider.name)) {
+          self.addProvider(defaultProvider);
+        }
+      }
+    },
+
+    /**
+     * Reloads data for all providers that support dynamic updates.
+     * This fetches fresh IP ranges from external sources (APIs, DNS, bundled assets).
+     * Should be called periodically (e.g., daily) to keep provider data current, or see startAutoRefresh().
+     *
+     * Uses Promise.allSettled() to ensure all providers are attempted, even if some fail.
+     * Failed reloads are logged but don't prevent other providers from updating.
+     *
+     * Reloads are atomic per provider: new data is staged, validated and only then swapped in, so
+     * lookups keep using the previous data while a provider reloads, and keep it if the reload fails.
+     *
+     * Disabled providers are skipped unless includeDisabled is set, in which case their data is
+     * refreshed (and their metadata updated) so they are current when re-enabled. They stay disabled.
+     *
+     * @param {Object} [options] - Reload options
+     * @param {boolean} [options.includeDisabled=false] - Also reload providers turned off with disableProvider()
+     * @returns {Promise<PromiseSettledResult<void>[]>} Promise that resolves with one result per reloaded provider
+     *
+     * @example
+     * // Initial load
+     * trustedProviders.loadDefaultProviders();
+     * await trustedProviders.reloadAll();
+     *
+     * // Periodic update (once per day)
+     * setInterval(async () => {
+     *   try {
+     *     const results = await trustedProviders.reloadAll();
+     *     const failed = results.filter(r => r.status === 'rejected');
+     *     if (failed.length > 0) {
+     *       console.error(`Failed to reload ${failed.length} provider(s)`);
+     *     } else {
+     *       console.log('All provider data updated');
+     *     }
+     *   } catch (error) {
+     *     console.error('Failed to reload providers:', error);
+     *   }
+     * }, 24 * 60 * 60 * 1000);
+     */
+    reloadAll: async ({ includeDisabled = false } = {}) => {
+      const reloadRequests = [];
+
+      for (const provider of self.providers) {
+        if (!includeDisabled && disabledProviders.has(provider.name)) {
+          continue;
+        }
+
+        if (canReload(provider)) {
+          reloadRequests.push(startReload(provider));
+        }
+      }
+
+      // Use Promise.allSettled (not Promise.all) to ensure all providers are attempted
+      // even if some fail. This is critical for resilience — we want partial success.
+      // If we used Promise.all, a single provider failure would abort the entire reload.
+      const results = await Promise.allSettled(reloadRequests);
+
+      // Each reload has already dropped the cached results its new data can affect and invalidated the
+      // lookup index, so lookups for providers whose data didn't change stay cached
+      return results;
+    },
+
+    /**
+     * Reloads a single provider, with the same staged swap, state tracking and events as reloadAll().
+     * Only the cached results the provider's new data can affect are dropped, so lookups for IPs
+     * of higher-priority providers stay cached, and nothing is dropped if the data didn't change.
+     *
+     * A disabled provider is reloaded too, and stays disabled. If the provider is already reloading,
+     * this joins that reload instead of starting another.
+     *
+     * @param {string} providerName - The name of the provider to reload
+     * @param {Object} [options] - Reload options
+     * @param {ReloadThresholds} [options.reloadThresholds] - Thresholds for this reload only, taking precedence
+     *   over the provider's and the instance's, e.g. to accept an update that was rejected
+     * @returns {Promise<void>} Resolves once the new data is live
+     * @throws {Error} If the provider is unknown, has no reload function, fails to reload, or its data is refused
+     *
+     * @example
+     * // Retry one provider after a transient outage
+     * await trustedProviders.reloadProvider('Stripe API');
+     *
+     * // Accept a legitimate update that shrank the provider past the thresholds
+     * await trustedProviders.reloadProvider('Stripe API', { reloadThresholds: { maxShrinkPercent: null } });
+     */
+    reloadProvider: async (providerName, { reloadThresholds: thresholdOverrides } = {}) => {
+      const provider = self.providers.find((testProvider) => testProvider.name === providerName);
+      if (!provider) {
+        throw new Error(`Unknown provider: ${providerName}`);
+      }
+
+      if (!canReload(provider)) {
+        throw new Error(`Provider "${providerName}" has no reload function or reload sources`);
+      }
+
+      if (thresholdOverrides !== undefined) {
+        validateReloadThresholds(thresholdOverrides);
+      }
+
+      await startReload(provider, thresholdOverrides);
+    },
+
+    /**
+     * Starts reloading providers on a schedule and checking them for staleness, replacing the
+     * setInterval() loops around reloadAll() and checkStaleness().
+     *
+     * Every provider with a reload function gets its own timer, including providers added later.
+     * A failed reload is retried with exponential backoff (initialDelay, doubling up to maxDelay) until
+     * it succeeds, never waiting longer than the provider's regular interval. Disabled providers stay
+     * scheduled but aren't reloaded until they are re-enabled. All timers are unref()'d, so they don't
+     * keep the process alive. Calling this again restarts the schedule with the new options.
+     *
+     * The first scheduled reload happens one interval after starting, so load the data with
+     * reloadAll() first.
+     *
+     * @param {Object} [options] - Schedule options (all durations in milliseconds)
+     * @param {number} [options.defaultInterval=86400000] - Time between reloads of a provider (default: 24 hours)
+     * @param {Object<string, number>} [options.perProvider] - Intervals for individual providers, by name
+     * @param {number} [options.jitter=0.1] - Vary each delay randomly by up to this fraction (0 to 1)
+     * @param {boolean|Object} [options.retryOnError=true] - Retry failed reloads with backoff; false waits for the
+     *   next interval. Pass { initialDelay, maxDelay } to tune the backoff (defaults: 1 minute, 1 hour)
+     * @param {number} [options.stalenessCheckInterval=3600000] - Time between checkStaleness() runs (default: 1 hour)
+     * @throws {Error} If an option is invalid
+     * @returns {void}
+     *
+     * @example
+     * trustedProviders.loadDefaultProviders();
+     * await trustedProviders.reloadAll();
+     *
+     * trustedProviders.startAutoRefresh({
+     *   defaultInterval: 24 * 60 * 60 * 1000,
+     *   perProvider: { 'Stripe API': 60 * 60 * 1000, 'Stripe Webhooks': 60 * 60 * 1000 },
+     * });
+     */
+    startAutoRefresh: (options = {}) => {
+      const settings = resolveAutoRefreshOptions(options);
+      self.stopAutoRefresh();
+
+      logger.debug('⏱️  Start auto refresh');
+
+      const stalenessTimer = setInterval(() => self.checkStaleness(), settings.stalenessCheckInterval);
+      stalenessTimer.unref();
+      autoRefresh = { settings, timers: new Map(), failures: new Map(), stalenessTimer };
+
+      for (const provider of self.providers) {
+        if (canReload(provider)) {
+          scheduleRefresh(provider.name, getRefreshInterval(provider.name));
+        }
+      }
+    },
+
+    /**
+     * Stops the schedule started by startAutoRefresh(). Reloads already in progress carry on,
+     * but nothing is scheduled after them. Does nothing if auto refresh isn't running.
+     *
+     * @returns {void}
+     *
+     * @example
+     * process.on('SIGTERM', () => trustedProviders.stopAutoRefresh());
+     */
+    stopAutoRefresh: () => {
+      if (!autoRefresh) {
+        return;
+      }
+
+      logger.debug('⏹️  Stop auto refresh');
+
+      for (const timer of autoRefresh.timers.values()) {
+        clearTimeout(timer);
+      }
+      clearInterval(autoRefresh.stalenessTimer);
+      autoRefresh = null;
+    },
+
+    /**
+     * Identifies which trusted provider (if any) an IP address belongs to.
+     * Returns the provider name on match, or null if the IP is not trusted.
+     *
+     * Lookups go through a compiled prefix trie (one per address family), so the cost is bounded
+     * by the address width rather than the number of loaded ranges. The trie is rebuilt lazily
+     * after providers are added, deleted or reloaded.
+     * The first provider in priority order wins, so provider order matters if ranges overlap
+     * (see addProvider(), insertProvider() and setProviderOrder()).
+     * An IP inside one of a provider's `exclude` entries is never attributed to that provider, so a
+     * lower-priority provider covering the IP can still match.
+     *
+     * Results are cached with a configurable TTL to improve performance for repeated lookups, matches and
+     * negative results in separate caches (see setResultCacheSettings() and setResultCacheAdapters()).
+     * Adding, deleting, enabling, disabling or reloading a provider only drops the cached results it can affect.
+     *
+     * Pass `categories` to only trust providers in at least one of the given categories. Providers
+     * in other categories are ignored, so a lower-priority provider in the category can still match.
+     * An empty categories array matches nothing.
+     *
+     * Deny providers (`mode: 'deny'`) are evaluated first: an IP matched by an enabled deny provider
+     * is never trusted, whichever allow providers cover it and whatever categories are requested.
+     * A 'lookup:denied' event is emitted when this happens.
+     *
+     * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
+     * @param {Object} [options] - Lookup options
+     * @param {string[]} [options.categories] - Only consider providers in these categories, e.g. ['payment']
+     * @returns {string|null} The name of the trusted provider, or null if not found
+     * @throws {Error} If categories is not an array of strings
+     *
+     * @example
+     * const provider = trustedProviders.getTrustedProvider('66.249.66.1');
+     * if (provider === 'Googlebot') {
+     *   console.log('Request is from Googlebot');
+     * }
+     *
+     * @example
+     * // Express.js middleware example
+     * app.use((req, res, next) => {
+     *   const provider = trustedProviders.getTrustedProvider(req.ip);
+     *   if (provider) {
+     *     req.trustedProvider = provider;
+     *   }
+     *   next();
+     * });
+     *
+     * @example
+     * // Only accept webhook calls from payment providers
+     * const provider = trustedProviders.getTrustedProvider(req.ip, { categories: [PROVIDER_CATEGORY_PAYMENT] });
+     */
+    getTrustedProvider: (ipAddress, { categories } = {}) => {
+      const lookupCategories = normaliseCategories(categories);
+      const cacheKey = getResultCacheKey(ipAddress, lookupCategories);
+
+      metrics?.countLookup('getTrustedProvider');
+      const startedAt = metrics ? performance.now() : 0;
+
+      // Shared caches refuse the result if another thread invalidates them before it is cached
+      const positiveGeneration = positiveResultCache.generation;
+      const negativeGeneration = negativeResultCache.generation;
+
+      // Check the result caches first (hot path for repeated lookups)
+      // They have TTL expiry, so stale results are automatically invalidated
+      // An IP is cached in at most one of them, so only that one is read: has() doesn't count as a hit or miss,
+      // and each lookup shows up in one cache's stats (the positive cache's, if neither holds the IP)
+      const resultCache = negativeResultCache.has(cacheKey) ? negativeResultCache : positiveResultCache;
+      const cachedSource = resultCache.get(cacheKey);
+      if (cachedSource !== undefined) {
+        metrics?.countCacheAccess('results', true);
+        if (cachedSource !== null) {
+          metrics?.countMatch(cachedSource);
+        }
+        metrics?.recordLookupDuration('getTrustedProvider', performance.now() - startedAt);
+        return cachedSource;
+      }
 
-    for (const test of tests) {
-      const testProviderName = test.provider ?? '_wild_';
-      const provider = self.getTrustedProvider(test.ip);
-      const foundProviderName = provider ?? '_wild_';
+      metrics?.countCacheAccess('results', false);
 
-      if (provider !== test.provider) {
-        logger.info(`❌${test.ip} => ${foundProviderName} (should be ${testProviderName})`);
+      const { parsedIp, matches } = findIndexMatches(ipAddress, lookupCategories);
+      if (!parsedIp) {
+        metrics?.countParseFailure();
+      }
+
+      const { denyMatch, trustedMatch } = resolveMatches(matches);
+      if (denyMatch) {
+        emitDenied(parsedIp, denyMatch, trustedMatch);
+      }
+
+      const trustedSource = trustedMatch && !denyMatch ? trustedMatch.provider : null;
+      if (trustedSource !== null) {
+        metrics?.countMatch(trustedSource);
+      }
+
+      // Cache the result (including null for negative lookups) with TTL
+      // Negative caching prevents repeated expensive lookups for unknown IPs
+      // This is especially important during high-volume attacks from untrusted sources,
+      // which is why negative results have their own cache and can't evict the matches
+      if (trustedSource === null) {
+        negativeResultCache.set(cacheKey, null, resultCacheSettings.negative.ttlMs, negativeGeneration);
       } else {
-        logger.info(`✅${test.ip} => ${foundProviderName}`);
+        positiveResultCache.set(cacheKey, trustedSource, resultCacheSettings.positive.ttlMs, positiveGeneration);
       }
-    }
 
-    logger.info();
-    logger.info('🏁 Finished tests');
-    logger.info();
-  },
-};
+      metrics?.recordLookupDuration('getTrustedProvider', performance.now() - startedAt);
+      return trustedSource;
+    },
+
+    /**
+     * Identifies every trusted provider an IP address belongs to.
+     * Unlike getTrustedProvider(), this doesn't stop at the first match: it returns the names of
+     * all matching providers in priority order, or an empty array if none match or a deny provider
+     * blocks the IP.
+     *
+     * Results are cached alongside getTrustedProvider() results, with the positive result cache's TTL and size
+     * limit and the same invalidation.
+     *
+     * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
+     * @param {Object} [options] - Lookup options
+     * @param {string[]} [options.categories] - Only consider providers in these categories
+     * @returns {string[]} Names of the matching providers, highest priority first
+     * @throws {Error} If categories is not an array of strings
+     *
+     * @example
+     * const providers = trustedProviders.getTrustedProviders('66.249.66.1');
+     * if (providers.includes('Cloudflare') && providers.includes('Googlebot')) {
+     *   console.log('CDN edge that is also a known crawler');
+     * }
+     */
+    getTrustedProviders: (ipAddress, { categories } = {}) => {
+      const lookupCategories = normaliseCategories(categories);
+      const cacheKey = getResultCacheKey(ipAddress, lookupCategories);
+
+      metrics?.countLookup('getTrustedProviders');
+      const startedAt = metrics ? performance.now() : 0;
+
+      const cachedNames = allProvidersCache.get(cacheKey);
+      if (cachedNames !== undefined) {
+        metrics?.countCacheAccess('allProviders', true);
+        cachedNames.forEach((name) => metrics?.countMatch(name));
+        metrics?.recordLookupDuration('getTrustedProviders', performance.now() - startedAt);
+        return [...cachedNames];
+      }
+
+      metrics?.countCacheAccess('allProviders', false);
+
+      const { parsedIp, matches } = findIndexMatches(ipAddress, lookupCategories);
+      const { denyMatch, trustedMatch } = resolveMatches(matches);
+      const providerNames = [];
+      if (denyMatch) {
+        emitDenied(parsedIp, denyMatch, trustedMatch);
+      } else {
+        // Index entries carry the provider's registry position, so sorting on it gives priority order
+        for (const match of matches.sort((a, b) => a.order - b.order)) {
+          if (!providerNames.includes(match.provider)) {
+            providerNames.push(match.provider);
+          }
+        }
+      }
+
+      allProvidersCache.set(cacheKey, providerNames);
+      providerNames.forEach((name) => metrics?.countMatch(name));
+      metrics?.recordLookupDuration('getTrustedProviders', performance.now() - startedAt);
+
+      // Return a copy so callers can't mutate the cached array
+      return [...providerNames];
+    },
+
+    /**
+     * Looks up an IP address and explains why it is trusted.
+     * Uses the same matching rules as getTrustedProvider(), but returns the details of the match
+     * for audit logging rather than just the provider name.
+     *
+     * The provider status is read at call time, so it reveals when an IP was trusted on the
+     * strength of a provider that is stale or whose last reload failed.
+     *
+     * If a deny provider blocks the IP, the result is still returned for audit purposes, with
+     * `provider` set to null and `deniedBy` naming the deny provider. Results aren't cached, so
+     * every blocked lookup emits a 'lookup:denied' event.
+     *
+     * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
+     * @param {Object} [options] - Lookup options
+     * @param {string[]} [options.categories] - Only consider providers in these categories
+     * @returns {LookupResult|null} Details of the match, or null if no provider matched
+     * @throws {Error} If categories is not an array of strings
+     *
+     * @example
+     * const result = trustedProviders.lookup('66.249.66.1');
+     * if (result) {
+     *   console.log(`${result.ip} trusted as ${result.provider} via ${result.matchType} ${result.matchedRange}`);
+     *   if (result.status.state === PROVIDER_STATE_STALE) {
+     *     console.warn(`${result.provider} data is stale`);
+     *   }
+     * }
+     *
+     * @example
+     * const result = trustedProviders.lookup(req.ip);
+     * if (result?.deniedBy) {
+     *   console.warn(`${result.ip} blocked by ${result.deniedBy} via ${result.matchedRange}`);
+     * }
+     */
+    lookup: (ipAddress, { categories } = {}) => {
+      metrics?.countLookup('lookup');
+      const startedAt = metrics ? performance.now() : 0;
+
+      const { parsedIp, matches } = findIndexMatches(ipAddress, normaliseCategories(categories));
+      const { denyMatch, trustedMatch } = resolveMatches(matches);
+      if (denyMatch) {
+        emitDenied(parsedIp, denyMatch, trustedMatch);
+      }
+
+      const bestMatch = denyMatch ?? trustedMatch;
+      if (!bestMatch) {
+        metrics?.recordLookupDuration('lookup', performance.now() - startedAt);
+        return null;
+      }
+
+      if (!denyMatch) {
+        metrics?.countMatch(bestMatch.provider);
+      }
+
+      const result = {
+        provider: denyMatch ? null : bestMatch.provider,
+        deniedBy: denyMatch ? denyMatch.provider : null,
+        matchType: bestMatch.matchType,
+        matchedRange: bestMatch.match,
+        ip: parsedIp.toString(),
+        ipVersion: parsedIp.kind(),
+        status: self.getProviderStatus(bestMatch.provider),
+      };
+
+      metrics?.recordLookupDuration('lookup', performance.now() - startedAt);
+      return result;
+    },
+
+    /**
+     * Explains how an IP address lookup is resolved.
+     * Reports, for every registered provider in priority order, whether it was skipped (and why),
+     * matched, denied the IP, was shadowed by a higher-priority or deny match, or didn't match
+     * (with the nearest entries).
+     *
+     * The matching itself goes through the same lookup index as getTrustedProvider(), so the
+     * reported winner is always the provider getTrustedProvider() would return.
+     * Results are not cached.
+     *
+     * @param {string} ipAddress - The IP address to explain (IPv4 or IPv6)
+     * @returns {Explanation} The explanation
+     *
+     * @example
+     * const explanation = trustedProviders.explain('66.249.66.1');
+     * for (const report of explanation.providers) {
+     *   console.log(`${report.provider}: ${report.outcome}`, report.skipReason ?? report.matchedRange ?? '');
+     * }
+     * console.log(`Winner: ${explanation.provider ?? 'none'}`);
+     */
+    explain: (ipAddress) => {
+      const { parsedIp, matches, exclusions } = findIndexMatches(ipAddress);
+      if (!parsedIp) {
+        return { ip: ipAddress, ipVersion: null, valid: false, provider: null, deniedBy: null, providers: [] };
+      }
+
+      const { denyMatch, trustedMatch } = resolveMatches(matches);
+      const winningMatch = denyMatch ?? trustedMatch;
+
+      return {
+        ip: parsedIp.toString(),
+        ipVersion: parsedIp.kind(),
+        valid: true,
+        provider: trustedMatch && !denyMatch ? trustedMatch.provider : null,
+        deniedBy: denyMatch ? denyMatch.provider : null,
+        providers: self.providers.map((provider, order) =>
+          explainProvider(
+            provider,
+            order,
+            parsedIp,
+            matches.filter((match) => match.order === order),
+            exclusions.filter((exclusion) => exclusion.order === order),
+            winningMatch
+          )
+        ),
+      };
+    },
+
+    /**
+     * Checks if an IP address belongs to any trusted provider.
+     * This is a convenience wrapper around getTrustedProvider().
+     *
+     * @param {string} ipAddress - The IP address to check (IPv4 or IPv6)
+     * @param {Object} [options] - Lookup options
+     * @param {string[]} [options.categories] - Only consider providers in these categories
+     * @returns {boolean} True if the IP belongs to a trusted provider, false otherwise
+     * @throws {Error} If categories is not an array of strings
+     *
+     * @example
+     * if (trustedProviders.isTrusted('34.237.253.141')) {
+     *   console.log('IP is from a trusted source');
+     * }
+     *
+     * @example
+     * // Only exempt crawlers from rate limiting
+     * const exempt = trustedProviders.isTrusted(req.ip, { categories: [PROVIDER_CATEGORY_CRAWLER] });
+     */
+    isTrusted: (ipAddress, options) => {
+      return self.getTrustedProvider(ipAddress, options) !== null;
+    },
+
+    /**
+     * Runs tests against all registered providers using their configured test addresses.
+     * Outputs results to console with ✅ for passing tests and ❌ for failures.
+     * Useful for verifying provider configuration after loading or reloading.
+     *
+     * @returns {Promise<void>} Promise that resolves when all tests complete
+     *
+     * @example
+     * trustedProviders.loadDefaultProviders();
+     * await trustedProviders.reloadAll();
+     * await trustedProviders.runTests();
+     */
+    runTests: async () => {
+      const tests = [
+        { ip: '192.42.116.182', provider: null },
+        { ip: '123.123.123.123', provider: null },
+      ];
+
+      let failedProviderIndex = 0;
+      for (const testProvider of self.getAllProviders()) {
+        if (disabledProviders.has(testProvider.name)) {
+          logger.info(`⏸️  Skipping disabled provider ${testProvider.name}`);
+        } else if (!Array.isArray(testProvider.testAddresses)) {
+          if (failedProviderIndex === 0) {
+            logger.info();
+          }
+
+          logger.info(`🔷 No tests for ${testProvider.name}`);
+          ++failedProviderIndex;
+        } else {
+          // Test addresses of a deny provider must come out untrusted
+          for (const testAddress of testProvider.testAddresses) {
+            tests.push({
+              ip: testAddress,
+              provider: getProviderMode(testProvider) === PROVIDER_MODE_DENY ? null : testProvider.name,
+            });
+          }
+        }
+      }
+
+      logger.info();
+
+      for (const test of tests) {
+        const testProviderName = test.provider ?? '_wild_';
+        const provider = self.getTrustedProvider(test.ip);
+        const foundProviderName = provider ?? '_wild_';
+
+        if (provider !== test.provider) {
+          logger.info(`❌${test.ip} => ${foundProviderName} (should be ${testProviderName})`);
+        } else {
+          logger.info(`✅${test.ip} => ${foundProviderName}`);
+        }
+      }
+
+      logger.info();
+      logger.info('🏁 Finished tests');
+      logger.info();
+    },
+  };
+
+  if (options.stalenessThresholdMs !== undefined) {
+    self.setStalenessThreshold(options.stalenessThresholdMs);
+  }
+
+  if (options.resultCacheTtlMs !== undefined) {
+    self.setResultCacheTTL(options.resultCacheTtlMs);
+  }
+
+  if (options.resultCache !== undefined) {
+    self.setResultCacheSettings(options.resultCache);
+  }
+
+  if (options.resultCacheAdapters !== undefined) {
+    self.setResultCacheAdapters(options.resultCacheAdapters);
+  }
+
+  if (options.reloadThresholds !== undefined) {
+    self.setReloadThresholds(options.reloadThresholds);
+  }
+
+  if (options.lastKnownGoodDir !== undefined) {
+    self.setLastKnownGoodDir(options.lastKnownGoodDir);
+  }
+
+  if (options.healthRules !== undefined) {
+    self.setHealthRules(options.healthRules);
+  }
+
+  if (options.metrics) {
+    self.setMetricsEnabled(true);
+  }
+
+  if (options.loadDefaultProviders) {
+    self.loadDefaultProviders();
+  }
+
+  for (const provider of options.providers ?? []) {
+    self.addProvider(provider);
+  }
+
+  return self;
+}
 
 // Export provider state constants for consumers
-export { PROVIDER_STATE_READY, PROVIDER_STATE_LOADING, PROVIDER_STATE_ERROR, PROVIDER_STATE_STALE };
+export {
+  PROVIDER_STATE_READY,
+  PROVIDER_STATE_LOADING,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_STALE,
+  PROVIDER_STATE_DISABLED,
+  PROVIDER_STATE_REJECTED,
+  PROVIDER_STATE_OFFLINE,
+};
+
+// Export reload source type and format constants for providers with reloadSources
+export { SOURCE_TYPE_URL, SOURCE_TYPE_ASSET, SOURCE_TYPE_FILE, SOURCE_FORMAT_JSON, SOURCE_FORMAT_TEXT };
+
+// Export overall status constants for getHealth()
+export { HEALTH_STATUS_HEALTHY, HEALTH_STATUS_DEGRADED, HEALTH_STATUS_UNHEALTHY };
+
+// Export network mode constants and the error offline mode throws
+export { NETWORK_MODE_ONLINE, NETWORK_MODE_OFFLINE, NetworkDisabledError };
+
+// Export data source constants for getProviderStatus()
+export { DATA_SOURCE_PROVIDER, DATA_SOURCE_RELOAD, DATA_SOURCE_LAST_KNOWN_GOOD, DATA_SOURCE_SNAPSHOT };
+
+// Export reason constants for 'reload:rejected' events
+export { REJECT_REASON_TOO_FEW_ENTRIES, REJECT_REASON_SHRINK, REJECT_REASON_GROWTH, REJECT_REASON_PREFIX_TOO_BROAD };
+
+// Export category constants used by the built-in providers
+export {
+  PROVIDER_CATEGORY_CRAWLER,
+  PROVIDER_CATEGORY_PAYMENT,
+  PROVIDER_CATEGORY_CDN,
+  PROVIDER_CATEGORY_MAIL,
+  PROVIDER_CATEGORY_SERVICE,
+  PROVIDER_CATEGORY_PRIVATE,
+};
+
+// Export provider mode constants
+export { PROVIDER_MODE_ALLOW, PROVIDER_MODE_DENY };
+
+// Export the built-in JSON-lines formatter for setLogger()
+export { createJsonLogger };
+
+// Export the cache adapters for setResultCacheAdapters()
+export { TTLCache, SharedMemoryCache };
+
+// Export match type constants for consumers of lookup()
+export { MATCH_TYPE_ADDRESS, MATCH_TYPE_RANGE };
+
+// Export outcome and skip reason constants for consumers of explain()
+export {
+  EXPLAIN_OUTCOME_MATCHED,
+  EXPLAIN_OUTCOME_DENIED,
+  EXPLAIN_OUTCOME_SHADOWED,
+  EXPLAIN_OUTCOME_NO_MATCH,
+  EXPLAIN_OUTCOME_SKIPPED,
+  SKIP_REASON_EMPTY,
+  SKIP_REASON_WRONG_FAMILY,
+  SKIP_REASON_INVALID_DATA,
+  SKIP_REASON_DISABLED,
+  SKIP_REASON_EXCLUDED,
+};
+
+/**
+ * Shared default instance, kept for backwards compatibility.
+ * Importing the default export in several modules gives them all the same instance.
+ */
+const defaultNetwork = createTrustedNetwork();
 
-export default self;
+export default defaultNetwork;
@@ -0,0 +1,102 @@
+/**
+ * On-disk store of the last data each provider loaded successfully.
+ * Keeps one JSON file per provider in a directory, so a process that starts without network
+ * access can still serve the data from its last successful reload.
+ * Files are written to a temporary name and renamed into place, so a crash mid-write never
+ * leaves a truncated copy behind.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const STORE_FORMAT_VERSION = 1;
+
+/**
+ * Check whether a value can be an ipv4 or ipv6 address pool
+ * @param {*} value - The value to check
+ * @returns {boolean} True for a plain object
+ */
+function isAddressPool(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export class LastKnownGoodStore {
+  /**
+   * Create a new store
+   * @param {string} directory - Directory to keep the provider files in (created on the first save)
+   */
+  constructor(directory) {
+    if (typeof directory !== 'string' || directory.length === 0) {
+      throw new Error('directory must be a non-empty string');
+    }
+
+    this.directory = directory;
+  }
+
+  /**
+   * Get the path of a provider's file
+   * @param {string} providerName - The provider name
+   * @returns {string} The file path (the name is URI-encoded, so any provider name is a safe file name)
+   */
+  getFilePath(providerName) {
+    return path.join(this.directory, `${encodeURIComponent(providerName)}.json`);
+  }
+
+  /**
+   * Save a provider's data, replacing any previous copy
+   * @param {string} providerName - The provider name
+   * @param {{ ipv4: Object, ipv6: Object }} data - The provider's address data
+   * @param {Object} details - Where the data came from
+   * @param {number} details.savedAt - When the data was loaded (ms since the epoch)
+   * @param {string} details.source - The source the data was loaded from
+   * @returns {Promise<void>}
+   */
+  async save(providerName, data, { savedAt, source }) {
+    const filePath = this.getFilePath(providerName);
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    const document = {
+      version: STORE_FORMAT_VERSION,
+      provider: providerName,
+      savedAt,
+      source,
+      ipv4: data.ipv4,
+      ipv6: data.ipv6,
+    };
+
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(temporaryPath, JSON.stringify(document), 'utf8');
+    await rename(temporaryPath, filePath);
+  }
+
+  /**
+   * Load a provider's saved data
+   * @param {string} providerName - The provider name
+   * @returns {Promise<{ ipv4: Object, ipv6: Object, savedAt: number, source: string }|null>} The saved copy,
+   *   or null if there is none
+   * @throws {Error} If the file exists but can't be read, or isn't a saved copy of this provider's data
+   */
+  async load(providerName) {
+    let contents;
+    try {
+      contents = await readFile(this.getFilePath(providerName), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const document = JSON.parse(contents);
+    if (
+      document?.version !== STORE_FORMAT_VERSION ||
+      document.provider !== providerName ||
+      !Number.isFinite(document.savedAt) ||
+      !isAddressPool(document.ipv4) ||
+      !isAddressPool(document.ipv6)
+    ) {
+      throw new Error(`Not a saved copy of ${providerName}: ${this.getFilePath(providerName)}`);
+    }
+
+    return { ipv4: document.ipv4, ipv6: document.ipv6, savedAt: document.savedAt, source: document.source };
+  }
+}
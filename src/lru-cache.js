@@ -2,6 +2,7 @@
  * Simple LRU (Least Recently Used) cache implementation.
  * Stores key-value pairs with a maximum size limit.
  * When the cache is full, the least recently accessed item is evicted.
+ * Hits, misses and evictions are counted and reported by getStats().
  */
 export class LRUCache {
   /**
@@ -15,6 +16,7 @@ export class LRUCache {
 
     this.maxSize = maxSize;
     this.cache = new Map(); // Map maintains insertion order
+    this.resetStats();
   }
 
   /**
@@ -24,6 +26,7 @@ export class LRUCache {
    */
   get(key) {
     if (!this.cache.has(key)) {
+      this.misses++;
       return undefined;
     }
 
@@ -31,6 +34,7 @@ export class LRUCache {
     const value = this.cache.get(key);
     this.cache.delete(key);
     this.cache.set(key, value);
+    this.hits++;
 
     return value;
   }
@@ -53,11 +57,13 @@ export class LRUCache {
     if (this.cache.size > this.maxSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
+      this.evictions++;
     }
   }
 
   /**
-   * Check if a key exists in the cache
+   * Check if a key exists in the cache.
+   * Unlike get(), this doesn't count as a hit or miss.
    * @param {string} key - The cache key
    * @returns {boolean} True if the key exists
    */
@@ -79,4 +85,29 @@ export class LRUCache {
   get size() {
     return this.cache.size;
   }
+
+  /**
+   * Get the cache's size and access counters.
+   * Entries never expire, so expirations is always 0; it is reported to match TTLCache.getStats().
+   * @returns {{size: number, maxSize: number, hits: number, misses: number, evictions: number, expirations: number}}
+   */
+  getStats() {
+    return {
+      size: this.cache.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      expirations: 0,
+    };
+  }
+
+  /**
+   * Set the hit, miss and eviction counters back to zero, keeping the cached entries
+   */
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
 }
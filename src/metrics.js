@@ -0,0 +1,241 @@
+/**
+ * Counters for an instance's lookups, caches and reloads.
+ * Metrics are opt-in: an instance only creates a Metrics object once they are enabled, so lookups
+ * pay nothing for them otherwise.
+ *
+ * The counters can be read as a plain object (toJSON) or rendered in the Prometheus text
+ * exposition format (toPrometheus) for a /metrics route.
+ */
+
+const METRIC_PREFIX = 'trusted_network'; // Prefix of every Prometheus metric name
+
+const RELOAD_OUTCOME_SUCCESS = 'success'; // The reloaded data went live
+const RELOAD_OUTCOME_ERROR = 'error'; // The reload failed or its data was invalid
+const RELOAD_OUTCOME_REJECTED = 'rejected'; // The data was refused by the reload thresholds
+const RELOAD_OUTCOME_OFFLINE = 'offline'; // Offline mode kept the provider from reloading
+
+const RELOAD_OUTCOMES = [RELOAD_OUTCOME_SUCCESS, RELOAD_OUTCOME_ERROR, RELOAD_OUTCOME_REJECTED, RELOAD_OUTCOME_OFFLINE];
+
+const LOOKUP_METHODS = ['getTrustedProvider', 'getTrustedProviders', 'lookup'];
+
+/**
+ * Escapes a Prometheus label value
+ * @param {string} value - The raw label value
+ * @returns {string} The value with backslashes, quotes and newlines escaped
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats one Prometheus sample line
+ * @param {string} name - Metric name, without the prefix
+ * @param {Object<string, string>} labels - Label names and values
+ * @param {number} value - The sample value
+ * @returns {string} The sample line
+ */
+function formatSample(name, labels, value) {
+  const labelPairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`);
+  const labelText = labelPairs.length > 0 ? `{${labelPairs.join(',')}}` : '';
+
+  return `${METRIC_PREFIX}_${name}${labelText} ${value}`;
+}
+
+export class Metrics {
+  /**
+   * Create a new set of metrics, with every counter at zero
+   */
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Set every counter back to zero
+   */
+  reset() {
+    this.since = Date.now();
+    this.lookups = Object.fromEntries(LOOKUP_METHODS.map((method) => [method, 0]));
+    this.lookupDurationMs = Object.fromEntries(
+      LOOKUP_METHODS.map((method) => [method, { count: 0, total: 0, max: 0 }])
+    );
+    this.caches = {
+      results: { hits: 0, misses: 0 },
+      allProviders: { hits: 0, misses: 0 },
+      parsedAddresses: { hits: 0, misses: 0 },
+    };
+    this.matches = new Map(); // provider name → lookups it was returned for
+    this.parseFailures = 0;
+    this.reloads = new Map(); // provider name → { outcomes, durationMs }
+  }
+
+  /**
+   * Count a lookup
+   * @param {string} method - The lookup method: 'getTrustedProvider', 'getTrustedProviders' or 'lookup'
+   */
+  countLookup(method) {
+    this.lookups[method] += 1;
+  }
+
+  /**
+   * Record how long a lookup took
+   * @param {string} method - The lookup method: 'getTrustedProvider', 'getTrustedProviders' or 'lookup'
+   * @param {number} durationMs - How long the lookup took, in milliseconds
+   */
+  recordLookupDuration(method, durationMs) {
+    const duration = this.lookupDurationMs[method];
+    duration.count += 1;
+    duration.total += durationMs;
+    duration.max = Math.max(duration.max, durationMs);
+  }
+
+  /**
+   * Count a cache hit or miss
+   * @param {string} cache - 'results', 'allProviders' or 'parsedAddresses'
+   * @param {boolean} hit - True for a hit, false for a miss
+   */
+  countCacheAccess(cache, hit) {
+    this.caches[cache][hit ? 'hits' : 'misses'] += 1;
+  }
+
+  /**
+   * Count a lookup that returned a provider
+   * @param {string} provider - The provider name
+   */
+  countMatch(provider) {
+    this.matches.set(provider, (this.matches.get(provider) ?? 0) + 1);
+  }
+
+  /**
+   * Count an IP address that getTrustedProvider() couldn't parse
+   */
+  countParseFailure() {
+    this.parseFailures += 1;
+  }
+
+  /**
+   * Record a finished reload
+   * @param {string} provider - The provider name
+   * @param {string} outcome - 'success', 'error', 'rejected' or 'offline'
+   * @param {number} durationMs - How long the reload took, in milliseconds
+   */
+  recordReload(provider, outcome, durationMs) {
+    if (!this.reloads.has(provider)) {
+      this.reloads.set(provider, {
+        outcomes: Object.fromEntries(RELOAD_OUTCOMES.map((name) => [name, 0])),
+        durationMs: { count: 0, total: 0, last: 0, max: 0 },
+      });
+    }
+
+    const reload = this.reloads.get(provider);
+    reload.outcomes[outcome] += 1;
+    reload.durationMs.count += 1;
+    reload.durationMs.total += durationMs;
+    reload.durationMs.last = durationMs;
+    reload.durationMs.max = Math.max(reload.durationMs.max, durationMs);
+  }
+
+  /**
+   * Copy the counters into a plain object
+   * @returns {Object} The counters, safe for the caller to modify
+   */
+  toJSON() {
+    return {
+      since: this.since,
+      lookups: { ...this.lookups },
+      lookupDurationMs: Object.fromEntries(
+        Object.entries(this.lookupDurationMs).map(([method, duration]) => [method, { ...duration }])
+      ),
+      caches: Object.fromEntries(Object.entries(this.caches).map(([cache, counts]) => [cache, { ...counts }])),
+      matches: Object.fromEntries(this.matches),
+      parseFailures: this.parseFailures,
+      reloads: Object.fromEntries(
+        [...this.reloads].map(([provider, { outcomes, durationMs }]) => [
+          provider,
+          { outcomes: { ...outcomes }, durationMs: { ...durationMs } },
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Render the counters in the Prometheus text exposition format (version 0.0.4)
+   * @returns {string} The metrics, ending with a newline
+   */
+  toPrometheus() {
+    const lines = [];
+    const addMetric = (name, type, help, samples) => {
+      lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`, `# TYPE ${METRIC_PREFIX}_${name} ${type}`);
+      for (const [sampleName, labels, value] of samples) {
+        lines.push(formatSample(sampleName, labels, value));
+      }
+    };
+
+    addMetric(
+      'lookups_total',
+      'counter',
+      'IP address lookups, by method.',
+      Object.entries(this.lookups).map(([method, count]) => ['lookups_total', { method }, count])
+    );
+    addMetric(
+      'lookup_duration_seconds',
+      'summary',
+      'Time taken by IP address lookups, by method.',
+      Object.entries(this.lookupDurationMs).flatMap(([method, duration]) => [
+        ['lookup_duration_seconds_sum', { method }, duration.total / 1000],
+        ['lookup_duration_seconds_count', { method }, duration.count],
+      ])
+    );
+    addMetric(
+      'cache_hits_total',
+      'counter',
+      'Lookup result and parsed range cache hits, by cache.',
+      Object.entries(this.caches).map(([cache, { hits }]) => ['cache_hits_total', { cache }, hits])
+    );
+    addMetric(
+      'cache_misses_total',
+      'counter',
+      'Lookup result and parsed range cache misses, by cache.',
+      Object.entries(this.caches).map(([cache, { misses }]) => ['cache_misses_total', { cache }, misses])
+    );
+    addMetric(
+      'matches_total',
+      'counter',
+      'Lookups that returned a provider, by provider.',
+      [...this.matches].map(([provider, count]) => ['matches_total', { provider }, count])
+    );
+    addMetric('parse_failures_total', 'counter', 'IP addresses getTrustedProvider() could not parse.', [
+      ['parse_failures_total', {}, this.parseFailures],
+    ]);
+
+    const reloads = [...this.reloads];
+    addMetric(
+      'reloads_total',
+      'counter',
+      'Finished provider reloads, by provider and outcome.',
+      reloads.flatMap(([provider, { outcomes }]) =>
+        Object.entries(outcomes).map(([outcome, count]) => ['reloads_total', { provider, outcome }, count])
+      )
+    );
+    addMetric(
+      'reload_duration_seconds',
+      'summary',
+      'Time taken by provider reloads, by provider.',
+      reloads.flatMap(([provider, { durationMs }]) => [
+        ['reload_duration_seconds_sum', { provider }, durationMs.total / 1000],
+        ['reload_duration_seconds_count', { provider }, durationMs.count],
+      ])
+    );
+    addMetric(
+      'last_reload_duration_seconds',
+      'gauge',
+      'Time taken by the most recent reload, by provider.',
+      reloads.map(([provider, { durationMs }]) => [
+        'last_reload_duration_seconds',
+        { provider },
+        durationMs.last / 1000,
+      ])
+    );
+
+    return `${lines.join('\n')}\n`;
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Binary prefix trie for IP address matching.
+ * Stores values against CIDR prefixes (network bytes + prefix length) and returns
+ * every value whose prefix contains a given address. Lookup cost is bounded by the
+ * address width (32 bits for IPv4, 128 bits for IPv6), regardless of how many
+ * prefixes have been inserted.
+ */
+export class PrefixTrie {
+  /**
+   * Create a new prefix trie
+   * @param {number} bitLength - Address width in bits (32 for IPv4, 128 for IPv6)
+   */
+  constructor(bitLength) {
+    if (!Number.isInteger(bitLength) || bitLength <= 0 || bitLength % 8 !== 0) {
+      throw new Error('bitLength must be a positive multiple of 8');
+    }
+
+    this.bitLength = bitLength;
+    this.root = createNode();
+    this.prefixCount = 0;
+  }
+
+  /**
+   * Insert a value against a prefix
+   * @param {number[]} bytes - Network address as a byte array (e.g. from ipaddr.js toByteArray())
+   * @param {number} prefixLength - Number of leading bits that make up the prefix
+   * @param {*} value - The value to store
+   */
+  insert(bytes, prefixLength, value) {
+    if (!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > this.bitLength) {
+      throw new Error(`prefixLength must be an integer between 0 and ${this.bitLength}`);
+    }
+
+    let node = this.root;
+    for (let bitIndex = 0; bitIndex < prefixLength; ++bitIndex) {
+      const bit = getBit(bytes, bitIndex);
+      if (!node.children[bit]) {
+        node.children[bit] = createNode();
+      }
+      node = node.children[bit];
+    }
+
+    if (!node.values) {
+      node.values = [];
+    }
+    node.values.push(value);
+    ++this.prefixCount;
+  }
+
+  /**
+   * Find every value whose prefix contains the given address
+   * @param {number[]} bytes - Address as a byte array
+   * @returns {Array<*>} Matching values, ordered from the shortest prefix to the longest
+   */
+  match(bytes) {
+    const matches = [];
+    let node = this.root;
+    let bitIndex = 0;
+
+    while (node) {
+      if (node.values) {
+        matches.push(...node.values);
+      }
+
+      if (bitIndex >= this.bitLength) {
+        break;
+      }
+
+      node = node.children[getBit(bytes, bitIndex)];
+      ++bitIndex;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Remove all prefixes from the trie
+   */
+  clear() {
+    this.root = createNode();
+    this.prefixCount = 0;
+  }
+
+  /**
+   * Get the number of prefixes stored in the trie
+   * @returns {number} The number of inserted prefixes
+   */
+  get size() {
+    return this.prefixCount;
+  }
+}
+
+/**
+ * Create an empty trie node
+ * @returns {{ children: Array<object|null>, values: Array<*>|null }}
+ */
+function createNode() {
+  return { children: [null, null], values: null };
+}
+
+/**
+ * Read a single bit from a big-endian byte array
+ * @param {number[]} bytes - The byte array
+ * @param {number} bitIndex - Zero-based bit position (0 is the most significant bit)
+ * @returns {number} 0 or 1
+ */
+function getBit(bytes, bitIndex) {
+  return (bytes[bitIndex >> 3] >> (7 - (bitIndex & 7))) & 1;
+}
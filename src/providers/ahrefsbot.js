@@ -4,6 +4,7 @@
 
 export default {
   name: 'AhrefsBot',
+  categories: ['crawler'],
   testAddresses: ['54.36.148.225'],
   ipv4: {
     addresses: [],
@@ -6,6 +6,7 @@
 
 export default {
   name: 'Brevo',
+  categories: ['mail'],
   testAddresses: ['1.179.112.12', '212.146.244.34'],
   ipv4: {
     addresses: [],
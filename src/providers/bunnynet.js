@@ -14,6 +14,7 @@ const __dirname = path.dirname(__filename);
 
 const self = {
   name: 'BunnyNet',
+  categories: ['cdn'],
   testAddresses: ['193.162.131.1', '200.25.16.103', '2400:52e0:1a01::907:1'],
   reload: async () => {
     try {
@@ -49,7 +50,7 @@ const self = {
         }
       });
     } catch (error) {
-      logger.error(`Failed to load BunnyNet IPs: ${error.message}`);
+      logger.error(`Failed to load BunnyNet IPs: ${error.message}`, { provider: self.name, code: error.code, error });
       throw error;
     }
   },
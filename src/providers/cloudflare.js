@@ -4,6 +4,7 @@
 
 export default {
   name: 'Cloudflare',
+  categories: ['cdn'],
   testAddresses: ['104.18.36.98', '104.18.57.171', '104.20.22.42', '104.27.181.130', '104.27.185.30'],
   ipv4: {
     addresses: [],
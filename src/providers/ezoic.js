@@ -4,6 +4,7 @@
 
 export default {
   name: 'Ezoic',
+  categories: ['cdn'],
   testAddresses: ['3.225.202.138', '18.157.105.182'],
   ipv4: {
     addresses: [
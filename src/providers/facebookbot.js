@@ -12,34 +12,27 @@ const __dirname = path.dirname(__filename);
 
 const self = {
   name: 'FacebookBot',
+  categories: ['crawler'],
   testAddresses: ['57.141.0.3'],
   reload: async () => {
-    // Clear existing data
-    self.ipv4.ranges.length = 0;
-    self.ipv6.ranges.length = 0;
-
     try {
-      const data = await readFile(path.resolve(__dirname, '../assets/facebookbot-ip4s.txt'), 'utf8');
-      const ranges = data.split('\n');
-      ranges.forEach((range) => {
-        if (range.length) {
-          self.ipv4.ranges.push(range);
-        }
-      });
-    } catch (err) {
-      logger.error(err);
-    }
+      // Read both lists before clearing anything, so a failed read leaves the existing data in place
+      const ipv4Data = await readFile(path.resolve(__dirname, '../assets/facebookbot-ip4s.txt'), 'utf8');
+      const ipv6Data = await readFile(path.resolve(__dirname, '../assets/facebookbot-ip6s.txt'), 'utf8');
 
-    try {
-      const data = await readFile(path.resolve(__dirname, '../assets/facebookbot-ip6s.txt'), 'utf8');
-      const ranges = data.split('\n');
-      ranges.forEach((range) => {
-        if (range.length) {
-          self.ipv6.ranges.push(range);
-        }
+      // Clear existing data
+      self.ipv4.ranges.length = 0;
+      self.ipv6.ranges.length = 0;
+
+      self.ipv4.ranges.push(...ipv4Data.split('\n').filter((range) => range.length));
+      self.ipv6.ranges.push(...ipv6Data.split('\n').filter((range) => range.length));
+    } catch (error) {
+      logger.error(`Failed to load FacebookBot IPs: ${error.message}`, {
+        provider: self.name,
+        code: error.code,
+        error,
       });
-    } catch (err) {
-      logger.error(err);
+      throw error;
     }
   },
   ipv4: {
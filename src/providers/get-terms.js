@@ -4,6 +4,7 @@
 
 export default {
   name: 'GetTerms',
+  categories: ['service'],
   testAddresses: ['170.64.182.39'],
   ipv4: {
     addresses: ['170.64.182.39'],
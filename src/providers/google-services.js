@@ -4,6 +4,7 @@
 
 export default {
   name: 'Google Services',
+  categories: ['service'],
   ipv4: {
     addresses: ['8.8.8.8', '8.8.4.4'],
     ranges: [],
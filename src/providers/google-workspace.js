@@ -14,6 +14,7 @@ import spfAnalyser from '../spf-analyser.js';
 
 const self = {
   name: 'Google Workspace',
+  categories: ['mail'],
   // TODO: Re-enable test once bundled IP data is updated
   // testAddresses: ['216.58.192.190'],
   ipv4: {
@@ -1,5 +1,11 @@
 /**
  * googlebot.js
+ *
+ * Reloads from Google's live list, falling back to the bundled copy (updated by update-assets.sh)
+ * if the live list can't be fetched or fails validation, e.g. in offline mode.
+ *
+ * reload() and reloadFromWeb() predate reloadSources and are kept for callers that use them directly;
+ * the library itself never calls them.
  */
 
 import path from 'node:path';
@@ -7,6 +13,8 @@ import { fileURLToPath } from 'node:url';
 import { readFile } from 'node:fs/promises';
 import { fetchJSON } from '../utils/secure-http-client.js';
 import { verifyAssetChecksum } from '../utils/checksum-verifier.js';
+import { isOffline } from '../utils/network-mode.js';
+import { SOURCE_TYPE_ASSET, SOURCE_TYPE_URL } from '../utils/source-loader.js';
 import logger from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -14,57 +22,89 @@ const __dirname = path.dirname(__filename);
 
 const GOOGLE_ADDRESS_LIST_URL = 'https://developers.google.com/static/search/apis/ipranges/googlebot.json';
 
+/**
+ * Convert Google's address list into provider ranges
+ * @param {object} data - The parsed googlebot.json document
+ * @returns {{ ipv4: { ranges: string[] }, ipv6: { ranges: string[] } }} - The IPv4 and IPv6 ranges
+ * @throws {Error} - If the document isn't a Google address list
+ */
+function parsePrefixes(data) {
+  if (!data || !Array.isArray(data.prefixes)) {
+    throw new Error('Invalid response format from Googlebot API');
+  }
+
+  const ranges = { ipv4: { ranges: [] }, ipv6: { ranges: [] } };
+  data.prefixes.forEach((range) => {
+    if (range.ipv4Prefix) {
+      ranges.ipv4.ranges.push(range.ipv4Prefix);
+    }
+
+    if (range.ipv6Prefix) {
+      ranges.ipv6.ranges.push(range.ipv6Prefix);
+    }
+  });
+
+  return ranges;
+}
+
 const self = {
   name: 'Googlebot',
+  categories: ['crawler'],
   testAddresses: ['66.249.66.87', '66.249.70.93'],
+  // Used by reloadAll() and reloadProvider(), in this order
+  reloadSources: [
+    { type: SOURCE_TYPE_URL, url: GOOGLE_ADDRESS_LIST_URL },
+    { type: SOURCE_TYPE_ASSET, path: 'googlebot-ips.json', checksumKey: 'googlebot' },
+  ],
+  parseSource: (data) => parsePrefixes(data),
+  /**
+   * Load the bundled copy into the provider object
+   * @deprecated Use reloadProvider('Googlebot'), which falls back to the bundled copy by itself
+   */
   reload: async () => {
     try {
       // Verify checksum of bundled asset
       const assetPath = path.join(__dirname, '../assets/googlebot-ips.json');
       await verifyAssetChecksum(assetPath, 'googlebot', false);
 
-      // Clear existing ranges
+      const { ipv4, ipv6 } = parsePrefixes(JSON.parse(await readFile(assetPath, 'utf8')));
+
+      // Replace existing ranges
       self.ipv4.ranges.length = 0;
       self.ipv6.ranges.length = 0;
-
-      const newIps = JSON.parse(await readFile(assetPath, 'utf8'));
-      newIps.prefixes.forEach((range) => {
-        if (range.ipv4Prefix) {
-          self.ipv4.ranges.push(range.ipv4Prefix);
-        }
-
-        if (range.ipv6Prefix) {
-          self.ipv6.ranges.push(range.ipv6Prefix);
-        }
-      });
+      self.ipv4.ranges.push(...ipv4.ranges);
+      self.ipv6.ranges.push(...ipv6.ranges);
     } catch (error) {
-      logger.error(`Failed to load Googlebot IPs: ${error.message}`);
+      logger.error(`Failed to load Googlebot IPs: ${error.message}`, { provider: self.name, code: error.code, error });
       throw error;
     }
   },
+  /**
+   * Load Google's live list into the provider object, or the bundled copy in offline mode
+   * @deprecated Use reloadProvider('Googlebot'), which tries the live list first
+   */
   reloadFromWeb: async () => {
-    try {
-      const data = await fetchJSON(GOOGLE_ADDRESS_LIST_URL);
-
-      if (data && data.prefixes && Array.isArray(data.prefixes)) {
-        // Clear existing ranges
-        self.ipv4.ranges.length = 0;
-        self.ipv6.ranges.length = 0;
+    // Offline mode: the bundled asset is the best data available
+    if (isOffline()) {
+      logger.info('Network is offline, loading bundled Googlebot IPs instead', { provider: self.name });
+      return self.reload();
+    }
 
-        data.prefixes.forEach((range) => {
-          if (range.ipv4Prefix) {
-            self.ipv4.ranges.push(range.ipv4Prefix);
-          }
+    try {
+      const { ipv4, ipv6 } = parsePrefixes(await fetchJSON(GOOGLE_ADDRESS_LIST_URL));
 
-          if (range.ipv6Prefix) {
-            self.ipv6.ranges.push(range.ipv6Prefix);
-          }
-        });
-      } else {
-        throw new Error('Invalid response format from Googlebot API');
-      }
+      // Replace existing ranges
+      self.ipv4.ranges.length = 0;
+      self.ipv6.ranges.length = 0;
+      self.ipv4.ranges.push(...ipv4.ranges);
+      self.ipv6.ranges.push(...ipv6.ranges);
     } catch (error) {
-      logger.error(`Failed to reload Googlebot IPs from web: ${error.message}`);
+      logger.error(`Failed to reload Googlebot IPs from web: ${error.message}`, {
+        provider: self.name,
+        url: GOOGLE_ADDRESS_LIST_URL,
+        code: error.code,
+        error,
+      });
       throw error;
     }
   },
@@ -11,6 +11,7 @@ const GTMETRIX_ADDRESS_LIST_URL = 'https://gtmetrix.com/locations.xml';
 
 const self = {
   name: 'GTmetrix',
+  categories: ['service'],
 
   testAddresses: ['172.255.48.147'],
 
@@ -43,14 +44,19 @@ const self = {
               self.ipv6.addresses.push(parsedIp.toString());
             }
           } catch (error) {
-            logger.error(`Failed to parse GTmetrix IP address: ${error.message}`);
+            logger.error(`Failed to parse GTmetrix IP address: ${error.message}`, { provider: self.name, error });
           }
         });
       } else {
         throw new Error('Invalid response format from GTmetrix');
       }
     } catch (error) {
-      logger.error(`Failed to reload GTmetrix IPs: ${error.message}`);
+      logger.error(`Failed to reload GTmetrix IPs: ${error.message}`, {
+        provider: self.name,
+        url: GTMETRIX_ADDRESS_LIST_URL,
+        code: error.code,
+        error,
+      });
       throw error;
     }
   },
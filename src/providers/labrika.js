@@ -6,6 +6,7 @@
 
 export default {
   name: 'Labrika',
+  categories: ['crawler'],
   testAddresses: ['178.32.114.61', '162.55.244.68'],
   ipv4: {
     addresses: ['178.32.114.61', '162.55.244.68'],
@@ -12,6 +12,7 @@ import spfAnalyser from '../spf-analyser.js';
 
 const self = {
   name: 'Mailgun',
+  categories: ['mail'],
 
   testAddresses: ['69.72.36.213'],
 
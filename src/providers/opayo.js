@@ -4,6 +4,7 @@
 
 export default {
   name: 'Opayo',
+  categories: ['payment'],
   testAddresses: ['195.170.169.12', '195.170.169.199'],
   ipv4: {
     addresses: [],
@@ -4,6 +4,7 @@
 
 export default {
   name: 'MS Outlook',
+  categories: ['mail'],
   ipv4: {
     addresses: [],
     ranges: ['40.92.0.0/15', '40.107.0.0/16', '52.100.0.0/14', '104.47.0.0/17'],
@@ -4,6 +4,7 @@
 
 export default {
   name: 'PayPal',
+  categories: ['payment'],
   ipv4: {
     addresses: [],
     ranges: ['173.0.80.0/20', '64.4.240.0/21', '64.4.248.0/22', '66.211.168.0/22', '91.243.72.0/23'],
@@ -4,6 +4,7 @@
 
 export default {
   name: 'Private',
+  categories: ['private'],
   testAddresses: ['127.0.0.1', '192.168.0.20', '192.168.100.20', '10.1.2.3'],
   ipv4: {
     addresses: [],
@@ -4,6 +4,7 @@
 
 export default {
   name: 'SemrushBot',
+  categories: ['crawler'],
   testAddresses: ['85.208.98.53'],
   ipv4: {
     addresses: [],
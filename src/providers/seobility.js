@@ -8,6 +8,7 @@ import logger from '../utils/logger.js';
 
 const self = {
   name: 'Seobility',
+  categories: ['crawler'],
   sources: {
     ipv4: 'https://www.seobility.net/static/ip_lists/bots/ipv4.txt',
     ipv6: 'https://www.seobility.net/static/ip_lists/bots/ipv6.txt',
@@ -22,7 +23,10 @@ const self = {
           const text = await fetchText(addressListUrl);
 
           if (!text) {
-            logger.error(`Failed to fetch ${addressListType} from ${addressListUrl}`);
+            logger.error(`Failed to fetch ${addressListType} from ${addressListUrl}`, {
+              provider: self.name,
+              url: addressListUrl,
+            });
           } else {
             // Clear existing data
             self[addressListType].addresses.length = 0;
@@ -37,7 +41,12 @@ const self = {
             });
           }
         } catch (error) {
-          logger.error(`Failed to reload Seobility ${addressListType} IPs: ${error.message}`);
+          logger.error(`Failed to reload Seobility ${addressListType} IPs: ${error.message}`, {
+            provider: self.name,
+            url: addressListUrl,
+            code: error.code,
+            error,
+          });
           throw error;
         }
       })();
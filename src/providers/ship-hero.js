@@ -4,6 +4,7 @@
 
 export default {
   name: 'ShipHero',
+  categories: ['service'],
   testAddresses: ['3.214.244.144', '52.20.176.127'],
   ipv4: {
     addresses: ['3.214.244.144', '52.20.176.127', '54.226.43.55'],
@@ -1,53 +1,16 @@
 /**
  * stripe-api.js
+ *
+ * No copy of Stripe's list is bundled (it changes too often), but an instance can fall back to a
+ * local copy, e.g. one kept up to date by a cron job:
+ *   trustedProviders.addReloadSource('Stripe API', { type: 'file', path: '/var/lib/stripe/ips_api.json' });
  */
 
-import { fetchJSON } from '../utils/secure-http-client.js';
-import logger from '../utils/logger.js';
+import createStripeProvider from '../stripe-ip-lists.js';
 
-const STRIPE_ADDRESSES_URL = 'https://stripe.com/files/ips/ips_api.json';
-
-const self = {
+export default createStripeProvider({
   name: 'Stripe API',
-  reload: async () => {
-    try {
-      // Structure verification function for Stripe API response
-      const verifyStructure = (data) => {
-        return (
-          data &&
-          data.API &&
-          Array.isArray(data.API) &&
-          data.API.length > 0 &&
-          data.API.every((ip) => typeof ip === 'string' && ip.match(/^\d+\.\d+\.\d+\.\d+$/))
-        );
-      };
-
-      const data = await fetchJSON(STRIPE_ADDRESSES_URL, { verifyStructure });
-
-      if (data && data.API && Array.isArray(data.API)) {
-        // Clear existing addresses
-        self.ipv4.addresses.length = 0;
-
-        data.API.forEach((ipAddress) => {
-          self.ipv4.addresses.push(ipAddress);
-        });
-      } else {
-        throw new Error('Invalid response format from Stripe API');
-      }
-    } catch (error) {
-      logger.error(`Failed to reload Stripe API IPs: ${error.message}`);
-      throw error;
-    }
-  },
+  url: 'https://stripe.com/files/ips/ips_api.json',
+  listKey: 'API',
   testAddresses: ['34.237.253.141'],
-  ipv4: {
-    addresses: [],
-    ranges: [],
-  },
-  ipv6: {
-    addresses: [],
-    ranges: [],
-  },
-};
-
-export default self;
+});
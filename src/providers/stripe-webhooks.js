@@ -1,53 +1,16 @@
 /**
  * stripe-webhooks.js
+ *
+ * No copy of Stripe's list is bundled (it changes too often), but an instance can fall back to a
+ * local copy, e.g. one kept up to date by a cron job:
+ *   trustedProviders.addReloadSource('Stripe Webhooks', { type: 'file', path: '/var/lib/stripe/ips_webhooks.json' });
  */
 
-import { fetchJSON } from '../utils/secure-http-client.js';
-import logger from '../utils/logger.js';
+import createStripeProvider from '../stripe-ip-lists.js';
 
-const STRIPE_ADDRESSES_URL = 'https://stripe.com/files/ips/ips_webhooks.json';
-
-const self = {
+export default createStripeProvider({
   name: 'Stripe Webhooks',
-  reload: async () => {
-    try {
-      // Structure verification function for Stripe Webhooks response
-      const verifyStructure = (data) => {
-        return (
-          data &&
-          data.WEBHOOKS &&
-          Array.isArray(data.WEBHOOKS) &&
-          data.WEBHOOKS.length > 0 &&
-          data.WEBHOOKS.every((ip) => typeof ip === 'string' && ip.match(/^\d+\.\d+\.\d+\.\d+$/))
-        );
-      };
-
-      const data = await fetchJSON(STRIPE_ADDRESSES_URL, { verifyStructure });
-
-      if (data && data.WEBHOOKS && Array.isArray(data.WEBHOOKS)) {
-        // Clear existing addresses
-        self.ipv4.addresses.length = 0;
-
-        data.WEBHOOKS.forEach((ipAddress) => {
-          self.ipv4.addresses.push(ipAddress);
-        });
-      } else {
-        throw new Error('Invalid response format from Stripe Webhooks');
-      }
-    } catch (error) {
-      logger.error(`Failed to reload Stripe Webhooks IPs: ${error.message}`);
-      throw error;
-    }
-  },
+  url: 'https://stripe.com/files/ips/ips_webhooks.json',
+  listKey: 'WEBHOOKS',
   testAddresses: ['35.154.171.200'],
-  ipv4: {
-    addresses: [],
-    ranges: [],
-  },
-  ipv6: {
-    addresses: [],
-    ranges: [],
-  },
-};
-
-export default self;
+});
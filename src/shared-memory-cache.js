@@ -0,0 +1,563 @@
+/**
+ * TTL cache stored in a SharedArrayBuffer, so worker_threads in one process can share entries.
+ * Create it in one thread, pass its `buffer` to the others (e.g. in workerData) and wrap the buffer
+ * there with `new SharedMemoryCache(buffer)`: every thread then reads and writes the same table.
+ *
+ * The table is fixed-size and set-associative: a key hashes to a bucket of BUCKET_WAYS slots, and
+ * when the bucket is full the least recently used entry in it is evicted. Keys and values are
+ * stored as UTF-8 (values as JSON) in slots of a fixed width, so an entry whose key or value is
+ * too long for its slot isn't cached. Expired entries are removed lazily on access, or reused
+ * when their bucket needs room.
+ *
+ * Every operation holds a lock word in the buffer (Atomics), so calls from different threads
+ * never see a half-written entry. A thread terminated in the middle of an operation leaves the lock
+ * held, so no thread waits for it longer than LOCK_TIMEOUT_MS: get(), has() and set() then skip the
+ * cache (a miss, or an entry that isn't stored), and the other operations throw. Let workers finish
+ * their current call before stopping them.
+ *
+ * A thread can compute a value while another thread invalidates the entries it was based on. To keep
+ * the first thread from writing that stale value back, delete(), clear() and deleteWhere() move the
+ * cache's generation on, and set() refuses a write made for an earlier generation: read `generation`
+ * before computing the value and pass it to set().
+ */
+
+const BUCKET_WAYS = 8; // Slots per bucket, the most entries that can share a hash bucket
+const DEFAULT_MAX_KEY_BYTES = 128; // Room for an IPv6 address plus a list of lookup categories
+const DEFAULT_MAX_VALUE_BYTES = 256; // Room for a JSON-encoded provider name
+const MAX_FIELD_BYTES = 0xffff; // Key and value lengths are stored as 16-bit numbers
+const LOCK_WAIT_MS = 50; // Longest wait for the lock before checking it again
+const LOCK_TIMEOUT_MS = 1000; // Longest wait for the lock in all, e.g. when a terminated thread still holds it
+
+// Header: Int32 words (Atomics) followed by Float64 settings and counters, at byte offsets
+const LOCK_INDEX = 0; // Int32 word: UNLOCKED or LOCKED
+const BUCKETS_INDEX = 1; // Int32 word: number of buckets
+const MAX_KEY_BYTES_INDEX = 2; // Int32 word: key bytes per slot
+const MAX_VALUE_BYTES_INDEX = 3; // Int32 word: value bytes per slot
+const SIZE_INDEX = 4; // Int32 word: entries currently held
+const GENERATION_INDEX = 5; // Int32 word: moved on by every invalidation, so stale writes can be refused
+const HEADER_WORDS = 8;
+const TTL_OFFSET = 32; // Float64: default TTL in milliseconds
+const CLOCK_OFFSET = 40; // Float64: access counter used to order entries for LRU eviction
+const HITS_OFFSET = 48; // Float64 counters, read by getStats()
+const MISSES_OFFSET = 56;
+const EVICTIONS_OFFSET = 64;
+const EXPIRATIONS_OFFSET = 72;
+const HEADER_BYTES = 80;
+
+// Slot fields, at byte offsets from the start of the slot
+const SLOT_EXPIRES_AT = 0; // Float64: expiry time (ms since the epoch)
+const SLOT_LAST_USED = 8; // Float64: CLOCK value of the last get() or set()
+const SLOT_HASH = 16; // Uint32: hash of the key, checked before comparing the key bytes
+const SLOT_KEY_LENGTH = 20; // Uint16: key length in bytes, 0 for an empty slot
+const SLOT_VALUE_LENGTH = 22; // Uint16: value length in bytes
+const SLOT_DATA = 24; // Key bytes, followed by the value bytes
+
+const UNLOCKED = 0;
+const LOCKED = 1;
+
+export class SharedMemoryCache {
+  /**
+   * Create a new shared cache, or attach to the buffer of one created in another thread
+   * @param {number|SharedArrayBuffer} maxSize - Maximum number of items to store (rounded up to a multiple of
+   *   BUCKET_WAYS), or the `buffer` of an existing cache
+   * @param {number} [ttlMs] - Default time-to-live in milliseconds for each entry (required for a new cache)
+   * @param {Object} [options] - Slot sizes of a new cache
+   * @param {number} [options.maxKeyBytes=128] - Longest key that can be stored, in UTF-8 bytes
+   * @param {number} [options.maxValueBytes=256] - Longest value that can be stored, in bytes of JSON
+   *
+   * @example
+   * // Main thread
+   * const cache = new SharedMemoryCache(10000, 60 * 60 * 1000);
+   * const worker = new Worker('./worker.js', { workerData: { resultCache: cache.buffer } });
+   *
+   * // worker.js
+   * const cache = new SharedMemoryCache(workerData.resultCache);
+   */
+  constructor(maxSize, ttlMs, { maxKeyBytes = DEFAULT_MAX_KEY_BYTES, maxValueBytes = DEFAULT_MAX_VALUE_BYTES } = {}) {
+    if (maxSize instanceof SharedArrayBuffer) {
+      attachBuffer(this, maxSize);
+      return;
+    }
+
+    if (!Number.isInteger(maxSize) || maxSize <= 0) {
+      throw new Error('maxSize must be a positive integer');
+    }
+
+    if (!Number.isInteger(ttlMs) || ttlMs <= 0) {
+      throw new Error('ttlMs must be a positive integer');
+    }
+
+    for (const [name, value] of Object.entries({ maxKeyBytes, maxValueBytes })) {
+      if (!Number.isInteger(value) || value <= 0 || value > MAX_FIELD_BYTES) {
+        throw new Error(`${name} must be a positive integer no greater than ${MAX_FIELD_BYTES}`);
+      }
+    }
+
+    const buckets = Math.ceil(maxSize / BUCKET_WAYS);
+    const buffer = new SharedArrayBuffer(
+      HEADER_BYTES + buckets * BUCKET_WAYS * getSlotBytes(maxKeyBytes, maxValueBytes)
+    );
+    const header = new Int32Array(buffer, 0, HEADER_WORDS);
+    header[BUCKETS_INDEX] = buckets;
+    header[MAX_KEY_BYTES_INDEX] = maxKeyBytes;
+    header[MAX_VALUE_BYTES_INDEX] = maxValueBytes;
+    new DataView(buffer).setFloat64(TTL_OFFSET, ttlMs);
+
+    attachBuffer(this, buffer);
+  }
+
+  /**
+   * Get a value from the cache
+   * @param {string} key - The cache key
+   * @returns {*} The cached value, or undefined if not found or expired (or if the lock can't be had)
+   */
+  get(key) {
+    const keyBytes = Buffer.from(String(key));
+
+    const value = tryWithLock(this, undefined, () => {
+      const slot = findSlot(this, keyBytes, hashBytes(keyBytes));
+      if (slot === -1) {
+        addToCounter(this, MISSES_OFFSET);
+        return undefined;
+      }
+
+      if (Date.now() > this.view.getFloat64(slot + SLOT_EXPIRES_AT)) {
+        removeSlot(this, slot);
+        addToCounter(this, EXPIRATIONS_OFFSET);
+        addToCounter(this, MISSES_OFFSET);
+        return undefined;
+      }
+
+      markUsed(this, slot);
+      addToCounter(this, HITS_OFFSET);
+
+      return readField(this, slot + SLOT_DATA + this.maxKeyBytes, this.view.getUint16(slot + SLOT_VALUE_LENGTH));
+    });
+
+    return value === undefined ? undefined : JSON.parse(value);
+  }
+
+  /**
+   * Get the cache's generation, shared by every thread. It changes whenever entries are invalidated
+   * with delete(), clear() or deleteWhere().
+   * @returns {number} The current generation
+   */
+  get generation() {
+    return Atomics.load(this.header, GENERATION_INDEX);
+  }
+
+  /**
+   * Set a value in the cache with TTL.
+   * Values are stored as JSON. An entry whose key or value doesn't fit in a slot, or whose value has no JSON
+   * form (e.g. undefined), isn't cached. Neither is a value computed for a generation that has since ended, nor
+   * one that arrives while the lock can't be had.
+   * @param {string} key - The cache key
+   * @param {*} value - The value to cache (anything JSON.stringify() can encode)
+   * @param {number} [ttlMs] - Time-to-live for this entry in milliseconds (default: the cache's TTL)
+   * @param {number} [generation] - The generation read before the value was computed; if entries have been
+   *   invalidated since, the value may be stale and isn't stored
+   * @returns {boolean} True if the entry was stored
+   */
+  set(key, value, ttlMs = this.ttlMs, generation) {
+    const keyBytes = Buffer.from(String(key));
+    const json = JSON.stringify(value);
+    const valueBytes = Buffer.from(json ?? '');
+    if (
+      json === undefined ||
+      keyBytes.length === 0 ||
+      keyBytes.length > this.maxKeyBytes ||
+      valueBytes.length > this.maxValueBytes
+    ) {
+      return false;
+    }
+
+    const hash = hashBytes(keyBytes);
+
+    return tryWithLock(this, false, () => {
+      if (generation !== undefined && generation !== Atomics.load(this.header, GENERATION_INDEX)) {
+        return false;
+      }
+
+      let slot = findSlot(this, keyBytes, hash);
+      if (slot === -1) {
+        slot = claimSlot(this, hash);
+      }
+
+      this.view.setFloat64(slot + SLOT_EXPIRES_AT, Date.now() + ttlMs);
+      this.view.setUint32(slot + SLOT_HASH, hash);
+      this.view.setUint16(slot + SLOT_KEY_LENGTH, keyBytes.length);
+      this.view.setUint16(slot + SLOT_VALUE_LENGTH, valueBytes.length);
+      this.bytes.set(keyBytes, slot + SLOT_DATA);
+      this.bytes.set(valueBytes, slot + SLOT_DATA + this.maxKeyBytes);
+      markUsed(this, slot);
+
+      return true;
+    });
+  }
+
+  /**
+   * Check if a key exists in the cache (and is not expired).
+   * Unlike get(), this doesn't count as a hit or miss.
+   * @param {string} key - The cache key
+   * @returns {boolean} True if the key exists and is not expired (false if the lock can't be had)
+   */
+  has(key) {
+    const keyBytes = Buffer.from(String(key));
+
+    return tryWithLock(this, false, () => {
+      const slot = findSlot(this, keyBytes, hashBytes(keyBytes));
+      if (slot === -1) {
+        return false;
+      }
+
+      if (Date.now() > this.view.getFloat64(slot + SLOT_EXPIRES_AT)) {
+        removeSlot(this, slot);
+        addToCounter(this, EXPIRATIONS_OFFSET);
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Remove an entry from the cache
+   * @param {string} key - The cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    const keyBytes = Buffer.from(String(key));
+
+    return withLock(this, () => {
+      Atomics.add(this.header, GENERATION_INDEX, 1);
+
+      const slot = findSlot(this, keyBytes, hashBytes(keyBytes));
+      if (slot === -1) {
+        return false;
+      }
+
+      removeSlot(this, slot);
+      return true;
+    });
+  }
+
+  /**
+   * Clear all entries from the cache, in every thread
+   */
+  clear() {
+    withLock(this, () => {
+      Atomics.add(this.header, GENERATION_INDEX, 1);
+      this.bytes.fill(0, HEADER_BYTES);
+      Atomics.store(this.header, SIZE_INDEX, 0);
+    });
+  }
+
+  /**
+   * Remove every entry whose value matches a predicate, expired or not
+   * @param {Function} predicate - Called with (value, key); return true to remove the entry
+   * @returns {number} The number of entries removed
+   */
+  deleteWhere(predicate) {
+    return withLock(this, () => {
+      Atomics.add(this.header, GENERATION_INDEX, 1);
+      let removed = 0;
+
+      for (let slot = HEADER_BYTES; slot < this.buffer.byteLength; slot += this.slotBytes) {
+        const keyLength = this.view.getUint16(slot + SLOT_KEY_LENGTH);
+        if (keyLength === 0) {
+          continue;
+        }
+
+        const key = readField(this, slot + SLOT_DATA, keyLength);
+        const value = readField(
+          this,
+          slot + SLOT_DATA + this.maxKeyBytes,
+          this.view.getUint16(slot + SLOT_VALUE_LENGTH)
+        );
+        if (predicate(JSON.parse(value), key)) {
+          removeSlot(this, slot);
+          removed++;
+        }
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * Get the current number of items in the cache (including expired entries)
+   * @returns {number} The number of cached items
+   */
+  get size() {
+    return Atomics.load(this.header, SIZE_INDEX);
+  }
+
+  /**
+   * Get the cache's size and access counters, summed over every thread.
+   * Evictions count entries dropped to make room; expirations count entries removed because their TTL ran out.
+   * @returns {{size: number, maxSize: number, hits: number, misses: number, evictions: number, expirations: number}}
+   */
+  getStats() {
+    return withLock(this, () => ({
+      size: Atomics.load(this.header, SIZE_INDEX),
+      maxSize: this.maxSize,
+      hits: this.view.getFloat64(HITS_OFFSET),
+      misses: this.view.getFloat64(MISSES_OFFSET),
+      evictions: this.view.getFloat64(EVICTIONS_OFFSET),
+      expirations: this.view.getFloat64(EXPIRATIONS_OFFSET),
+    }));
+  }
+
+  /**
+   * Set the hit, miss, eviction and expiration counters back to zero, keeping the cached entries
+   */
+  resetStats() {
+    withLock(this, () => {
+      for (const offset of [HITS_OFFSET, MISSES_OFFSET, EVICTIONS_OFFSET, EXPIRATIONS_OFFSET]) {
+        this.view.setFloat64(offset, 0);
+      }
+    });
+  }
+}
+
+/**
+ * Set up a cache's views of its buffer and read the table layout from the header
+ * @param {SharedMemoryCache} cache - The cache to set up
+ * @param {SharedArrayBuffer} buffer - A buffer created by the SharedMemoryCache constructor
+ */
+function attachBuffer(cache, buffer) {
+  if (buffer.byteLength < HEADER_BYTES) {
+    throw new Error('buffer is not a SharedMemoryCache buffer');
+  }
+
+  const header = new Int32Array(buffer, 0, HEADER_WORDS);
+  const view = new DataView(buffer);
+  const maxKeyBytes = header[MAX_KEY_BYTES_INDEX];
+  const maxValueBytes = header[MAX_VALUE_BYTES_INDEX];
+  const slotBytes = getSlotBytes(maxKeyBytes, maxValueBytes);
+  const maxSize = header[BUCKETS_INDEX] * BUCKET_WAYS;
+
+  if (
+    maxSize <= 0 ||
+    maxKeyBytes <= 0 ||
+    maxValueBytes <= 0 ||
+    buffer.byteLength !== HEADER_BYTES + maxSize * slotBytes
+  ) {
+    throw new Error('buffer is not a SharedMemoryCache buffer');
+  }
+
+  cache.buffer = buffer;
+  cache.header = header;
+  cache.view = view;
+  cache.bytes = new Uint8Array(buffer);
+  cache.buckets = header[BUCKETS_INDEX];
+  cache.maxSize = maxSize;
+  cache.maxKeyBytes = maxKeyBytes;
+  cache.maxValueBytes = maxValueBytes;
+  cache.slotBytes = slotBytes;
+  cache.ttlMs = view.getFloat64(TTL_OFFSET);
+}
+
+/**
+ * Get the size of one slot, rounded up so every slot's Float64 fields stay 8-byte aligned
+ * @param {number} maxKeyBytes - Key bytes per slot
+ * @param {number} maxValueBytes - Value bytes per slot
+ * @returns {number} The slot size in bytes
+ */
+function getSlotBytes(maxKeyBytes, maxValueBytes) {
+  return Math.ceil((SLOT_DATA + maxKeyBytes + maxValueBytes) / 8) * 8;
+}
+
+/**
+ * Run a function while holding the cache's lock
+ * @param {SharedMemoryCache} cache - The cache to lock
+ * @param {Function} callback - The function to run
+ * @returns {*} What the function returned
+ * @throws {Error} If the lock is still held by another thread after LOCK_TIMEOUT_MS
+ */
+function withLock(cache, callback) {
+  if (!acquireLock(cache)) {
+    throw new Error(`SharedMemoryCache lock still held after ${LOCK_TIMEOUT_MS}ms`);
+  }
+
+  try {
+    return callback();
+  } finally {
+    releaseLock(cache);
+  }
+}
+
+/**
+ * Run a function while holding the cache's lock, or skip it if the lock can't be had
+ * @param {SharedMemoryCache} cache - The cache to lock
+ * @param {*} fallback - What to return if the lock is still held by another thread after LOCK_TIMEOUT_MS
+ * @param {Function} callback - The function to run
+ * @returns {*} What the function returned, or the fallback
+ */
+function tryWithLock(cache, fallback, callback) {
+  if (!acquireLock(cache)) {
+    return fallback;
+  }
+
+  try {
+    return callback();
+  } finally {
+    releaseLock(cache);
+  }
+}
+
+/**
+ * Wait for the cache's lock and take it
+ * @param {SharedMemoryCache} cache - The cache to lock
+ * @returns {boolean} True if the lock was taken, false if it was still held after LOCK_TIMEOUT_MS
+ */
+function acquireLock(cache) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (Atomics.compareExchange(cache.header, LOCK_INDEX, UNLOCKED, LOCKED) !== UNLOCKED) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      return false;
+    }
+
+    Atomics.wait(cache.header, LOCK_INDEX, LOCKED, Math.min(LOCK_WAIT_MS, remainingMs));
+  }
+
+  return true;
+}
+
+/**
+ * Release the cache's lock and wake one waiting thread
+ * @param {SharedMemoryCache} cache - The locked cache
+ */
+function releaseLock(cache) {
+  Atomics.store(cache.header, LOCK_INDEX, UNLOCKED);
+  Atomics.notify(cache.header, LOCK_INDEX, 1);
+}
+
+/**
+ * Hash a key with 32-bit FNV-1a
+ * @param {Uint8Array} bytes - The key as UTF-8
+ * @returns {number} The unsigned 32-bit hash
+ */
+function hashBytes(bytes) {
+  let hash = 0x811c9dc5;
+
+  for (const byte of bytes) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Get the byte offset of the first slot in a key's bucket
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {number} hash - The key's hash
+ * @returns {number} The offset of the bucket's first slot
+ */
+function getBucketOffset(cache, hash) {
+  return HEADER_BYTES + (hash % cache.buckets) * BUCKET_WAYS * cache.slotBytes;
+}
+
+/**
+ * Find the slot holding a key (expired or not). Call with the lock held.
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {Buffer} keyBytes - The key as UTF-8
+ * @param {number} hash - The key's hash
+ * @returns {number} The slot's byte offset, or -1 if the key isn't cached
+ */
+function findSlot(cache, keyBytes, hash) {
+  if (keyBytes.length === 0 || keyBytes.length > cache.maxKeyBytes) {
+    return -1;
+  }
+
+  const bucket = getBucketOffset(cache, hash);
+
+  for (let way = 0; way < BUCKET_WAYS; way++) {
+    const slot = bucket + way * cache.slotBytes;
+    if (
+      cache.view.getUint16(slot + SLOT_KEY_LENGTH) === keyBytes.length &&
+      cache.view.getUint32(slot + SLOT_HASH) === hash &&
+      keyBytes.equals(cache.bytes.subarray(slot + SLOT_DATA, slot + SLOT_DATA + keyBytes.length))
+    ) {
+      return slot;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Pick the slot a new key goes in: an empty slot in its bucket, else an expired one, else the least
+ * recently used one. Call with the lock held.
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {number} hash - The new key's hash
+ * @returns {number} The slot's byte offset, counted in the size and ready to be written
+ */
+function claimSlot(cache, hash) {
+  const bucket = getBucketOffset(cache, hash);
+  const now = Date.now();
+  let expiredSlot = -1;
+  let oldestSlot = bucket;
+
+  for (let way = 0; way < BUCKET_WAYS; way++) {
+    const slot = bucket + way * cache.slotBytes;
+    if (cache.view.getUint16(slot + SLOT_KEY_LENGTH) === 0) {
+      Atomics.add(cache.header, SIZE_INDEX, 1);
+      return slot;
+    }
+
+    if (expiredSlot === -1 && now > cache.view.getFloat64(slot + SLOT_EXPIRES_AT)) {
+      expiredSlot = slot;
+    }
+
+    if (cache.view.getFloat64(slot + SLOT_LAST_USED) < cache.view.getFloat64(oldestSlot + SLOT_LAST_USED)) {
+      oldestSlot = slot;
+    }
+  }
+
+  addToCounter(cache, expiredSlot === -1 ? EVICTIONS_OFFSET : EXPIRATIONS_OFFSET);
+  return expiredSlot === -1 ? oldestSlot : expiredSlot;
+}
+
+/**
+ * Empty a slot. Call with the lock held.
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {number} slot - The slot's byte offset
+ */
+function removeSlot(cache, slot) {
+  cache.view.setUint16(slot + SLOT_KEY_LENGTH, 0);
+  Atomics.sub(cache.header, SIZE_INDEX, 1);
+}
+
+/**
+ * Mark a slot as the most recently used entry. Call with the lock held.
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {number} slot - The slot's byte offset
+ */
+function markUsed(cache, slot) {
+  const clock = cache.view.getFloat64(CLOCK_OFFSET) + 1;
+  cache.view.setFloat64(CLOCK_OFFSET, clock);
+  cache.view.setFloat64(slot + SLOT_LAST_USED, clock);
+}
+
+/**
+ * Add one to a header counter. Call with the lock held.
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {number} offset - The counter's byte offset
+ */
+function addToCounter(cache, offset) {
+  cache.view.setFloat64(offset, cache.view.getFloat64(offset) + 1);
+}
+
+/**
+ * Decode a UTF-8 field of a slot
+ * @param {SharedMemoryCache} cache - The cache
+ * @param {number} offset - The field's byte offset
+ * @param {number} length - The field's length in bytes
+ * @returns {string} The decoded string
+ */
+function readField(cache, offset, length) {
+  return Buffer.from(cache.buffer, offset, length).toString();
+}
@@ -14,13 +14,18 @@
  * - Verify DNS records out-of-band when possible
  *
  * For production use, consider disabling runtime DNS lookups and relying
- * on bundled assets that are updated via the build process.
+ * on bundled assets that are updated via the build process. In offline mode
+ * (setNetworkMode('offline') or TNP_OFFLINE=1) no lookups are made at all.
  */
 
 import dns from 'node:dns/promises';
 import logger from './utils/logger.js';
+import { assertNetworkAllowed } from './utils/network-mode.js';
 
 export default async (domain, provider) => {
+  // Offline mode: refuse without a lookup, and without logging a DNS failure
+  assertNetworkAllowed(`DNS TXT ${domain}`);
+
   try {
     const records = await dns.resolveTxt(domain);
     const sourceNetblocks = [];
@@ -59,7 +64,10 @@ export default async (domain, provider) => {
 
     // Early exit: If no SPF includes found, the DNS record is incomplete or invalid
     if (sourceNetblocks.length === 0) {
-      logger.info(`Not updating ${provider.name} addresses because no SPF netblocks found`);
+      logger.info(`Not updating ${provider.name} addresses because no SPF netblocks found`, {
+        provider: provider.name,
+        domain,
+      });
       return;
     }
 
@@ -77,7 +85,8 @@ export default async (domain, provider) => {
         successfulResults.push(result.value);
       } else {
         logger.error(
-          `Failed to resolve SPF include ${sourceNetblocks[i]} for ${provider.name}: ${result.reason.message}`
+          `Failed to resolve SPF include ${sourceNetblocks[i]} for ${provider.name}: ${result.reason.message}`,
+          { provider: provider.name, domain: sourceNetblocks[i], code: result.reason.code, error: result.reason }
         );
       }
     }
@@ -150,7 +159,12 @@ export default async (domain, provider) => {
     // Step 5: Atomically replace provider data
     Object.assign(provider, newAddresses);
   } catch (error) {
-    logger.error(`Failed to analyse SPF records for ${provider.name}: ${error.message}`);
+    logger.error(`Failed to analyse SPF records for ${provider.name}: ${error.message}`, {
+      provider: provider.name,
+      domain,
+      code: error.code,
+      error,
+    });
     throw error;
   }
 };
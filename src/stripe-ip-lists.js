@@ -0,0 +1,86 @@
+/**
+ * stripe-ip-lists.js
+ *
+ * Builds the providers for Stripe's published IP lists. Each list is a JSON object with one key
+ * holding an array of IPv4 addresses, e.g. { "API": ["13.112.224.240", ...] }, so the providers
+ * only differ in their name, URL and key.
+ */
+
+import { fetchJSON } from './utils/secure-http-client.js';
+import { SOURCE_TYPE_URL } from './utils/source-loader.js';
+import logger from './utils/logger.js';
+
+/**
+ * Create a provider for one of Stripe's IP lists
+ * @param {Object} list - The list to load
+ * @param {string} list.name - The provider name, e.g. 'Stripe API'
+ * @param {string} list.url - The HTTPS URL of the list
+ * @param {string} list.listKey - The key holding the addresses in the list's JSON, e.g. 'API'
+ * @param {string[]} list.testAddresses - Sample addresses from the list
+ * @returns {Object} The provider
+ */
+export default ({ name, url, listKey, testAddresses }) => {
+  /**
+   * Structure verification function for the list
+   * @param {object} data - The parsed response
+   * @returns {boolean} - True if it is a non-empty list of IPv4 addresses
+   */
+  const verifyStructure = (data) => {
+    return (
+      data &&
+      Array.isArray(data[listKey]) &&
+      data[listKey].length > 0 &&
+      data[listKey].every((ip) => typeof ip === 'string' && ip.match(/^\d+\.\d+\.\d+\.\d+$/))
+    );
+  };
+
+  /**
+   * Convert the list into provider addresses
+   * @param {object} data - The parsed response
+   * @returns {{ ipv4: { addresses: string[] } }} - The IPv4 addresses
+   * @throws {Error} - If the response isn't a list of IPv4 addresses
+   */
+  const parseAddresses = (data) => {
+    if (!verifyStructure(data)) {
+      throw new Error(`Invalid response format from ${name}`);
+    }
+
+    return { ipv4: { addresses: [...data[listKey]] } };
+  };
+
+  const self = {
+    name,
+    categories: ['payment'],
+    // Used by reloadAll() and reloadProvider(), in this order
+    reloadSources: [{ type: SOURCE_TYPE_URL, url, verifyStructure }],
+    parseSource: (data) => parseAddresses(data),
+    reload: async () => {
+      try {
+        const { ipv4 } = parseAddresses(await fetchJSON(url, { verifyStructure }));
+
+        // Replace existing addresses
+        self.ipv4.addresses.length = 0;
+        self.ipv4.addresses.push(...ipv4.addresses);
+      } catch (error) {
+        logger.error(`Failed to reload ${name} IPs: ${error.message}`, {
+          provider: name,
+          url,
+          code: error.code,
+          error,
+        });
+        throw error;
+      }
+    },
+    testAddresses,
+    ipv4: {
+      addresses: [],
+      ranges: [],
+    },
+    ipv6: {
+      addresses: [],
+      ranges: [],
+    },
+  };
+
+  return self;
+};
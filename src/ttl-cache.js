@@ -3,6 +3,9 @@
  * Stores key-value pairs with automatic expiration and a maximum size limit.
  * When the cache is full, the least recently accessed item is evicted.
  * Expired entries are removed lazily on access.
+ * Hits, misses, evictions and expirations are counted and reported by getStats().
+ *
+ * This is the default cache adapter for IP lookup results (see setResultCacheAdapters in index.js).
  */
 export class TTLCache {
   /**
@@ -22,6 +25,7 @@ export class TTLCache {
     this.maxSize = maxSize;
     this.ttlMs = ttlMs;
     this.cache = new Map(); // Map maintains insertion order
+    this.resetStats();
   }
 
   /**
@@ -31,6 +35,7 @@ export class TTLCache {
    */
   get(key) {
     if (!this.cache.has(key)) {
+      this.misses++;
       return undefined;
     }
 
@@ -39,12 +44,15 @@ export class TTLCache {
     // Check if expired
     if (Date.now() > entry.expiresAt) {
       this.cache.delete(key);
+      this.expirations++;
+      this.misses++;
       return undefined;
     }
 
     // Move to end (mark as recently used)
     this.cache.delete(key);
     this.cache.set(key, entry);
+    this.hits++;
 
     return entry.value;
   }
@@ -53,9 +61,10 @@ export class TTLCache {
    * Set a value in the cache with TTL
    * @param {string} key - The cache key
    * @param {*} value - The value to cache
+   * @param {number} [ttlMs] - Time-to-live for this entry in milliseconds (default: the cache's TTL)
    */
-  set(key, value) {
-    const expiresAt = Date.now() + this.ttlMs;
+  set(key, value, ttlMs = this.ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
 
     // If key exists, delete it first (we'll re-add it at the end)
     if (this.cache.has(key)) {
@@ -69,11 +78,13 @@ export class TTLCache {
     if (this.cache.size > this.maxSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
+      this.evictions++;
     }
   }
 
   /**
-   * Check if a key exists in the cache (and is not expired)
+   * Check if a key exists in the cache (and is not expired).
+   * Unlike get(), this doesn't count as a hit or miss.
    * @param {string} key - The cache key
    * @returns {boolean} True if the key exists and is not expired
    */
@@ -87,12 +98,22 @@ export class TTLCache {
     // Check if expired
     if (Date.now() > entry.expiresAt) {
       this.cache.delete(key);
+      this.expirations++;
       return false;
     }
 
     return true;
   }
 
+  /**
+   * Remove an entry from the cache
+   * @param {string} key - The cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    return this.cache.delete(key);
+  }
+
   /**
    * Clear all entries from the cache
    */
@@ -100,6 +121,24 @@ export class TTLCache {
     this.cache.clear();
   }
 
+  /**
+   * Remove every entry whose value matches a predicate, expired or not
+   * @param {Function} predicate - Called with (value, key); return true to remove the entry
+   * @returns {number} The number of entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+
+    for (const [key, entry] of this.cache.entries()) {
+      if (predicate(entry.value, key)) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
   /**
    * Get the current number of items in the cache (including expired entries)
    * @returns {number} The number of cached items
@@ -124,6 +163,33 @@ export class TTLCache {
       }
     }
 
+    this.expirations += removed;
     return removed;
   }
+
+  /**
+   * Get the cache's size and access counters.
+   * Evictions count entries dropped to make room; expirations count entries removed because their TTL ran out.
+   * @returns {{size: number, maxSize: number, hits: number, misses: number, evictions: number, expirations: number}}
+   */
+  getStats() {
+    return {
+      size: this.cache.size,
+      maxSize: this.maxSize,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      expirations: this.expirations,
+    };
+  }
+
+  /**
+   * Set the hit, miss, eviction and expiration counters back to zero, keeping the cached entries
+   */
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+  }
 }
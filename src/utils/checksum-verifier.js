@@ -30,7 +30,7 @@ async function loadChecksums() {
     cachedChecksums = JSON.parse(checksumsData);
     return cachedChecksums;
   } catch (error) {
-    logger.warn(`Warning: Could not load checksums file: ${error.message}`);
+    logger.warn(`Warning: Could not load checksums file: ${error.message}`, { code: error.code, error });
     return { providers: {} };
   }
 }
@@ -50,7 +50,7 @@ async function verifyAssetChecksum(filePath, providerKey, strict = false) {
   // If no checksum configured, skip verification
   if (!providerConfig || !providerConfig.sha256) {
     if (strict) {
-      logger.warn(`Warning: No checksum configured for ${providerKey}`);
+      logger.warn(`Warning: No checksum configured for ${providerKey}`, { checksumKey: providerKey });
     }
     return true;
   }
@@ -70,7 +70,12 @@ async function verifyAssetChecksum(filePath, providerKey, strict = false) {
       if (strict) {
         throw new Error(message);
       } else {
-        logger.warn(`Warning: ${message}`);
+        logger.warn(`Warning: ${message}`, {
+          checksumKey: providerKey,
+          file: filePath,
+          expectedChecksum,
+          actualChecksum,
+        });
         return false;
       }
     }
@@ -82,7 +87,7 @@ async function verifyAssetChecksum(filePath, providerKey, strict = false) {
       if (strict) {
         throw new Error(message);
       } else {
-        logger.warn(`Warning: ${message}`);
+        logger.warn(`Warning: ${message}`, { checksumKey: providerKey, file: filePath, code: error.code });
         return false;
       }
     }
@@ -4,6 +4,11 @@
  * Replaces bare console.log/error/warn calls with a structured logger
  * that can be configured at runtime.
  *
+ * Library log calls pass a message and, where there is something to add, a context object as
+ * the second argument: { provider, url, source, ip, code, error, durationMs, ... }. Messages go to
+ * the console by default; setLogger() hands them to any object with error/warn/info/debug
+ * functions instead, such as an adapter for pino or winston, or createJsonLogger().
+ *
  * Log levels (in order of severity):
  * - silent: No output
  * - error: Only errors
@@ -22,7 +27,35 @@ const LOG_LEVELS = {
   debug: 4,
 };
 
+const LOGGER_METHODS = ['error', 'warn', 'info', 'debug'];
+
+// Leading emoji (and their variation selectors) that decorate console messages
+const MESSAGE_DECORATION = /^(?:\p{Extended_Pictographic}|\uFE0F|\u200D)+\s*/u;
+
+// Looked up on every call, so console methods replaced after import (e.g. by tests) are used
+const consoleLogger = {
+  error: (...args) => console.error(...args),
+  warn: (...args) => console.warn(...args),
+  info: (...args) => console.log(...args),
+  debug: (...args) => console.debug(...args),
+};
+
 let currentLevel = LOG_LEVELS.error; // Default: only show errors
+let currentLogger = consoleLogger;
+
+/**
+ * Turn an Error into plain JSON-safe fields
+ *
+ * @param {Error} error - The error to serialise
+ * @returns {{ name: string, message: string, code?: string }} The error's name, message and code (if any)
+ */
+const serialiseError = (error) => {
+  const fields = { name: error.name, message: error.message };
+  if (error.code !== undefined) {
+    fields.code = error.code;
+  }
+  return fields;
+};
 
 /**
  * Set the logging level
@@ -54,65 +87,139 @@ export const getLevel = () => {
   return Object.keys(LOG_LEVELS).find((key) => LOG_LEVELS[key] === currentLevel);
 };
 
+/**
+ * Send log messages to a custom logger instead of the console
+ *
+ * The logger receives the same arguments as the console would: the message and, for library
+ * messages that have one, a context object. The log level still applies, so set it to 'debug'
+ * to let the custom logger do its own filtering.
+ *
+ * @param {{ error: Function, warn: Function, info: Function, debug: Function }|null} customLogger - The logger
+ *   to use, or null to go back to the console
+ * @throws {Error} If customLogger is missing any of the four functions
+ *
+ * @example
+ * // pino takes the context first, so swap the arguments round
+ * const pinoLogger = pino();
+ * logger.setLogger({
+ *   error: (message, context) => pinoLogger.error(context, message),
+ *   warn: (message, context) => pinoLogger.warn(context, message),
+ *   info: (message, context) => pinoLogger.info(context, message),
+ *   debug: (message, context) => pinoLogger.debug(context, message),
+ * });
+ */
+export const setLogger = (customLogger) => {
+  if (customLogger === null) {
+    currentLogger = consoleLogger;
+    return;
+  }
+
+  const isLogger =
+    typeof customLogger === 'object' && LOGGER_METHODS.every((method) => typeof customLogger[method] === 'function');
+  if (!isLogger) {
+    throw new Error(`Invalid logger: must have ${LOGGER_METHODS.join(', ')} functions`);
+  }
+  currentLogger = customLogger;
+};
+
+/**
+ * Create a logger that writes one JSON object per line, for users without a logging library
+ *
+ * Each line has time (ISO 8601), level and msg (without the emoji console messages start with),
+ * followed by the context fields. Errors in the context are written as { name, message, code }.
+ * Calls without a message, such as the blank lines runTests() prints, are skipped.
+ *
+ * @param {{ write: Function }} [stream=process.stderr] - Where to write the lines
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function }} A logger for setLogger()
+ *
+ * @example
+ * logger.setLogger(logger.createJsonLogger());
+ * // {"time":"2026-10-19T09:00:00.000Z","level":"debug","msg":"Reload: Stripe API","provider":"Stripe API"}
+ */
+export const createJsonLogger = (stream = process.stderr) => {
+  const createMethod = (level) => (message, context) => {
+    if (message === undefined) {
+      return;
+    }
+
+    const record = { time: new Date().toISOString(), level, msg: String(message).replace(MESSAGE_DECORATION, '') };
+    if (context instanceof Error) {
+      record.error = serialiseError(context);
+    } else if (typeof context === 'object' && context !== null) {
+      for (const [key, value] of Object.entries(context)) {
+        record[key] = value instanceof Error ? serialiseError(value) : value;
+      }
+    } else if (context !== undefined) {
+      record.context = context;
+    }
+
+    stream.write(`${JSON.stringify(record)}\n`);
+  };
+
+  return Object.fromEntries(LOGGER_METHODS.map((level) => [level, createMethod(level)]));
+};
+
 /**
  * Log an error message
  *
- * @param {...*} args - Arguments to log
+ * @param {...*} args - The message, then an optional context object
  *
  * @example
- * logger.error('Failed to reload provider:', error);
+ * logger.error('Failed to reload provider', { provider: 'Stripe API', error });
  */
 export const error = (...args) => {
   if (currentLevel >= LOG_LEVELS.error) {
-    console.error(...args);
+    currentLogger.error(...args);
   }
 };
 
 /**
  * Log a warning message
  *
- * @param {...*} args - Arguments to log
+ * @param {...*} args - The message, then an optional context object
  *
  * @example
- * logger.warn('Provider is stale:', providerName);
+ * logger.warn('Provider is stale', { provider: providerName });
  */
 export const warn = (...args) => {
   if (currentLevel >= LOG_LEVELS.warn) {
-    console.warn(...args);
+    currentLogger.warn(...args);
   }
 };
 
 /**
  * Log an informational message
  *
- * @param {...*} args - Arguments to log
+ * @param {...*} args - The message, then an optional context object
  *
  * @example
- * logger.info('Provider reloaded successfully:', providerName);
+ * logger.info('Provider reloaded successfully', { provider: providerName });
  */
 export const info = (...args) => {
   if (currentLevel >= LOG_LEVELS.info) {
-    console.log(...args);
+    currentLogger.info(...args);
   }
 };
 
 /**
  * Log a debug message
  *
- * @param {...*} args - Arguments to log
+ * @param {...*} args - The message, then an optional context object
  *
  * @example
- * logger.debug('Checking IP:', ipAddress);
+ * logger.debug('Checking IP', { ip: ipAddress });
  */
 export const debug = (...args) => {
   if (currentLevel >= LOG_LEVELS.debug) {
-    console.debug(...args);
+    currentLogger.debug(...args);
   }
 };
 
 export default {
   setLevel,
   getLevel,
+  setLogger,
+  createJsonLogger,
   error,
   warn,
   info,
@@ -0,0 +1,93 @@
+/**
+ * Process-wide network mode for trusted-network-providers
+ *
+ * In offline mode the HTTP client and the SPF analyser refuse to make requests, so the
+ * library never touches the network or DNS. Intended for air-gapped environments, where
+ * providers run on bundled data (and the last-known-good store) instead.
+ *
+ * Modes:
+ * - online: Providers may fetch their data over HTTPS and DNS (default)
+ * - offline: Every HTTP request and DNS lookup throws a NetworkDisabledError
+ *
+ * Until setNetworkMode() is called, the mode is 'offline' if the TNP_OFFLINE environment
+ * variable is '1' or 'true', and 'online' otherwise.
+ *
+ * @module utils/network-mode
+ */
+
+import { NetworkDisabledError } from '../errors.js';
+
+export const NETWORK_MODE_ONLINE = 'online';
+export const NETWORK_MODE_OFFLINE = 'offline';
+
+const NETWORK_MODES = [NETWORK_MODE_ONLINE, NETWORK_MODE_OFFLINE];
+
+let currentMode = null; // null until setNetworkMode() is called, so TNP_OFFLINE applies
+
+/**
+ * Set the network mode for the whole process
+ *
+ * @param {string|null} mode - 'online' or 'offline', or null to go back to the TNP_OFFLINE default
+ * @throws {Error} If mode is invalid
+ *
+ * @example
+ * networkMode.setNetworkMode('offline'); // No HTTP requests or DNS lookups from here on
+ */
+export const setNetworkMode = (mode) => {
+  if (mode !== null && !NETWORK_MODES.includes(mode)) {
+    throw new Error(`Invalid network mode: ${mode}. Must be one of: ${NETWORK_MODES.join(', ')}`);
+  }
+  currentMode = mode;
+};
+
+/**
+ * Get the current network mode
+ *
+ * @returns {string} 'online' or 'offline'
+ *
+ * @example
+ * if (networkMode.getNetworkMode() === NETWORK_MODE_OFFLINE) {
+ *   // Load bundled data instead
+ * }
+ */
+export const getNetworkMode = () => {
+  if (currentMode !== null) {
+    return currentMode;
+  }
+
+  return ['1', 'true'].includes(process.env.TNP_OFFLINE) ? NETWORK_MODE_OFFLINE : NETWORK_MODE_ONLINE;
+};
+
+/**
+ * Check whether the network may be used
+ *
+ * @returns {boolean} True in offline mode
+ */
+export const isOffline = () => {
+  return getNetworkMode() === NETWORK_MODE_OFFLINE;
+};
+
+/**
+ * Throw if the network may not be used. Called before every HTTP request and DNS lookup.
+ *
+ * @param {string} target - What was about to be requested, for the error message (a URL or a DNS name)
+ * @throws {NetworkDisabledError} In offline mode
+ *
+ * @example
+ * assertNetworkAllowed(url);
+ * const response = await fetch(url);
+ */
+export const assertNetworkAllowed = (target) => {
+  if (isOffline()) {
+    throw new NetworkDisabledError(target);
+  }
+};
+
+export default {
+  setNetworkMode,
+  getNetworkMode,
+  isOffline,
+  assertNetworkAllowed,
+  NETWORK_MODE_ONLINE,
+  NETWORK_MODE_OFFLINE,
+};
@@ -7,6 +7,7 @@
  * - Retry logic for transient failures
  * - SHA-256 checksum verification
  * - Error handling
+ * - No requests at all in offline mode (see utils/network-mode.js)
  *
  * Note: Native Node.js fetch (v18+) performs strict certificate validation
  * by default (rejectUnauthorized: true, modern TLS versions). No additional
@@ -14,7 +15,8 @@
  */
 
 import crypto from 'node:crypto';
-import { HttpError } from '../errors.js';
+import { HttpError, NetworkDisabledError } from '../errors.js';
+import { assertNetworkAllowed } from './network-mode.js';
 
 /**
  * Configuration for secure HTTP requests
@@ -82,7 +84,7 @@ function sleep(ms) {
 }
 
 /**
- * Internal helper that handles HTTPS enforcement, retry loop, error classification,
+ * Internal helper that handles offline mode, HTTPS enforcement, retry loop, error classification,
  * and backoff for all fetch functions.
  *
  * @param {string} url - The URL to fetch from (must be HTTPS)
@@ -90,9 +92,12 @@ function sleep(ms) {
  * @param {object} fetchOptions - The { method, headers } object for fetch
  * @param {Function} processResponse - Callback receiving the Response, returns the final value
  * @returns {Promise<*>} - The processed response value
- * @throws {Error|HttpError} - On failure
+ * @throws {Error|HttpError|NetworkDisabledError} - On failure
  */
 async function fetchWithRetry(url, config, fetchOptions, processResponse) {
+  // Offline mode: refuse before anything else, so not even a DNS lookup happens
+  assertNetworkAllowed(url);
+
   // Security check: Only allow HTTPS
   if (!url.startsWith('https://')) {
     throw new Error(`Insecure URL rejected: ${url}. Only HTTPS URLs are allowed.`);
@@ -226,4 +231,13 @@ async function fetchXML(url, options = {}) {
   });
 }
 
-export { fetchJSON, fetchText, fetchXML, calculateSHA256, verifyChecksum, DEFAULT_CONFIG, HttpError };
+export {
+  fetchJSON,
+  fetchText,
+  fetchXML,
+  calculateSHA256,
+  verifyChecksum,
+  DEFAULT_CONFIG,
+  HttpError,
+  NetworkDisabledError,
+};
@@ -0,0 +1,113 @@
+/**
+ * source-loader.js
+ *
+ * Reads the raw data behind a provider's reload sources. A provider that declares
+ * `reloadSources` lists them in order of preference, and the library tries each one
+ * until a source can be read, parsed and validated:
+ * - url: a live HTTPS endpoint, fetched with the secure HTTP client
+ * - asset: a file bundled in src/assets, optionally checksum-verified
+ * - file: a local file path, e.g. a copy kept up to date by a cron job
+ *
+ * @module utils/source-loader
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fetchJSON, fetchText } from './secure-http-client.js';
+import { verifyAssetChecksum } from './checksum-verifier.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ASSETS_DIR = path.join(__dirname, '../assets');
+
+export const SOURCE_TYPE_URL = 'url'; // A live HTTPS endpoint
+export const SOURCE_TYPE_ASSET = 'asset'; // A file in src/assets, shipped with the package
+export const SOURCE_TYPE_FILE = 'file'; // A local file path
+
+export const SOURCE_FORMAT_JSON = 'json'; // Parsed before it's passed to parseSource() (default)
+export const SOURCE_FORMAT_TEXT = 'text'; // Passed to parseSource() as a string
+
+const SOURCE_TYPES = [SOURCE_TYPE_URL, SOURCE_TYPE_ASSET, SOURCE_TYPE_FILE];
+const SOURCE_FORMATS = [SOURCE_FORMAT_JSON, SOURCE_FORMAT_TEXT];
+
+/**
+ * Validate a reload source
+ *
+ * @param {Object} source - The source to validate
+ * @param {string} source.type - 'url', 'asset' or 'file'
+ * @param {string} [source.url] - The HTTPS URL of a url source
+ * @param {string} [source.path] - The asset name (relative to src/assets) or file path
+ * @param {string} [source.format] - 'json' (default) or 'text'
+ * @param {string} [source.checksumKey] - Key in checksums.json to verify an asset against
+ * @throws {Error} If the source is invalid
+ */
+export function validateSource(source) {
+  if (typeof source !== 'object' || source === null || !SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`source type must be one of: ${SOURCE_TYPES.join(', ')}`);
+  }
+
+  if (source.type === SOURCE_TYPE_URL) {
+    if (typeof source.url !== 'string' || !source.url.startsWith('https://')) {
+      throw new Error(`url source needs an HTTPS url: ${source.url}`);
+    }
+  } else if (typeof source.path !== 'string' || source.path.length === 0) {
+    throw new Error(`${source.type} source needs a path`);
+  }
+
+  if (source.format !== undefined && !SOURCE_FORMATS.includes(source.format)) {
+    throw new Error(`source format must be one of: ${SOURCE_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Describe where a source reads from, for metadata and log messages
+ *
+ * @param {Object} source - A valid reload source
+ * @returns {string} The URL, or the full path of the asset or file
+ */
+export function getSourceLocation(source) {
+  if (source.type === SOURCE_TYPE_URL) {
+    return source.url;
+  }
+
+  return source.type === SOURCE_TYPE_ASSET ? path.join(ASSETS_DIR, source.path) : source.path;
+}
+
+/**
+ * Read a source's raw data
+ *
+ * @param {Object} source - A valid reload source
+ * @returns {Promise<*>} The parsed JSON, or the text for 'text' sources
+ * @throws {Error} If the source can't be read, an asset fails its checksum or its JSON can't be parsed
+ *   (a NetworkDisabledError for url sources in offline mode)
+ */
+export async function readSource(source) {
+  const format = source.format ?? SOURCE_FORMAT_JSON;
+  const location = getSourceLocation(source);
+
+  if (source.type === SOURCE_TYPE_URL) {
+    const { timeout, retries, verifyStructure } = source;
+    const options = Object.fromEntries(
+      Object.entries({ timeout, retries, verifyStructure }).filter(([, value]) => value !== undefined)
+    );
+    return format === SOURCE_FORMAT_JSON ? fetchJSON(location, options) : fetchText(location, options);
+  }
+
+  // A mismatch fails the source, so the next one is tried instead of using a corrupted or tampered asset
+  if (source.type === SOURCE_TYPE_ASSET && source.checksumKey) {
+    await verifyAssetChecksum(location, source.checksumKey, true);
+  }
+
+  const text = await readFile(location, 'utf8');
+  if (format === SOURCE_FORMAT_TEXT) {
+    return text;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`Failed to parse JSON from ${location}: ${parseError.message}`);
+  }
+}
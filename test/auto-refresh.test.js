@@ -0,0 +1,225 @@
+/**
+ * Auto Refresh Tests
+ *
+ * Tests startAutoRefresh() / stopAutoRefresh(): per-provider reload intervals, jitter,
+ * retries with backoff, automatic staleness checks and unref()'d timers.
+ */
+
+import { jest } from '@jest/globals';
+import { createTrustedNetwork, PROVIDER_STATE_STALE } from '../src/index.js';
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const createFeed = (name, reload = async () => {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [] },
+  ipv6: { addresses: [], ranges: [] },
+  reload: jest.fn(reload),
+});
+
+describe('Auto Refresh', () => {
+  let network;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    network = createTrustedNetwork();
+  });
+
+  afterEach(() => {
+    network.stopAutoRefresh();
+    jest.useRealTimers();
+  });
+
+  test('should reload each provider on its own interval', async () => {
+    const stripe = createFeed('Stripe API');
+    const bunny = createFeed('BunnyNet');
+    network.addProvider(stripe);
+    network.addProvider(bunny);
+
+    network.startAutoRefresh({ defaultInterval: 24 * HOUR, perProvider: { 'Stripe API': HOUR }, jitter: 0 });
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(stripe.reload).toHaveBeenCalledTimes(1);
+    expect(bunny.reload).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(23 * HOUR);
+    expect(stripe.reload).toHaveBeenCalledTimes(24);
+    expect(bunny.reload).toHaveBeenCalledTimes(1);
+  });
+
+  test('should vary the delay by the jitter', async () => {
+    const feed = createFeed('Feed');
+    network.addProvider(feed);
+    const random = jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    try {
+      network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0.5 });
+    } finally {
+      random.mockRestore();
+    }
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(feed.reload).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(HOUR / 2);
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry failed reloads with exponential backoff', async () => {
+    const feed = createFeed('Feed', async () => {
+      throw new Error('Upstream unavailable');
+    });
+    network.addProvider(feed);
+
+    network.startAutoRefresh({
+      defaultInterval: HOUR,
+      jitter: 0,
+      retryOnError: { initialDelay: MINUTE, maxDelay: 10 * MINUTE },
+    });
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+
+    // Retries after 1, 2, 4 and 8 minutes, then every 10 minutes
+    for (const [delay, calls] of [
+      [MINUTE, 2],
+      [2 * MINUTE, 3],
+      [4 * MINUTE, 4],
+      [8 * MINUTE, 5],
+      [10 * MINUTE, 6],
+      [10 * MINUTE, 7],
+    ]) {
+      await jest.advanceTimersByTimeAsync(delay - 1);
+      expect(feed.reload).toHaveBeenCalledTimes(calls - 1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(feed.reload).toHaveBeenCalledTimes(calls);
+    }
+  });
+
+  test('should return to the regular interval once a retry succeeds', async () => {
+    let failing = true;
+    const feed = createFeed('Feed', async () => {
+      if (failing) {
+        throw new Error('Upstream unavailable');
+      }
+    });
+    network.addProvider(feed);
+    network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0 });
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+    failing = false;
+    await jest.advanceTimersByTimeAsync(MINUTE);
+    expect(feed.reload).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(2 * MINUTE);
+    expect(feed.reload).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(feed.reload).toHaveBeenCalledTimes(3);
+  });
+
+  test('should wait for the next interval when retries are off', async () => {
+    const feed = createFeed('Feed', async () => {
+      throw new Error('Upstream unavailable');
+    });
+    network.addProvider(feed);
+    network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0, retryOnError: false });
+
+    await jest.advanceTimersByTimeAsync(HOUR + 30 * MINUTE);
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(30 * MINUTE);
+    expect(feed.reload).toHaveBeenCalledTimes(2);
+  });
+
+  test('should check staleness automatically', async () => {
+    const feed = createFeed('Feed');
+    network = createTrustedNetwork({ stalenessThresholdMs: 2 * HOUR, providers: [feed] });
+    await network.reloadAll();
+
+    network.startAutoRefresh({ defaultInterval: 24 * HOUR, stalenessCheckInterval: HOUR });
+    await jest.advanceTimersByTimeAsync(3 * HOUR);
+
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_STALE);
+  });
+
+  test('should schedule providers added later and forget deleted ones', async () => {
+    network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0 });
+    const feed = createFeed('Feed');
+    const removed = createFeed('Removed');
+    network.addProvider(feed);
+    network.addProvider(removed);
+    network.deleteProvider('Removed');
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+    expect(removed.reload).not.toHaveBeenCalled();
+  });
+
+  test('should skip disabled providers until they are re-enabled', async () => {
+    const feed = createFeed('Feed');
+    network.addProvider(feed);
+    network.disableProvider('Feed');
+    network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0 });
+
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(feed.reload).not.toHaveBeenCalled();
+
+    network.enableProvider('Feed');
+    await jest.advanceTimersByTimeAsync(HOUR);
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop reloading after stopAutoRefresh()', async () => {
+    const feed = createFeed('Feed');
+    network.addProvider(feed);
+    network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0 });
+
+    network.stopAutoRefresh();
+    await jest.advanceTimersByTimeAsync(2 * HOUR);
+
+    expect(feed.reload).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('should replace the schedule when started again', async () => {
+    const feed = createFeed('Feed');
+    network.addProvider(feed);
+    network.startAutoRefresh({ defaultInterval: HOUR, jitter: 0 });
+    network.startAutoRefresh({ defaultInterval: 2 * HOUR, jitter: 0 });
+
+    await jest.advanceTimersByTimeAsync(2 * HOUR);
+
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+  });
+
+  test('should unref its timers', () => {
+    const unref = jest.fn();
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockReturnValue({ unref });
+    const setIntervalSpy = jest.spyOn(global, 'setInterval').mockReturnValue({ unref });
+
+    try {
+      network.addProvider(createFeed('Feed'));
+      network.startAutoRefresh();
+    } finally {
+      setTimeoutSpy.mockRestore();
+      setIntervalSpy.mockRestore();
+    }
+
+    expect(unref).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject invalid options', () => {
+    expect(() => network.startAutoRefresh({ defaultInterval: 0 })).toThrow(
+      'defaultInterval must be a positive number of milliseconds'
+    );
+    expect(() => network.startAutoRefresh({ perProvider: { 'Stripe API': 'hourly' } })).toThrow(
+      'perProvider["Stripe API"] must be a positive number of milliseconds'
+    );
+    expect(() => network.startAutoRefresh({ jitter: 2 })).toThrow('jitter must be a number between 0 and 1');
+    expect(() => network.startAutoRefresh({ retryOnError: { maxDelay: -1 } })).toThrow(
+      'retryOnError.maxDelay must be a positive number of milliseconds'
+    );
+  });
+});
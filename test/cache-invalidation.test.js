@@ -0,0 +1,148 @@
+/**
+ * Cache Invalidation Tests
+ *
+ * Tests that adding, deleting, enabling, disabling, reloading and reordering providers only drops the
+ * cached lookup results the change can affect, and keeps the rest warm.
+ */
+
+import { jest } from '@jest/globals';
+import ipaddr from 'ipaddr.js';
+import { createTrustedNetwork, PROVIDER_MODE_DENY } from '../src/index.js';
+
+const createFeed = (name, ranges, extra = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [...ranges] },
+  ipv6: { addresses: [], ranges: [] },
+  ...extra,
+});
+
+describe('Cache Invalidation', () => {
+  let network;
+
+  // A cache hit returns before the IP is parsed
+  const isCached = (ipAddress) => {
+    const parse = jest.spyOn(ipaddr, 'parse');
+    try {
+      network.getTrustedProvider(ipAddress);
+      return parse.mock.calls.length === 0;
+    } finally {
+      parse.mockRestore();
+    }
+  };
+
+  beforeEach(() => {
+    network = createTrustedNetwork({
+      providers: [createFeed('High', ['192.0.2.0/26']), createFeed('Low', ['198.51.100.0/24', '192.0.2.0/24'])],
+    });
+
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('High');
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Low');
+    expect(network.getTrustedProvider('203.0.113.1')).toBeNull();
+  });
+
+  test('should only drop results of the deleted provider and untrusted results', () => {
+    network.deleteProvider('Low');
+
+    expect(isCached('192.0.2.1')).toBe(true);
+    expect(isCached('198.51.100.1')).toBe(false);
+    expect(isCached('203.0.113.1')).toBe(false);
+    expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+  });
+
+  test('should keep parsed ranges when a provider is deleted', () => {
+    const { parsedRanges } = network.getHealth().caches;
+
+    network.deleteProvider('High');
+
+    expect(network.getHealth().caches.parsedRanges.size).toBe(parsedRanges.size);
+  });
+
+  test('should only drop untrusted and lower-priority results when a provider is added', () => {
+    network.insertProvider(createFeed('Middle', ['198.51.100.0/25', '203.0.113.0/24']), { after: 'High' });
+
+    expect(isCached('192.0.2.1')).toBe(true);
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Middle');
+    expect(network.getTrustedProvider('203.0.113.1')).toBe('Middle');
+  });
+
+  test('should treat disabling like deleting and enabling like adding', () => {
+    network.disableProvider('High');
+    expect(isCached('198.51.100.1')).toBe(true);
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Low');
+
+    network.enableProvider('High');
+    expect(isCached('192.0.2.1')).toBe(false);
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('High');
+  });
+
+  test('should keep results of the reloaded provider when it only gains entries', async () => {
+    const feed = createFeed('Feed', ['233.252.0.0/24']);
+    feed.reload = async () => {
+      feed.ipv4.ranges.push('203.0.113.0/24');
+    };
+    network.addProvider(feed);
+    expect(network.getTrustedProvider('233.252.0.1')).toBe('Feed');
+
+    await network.reloadProvider('Feed');
+
+    expect(isCached('233.252.0.1')).toBe(true);
+    expect(isCached('192.0.2.1')).toBe(true);
+    expect(network.getTrustedProvider('203.0.113.1')).toBe('Feed');
+  });
+
+  test('should keep every result when reloaded data is unchanged', async () => {
+    network.addProvider(createFeed('Feed', ['233.252.0.0/24'], { reload: async () => {} }));
+    network.getTrustedProvider('203.0.113.1');
+
+    await network.reloadAll();
+
+    expect(isCached('192.0.2.1')).toBe(true);
+    expect(isCached('203.0.113.1')).toBe(true);
+  });
+
+  test('should only drop untrusted results when a deny provider is deleted', () => {
+    network.addProvider(createFeed('Blocklist', ['198.51.100.0/30'], { mode: PROVIDER_MODE_DENY }));
+    expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+    expect(network.getTrustedProvider('198.51.100.200')).toBe('Low');
+
+    network.deleteProvider('Blocklist');
+
+    expect(isCached('198.51.100.200')).toBe(true);
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Low');
+  });
+
+  test('should only drop results of providers that were overtaken when the order changes', () => {
+    expect(network.getTrustedProviders('198.51.100.1')).toEqual(['Low']);
+
+    network.setProviderOrder(['Low']);
+
+    expect(isCached('198.51.100.1')).toBe(true);
+    expect(isCached('203.0.113.1')).toBe(true);
+    expect(network.getTrustedProviders('198.51.100.1')).toEqual(['Low']);
+    expect(network.getHealth().caches.allProviders.size).toBe(1);
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Low');
+    expect(network.getTrustedProviders('192.0.2.1')).toEqual(['Low', 'High']);
+  });
+
+  test('should keep every result when only a deny provider moves', () => {
+    network.addProvider(createFeed('Blocklist', ['198.51.100.0/30'], { mode: PROVIDER_MODE_DENY }));
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('High');
+    expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+
+    network.setProviderOrder(['Blocklist']);
+
+    expect(isCached('192.0.2.1')).toBe(true);
+    expect(isCached('198.51.100.1')).toBe(true);
+    expect(isCached('203.0.113.1')).toBe(true);
+  });
+
+  test('should only drop multi-provider results naming a deleted provider', () => {
+    expect(network.getTrustedProviders('192.0.2.1')).toEqual(['High', 'Low']);
+    expect(network.getTrustedProviders('198.51.100.1')).toEqual(['Low']);
+
+    network.deleteProvider('High');
+
+    expect(network.getTrustedProviders('192.0.2.1')).toEqual(['Low']);
+    expect(network.getHealth().caches.allProviders.size).toBe(2);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Change Event Tests
+ *
+ * Tests the 'change' event and getLastChange(), which report the addresses and ranges
+ * a reload added to and removed from a provider.
+ */
+
+import { createTrustedNetwork } from '../src/index.js';
+
+const createFeed = (name, next) => {
+  const provider = {
+    name,
+    ipv4: { addresses: ['192.0.2.10', '192.0.2.11'], ranges: ['198.51.100.0/24'] },
+    ipv6: { addresses: [], ranges: ['2001:db8::/48'] },
+  };
+  provider.reload = async () => {
+    provider.ipv4 = { addresses: [], ranges: [], ...next.ipv4 };
+    provider.ipv6 = { addresses: [], ranges: [], ...next.ipv6 };
+  };
+  return provider;
+};
+
+describe('Change Events', () => {
+  let network;
+  let changes;
+
+  beforeEach(() => {
+    network = createTrustedNetwork();
+    changes = [];
+    network.on('change', (data) => changes.push(data));
+  });
+
+  test('should emit the added and removed entries per address family', async () => {
+    network.addProvider(
+      createFeed('Stripe Webhooks', {
+        ipv4: { addresses: ['192.0.2.10', '192.0.2.12', '192.0.2.13'], ranges: ['198.51.100.0/24'] },
+        ipv6: { ranges: ['2001:db8:1::/48'] },
+      })
+    );
+
+    await network.reloadAll();
+
+    expect(changes).toEqual([
+      {
+        provider: 'Stripe Webhooks',
+        added: { ipv4: ['192.0.2.12', '192.0.2.13'], ipv6: ['2001:db8:1::/48'] },
+        removed: { ipv4: ['192.0.2.11'], ipv6: ['2001:db8::/48'] },
+        timestamp: expect.any(Number),
+      },
+    ]);
+  });
+
+  test('should not emit when a reload leaves the data unchanged', async () => {
+    network.addProvider(
+      createFeed('Feed', {
+        ipv4: { addresses: ['192.0.2.11', '192.0.2.10'], ranges: ['198.51.100.0/24'] },
+        ipv6: { ranges: ['2001:db8::/48'] },
+      })
+    );
+
+    await network.reloadAll();
+
+    expect(changes).toEqual([]);
+    expect(network.getLastChange('Feed')).toBeNull();
+  });
+
+  test('should not emit for failed or rejected reloads', async () => {
+    const failing = createFeed('Failing Feed', {});
+    failing.reload = async () => {
+      failing.ipv4.addresses.push('192.0.2.99');
+      throw new Error('Upstream unavailable');
+    };
+    network.addProvider(failing);
+    network.addProvider(createFeed('Emptied Feed', {}));
+
+    await network.reloadAll();
+
+    expect(changes).toEqual([]);
+    expect(network.getLastChange('Failing Feed')).toBeNull();
+    expect(network.getLastChange('Emptied Feed')).toBeNull();
+  });
+
+  describe('getLastChange()', () => {
+    test('should return the most recent change', async () => {
+      const feed = createFeed('Feed', { ipv4: { addresses: ['192.0.2.10', '192.0.2.11', '192.0.2.12'] } });
+      network.addProvider(feed);
+
+      await network.reloadAll();
+
+      expect(network.getLastChange('Feed')).toEqual(changes[0]);
+      expect(network.getLastChange('Feed').removed.ipv4).toEqual(['198.51.100.0/24']);
+    });
+
+    test('should keep the last change through reloads that change nothing', async () => {
+      network.addProvider(createFeed('Feed', { ipv4: { addresses: ['192.0.2.10', '192.0.2.11', '192.0.2.12'] } }));
+
+      await network.reloadAll();
+      await network.reloadAll();
+
+      expect(changes).toHaveLength(1);
+      expect(network.getLastChange('Feed').added.ipv4).toEqual(['192.0.2.12']);
+    });
+
+    test('should return a copy that callers cannot alter', async () => {
+      network.addProvider(createFeed('Feed', { ipv4: { addresses: ['192.0.2.10', '192.0.2.11', '192.0.2.12'] } }));
+      await network.reloadAll();
+
+      network.getLastChange('Feed').added.ipv4.push('203.0.113.1');
+      changes[0].removed.ipv6.length = 0;
+
+      expect(network.getLastChange('Feed').added.ipv4).toEqual(['192.0.2.12']);
+      expect(network.getLastChange('Feed').removed.ipv6).toEqual(['2001:db8::/48']);
+    });
+
+    test('should return null for unknown and deleted providers', async () => {
+      network.addProvider(createFeed('Feed', { ipv4: { addresses: ['192.0.2.10', '192.0.2.11', '192.0.2.12'] } }));
+      await network.reloadAll();
+
+      network.deleteProvider('Feed');
+
+      expect(network.getLastChange('Feed')).toBeNull();
+      expect(network.getLastChange('Unknown')).toBeNull();
+    });
+  });
+});
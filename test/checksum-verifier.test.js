@@ -98,7 +98,10 @@ describe('Checksum Verifier', () => {
       const result = await verifyAssetChecksum(assetPath, 'googlebot', false);
 
       expect(result).toBe(false);
-      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Asset file not found'));
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Asset file not found'),
+        expect.objectContaining({ checksumKey: 'googlebot', code: 'ENOENT' })
+      );
 
       logger.setLevel('error'); // Reset to default
       consoleSpy.mockRestore();
@@ -124,7 +127,10 @@ describe('Checksum Verifier', () => {
       );
 
       expect(result).toBe(false);
-      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Checksum mismatch'));
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Checksum mismatch'),
+        expect.objectContaining({ checksumKey: 'googlebot' })
+      );
 
       logger.setLevel('error'); // Reset to default
       consoleSpy.mockRestore();
@@ -0,0 +1,118 @@
+/**
+ * Deny Provider Tests
+ *
+ * Tests providers with mode: 'deny', which block IPs that trusted providers would
+ * otherwise cover, and how the block is reported by lookups, explain() and events.
+ */
+
+import {
+  createTrustedNetwork,
+  EXPLAIN_OUTCOME_DENIED,
+  EXPLAIN_OUTCOME_SHADOWED,
+  PROVIDER_MODE_DENY,
+} from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, extra = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [] },
+  ...extra,
+});
+
+describe('Deny Providers', () => {
+  let network;
+  let deniedEvents;
+
+  beforeEach(() => {
+    network = createTrustedNetwork({
+      providers: [
+        createProvider('Edge CDN', { ranges: ['192.0.2.0/24'] }, { categories: ['cdn'] }),
+        createProvider('Abusive Workers', { ranges: ['192.0.2.128/26'] }, { mode: PROVIDER_MODE_DENY }),
+      ],
+    });
+
+    deniedEvents = [];
+    network.on('lookup:denied', (data) => deniedEvents.push(data));
+  });
+
+  test('should block IPs covered by a deny provider, whatever the order', () => {
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Edge CDN');
+    expect(network.getTrustedProvider('192.0.2.130')).toBeNull();
+    expect(network.isTrusted('192.0.2.130')).toBe(false);
+    expect(network.getTrustedProviders('192.0.2.130')).toEqual([]);
+  });
+
+  test('should never trust IPs that only a deny provider covers', () => {
+    network.addProvider(createProvider('Bad Subnet', { ranges: ['198.51.100.0/24'] }, { mode: PROVIDER_MODE_DENY }));
+
+    expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+    expect(network.getTrustedProviders('198.51.100.1')).toEqual([]);
+  });
+
+  test('should apply deny providers to category-scoped lookups', () => {
+    expect(network.getTrustedProvider('192.0.2.1', { categories: ['cdn'] })).toBe('Edge CDN');
+    expect(network.getTrustedProvider('192.0.2.130', { categories: ['cdn'] })).toBeNull();
+  });
+
+  test('should report the deny provider in lookup()', () => {
+    expect(network.lookup('192.0.2.130')).toMatchObject({
+      provider: null,
+      deniedBy: 'Abusive Workers',
+      matchType: 'range',
+      matchedRange: '192.0.2.128/26',
+      ip: '192.0.2.130',
+    });
+    expect(network.lookup('192.0.2.1')).toMatchObject({ provider: 'Edge CDN', deniedBy: null });
+  });
+
+  test('should report the deny provider in explain()', () => {
+    const explanation = network.explain('192.0.2.130');
+
+    expect(explanation.provider).toBeNull();
+    expect(explanation.deniedBy).toBe('Abusive Workers');
+    expect(explanation.providers.map((report) => report.outcome)).toEqual([
+      EXPLAIN_OUTCOME_SHADOWED,
+      EXPLAIN_OUTCOME_DENIED,
+    ]);
+  });
+
+  test('should emit lookup:denied with the overridden provider', () => {
+    network.getTrustedProvider('192.0.2.130');
+
+    expect(deniedEvents).toEqual([
+      {
+        provider: 'Abusive Workers',
+        ip: '192.0.2.130',
+        matchType: 'range',
+        matchedRange: '192.0.2.128/26',
+        overridden: 'Edge CDN',
+        timestamp: expect.any(Number),
+      },
+    ]);
+  });
+
+  test('should not emit again for cached results', () => {
+    network.getTrustedProvider('192.0.2.130');
+    network.getTrustedProvider('192.0.2.130');
+
+    expect(deniedEvents).toHaveLength(1);
+  });
+
+  test('should stop blocking when the deny provider is disabled or deleted', () => {
+    network.disableProvider('Abusive Workers');
+    expect(network.getTrustedProvider('192.0.2.130')).toBe('Edge CDN');
+
+    network.enableProvider('Abusive Workers');
+    expect(network.getTrustedProvider('192.0.2.130')).toBeNull();
+
+    network.deleteProvider('Abusive Workers');
+    expect(network.getTrustedProvider('192.0.2.130')).toBe('Edge CDN');
+    expect(deniedEvents).toHaveLength(1);
+  });
+
+  test('should reject an unknown mode', () => {
+    expect(() => network.addProvider(createProvider('Odd', {}, { mode: 'block' }))).toThrow(
+      'Provider "Odd" has an invalid mode: block'
+    );
+  });
+});
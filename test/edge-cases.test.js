@@ -319,11 +319,15 @@ describe('Edge Cases and Error Handling', () => {
 
       // addProvider should log at debug level
       trustedProviders.addProvider(diagnosticProvider);
-      expect(consoleDebugSpy).toHaveBeenCalledWith('➕ Add provider: Diagnostic Test Provider');
+      expect(consoleDebugSpy).toHaveBeenCalledWith('➕ Add provider: Diagnostic Test Provider', {
+        provider: 'Diagnostic Test Provider',
+      });
 
       // reloadAll should log at debug level
       await trustedProviders.reloadAll();
-      expect(consoleDebugSpy).toHaveBeenCalledWith('🔃 Reload: Diagnostic Test Provider');
+      expect(consoleDebugSpy).toHaveBeenCalledWith('🔃 Reload: Diagnostic Test Provider', {
+        provider: 'Diagnostic Test Provider',
+      });
 
       // Restore
       trustedProviders.setLogLevel('error'); // Reset to default
@@ -352,11 +356,14 @@ describe('Edge Cases and Error Handling', () => {
 
       trustedProviders.addProvider(badProvider);
 
-      // This should trigger the catch block in getTrustedProvider
+      // This should trigger the catch block while the lookup index is compiled
       const result = trustedProviders.getTrustedProvider('192.0.2.1');
 
       // Should have logged the error
-      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('ERROR: Failed to find trusted source'));
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('ERROR: Failed to index provider Bad Provider'),
+        { provider: 'Bad Provider', error: expect.any(TypeError) }
+      );
 
       // Should return null even though an error occurred
       expect(result).toBeNull();
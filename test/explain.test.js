@@ -0,0 +1,108 @@
+/**
+ * Explain Tests
+ *
+ * Tests explain(), which reports how every provider was evaluated for an IP
+ * and must always agree with getTrustedProvider().
+ */
+
+import { jest } from '@jest/globals';
+import trustedProviders, {
+  EXPLAIN_OUTCOME_MATCHED,
+  EXPLAIN_OUTCOME_SHADOWED,
+  EXPLAIN_OUTCOME_NO_MATCH,
+  EXPLAIN_OUTCOME_SKIPPED,
+  SKIP_REASON_EMPTY,
+  SKIP_REASON_WRONG_FAMILY,
+} from '../src/index.js';
+import logger from '../src/utils/logger.js';
+
+const createProvider = (name, ipv4 = {}, ipv6 = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [], ...ipv6 },
+});
+
+describe('explain()', () => {
+  beforeEach(() => {
+    const providers = [...trustedProviders.getAllProviders()];
+    providers.forEach((provider) => {
+      trustedProviders.deleteProvider(provider.name);
+    });
+
+    trustedProviders.addProvider(createProvider('Empty'));
+    trustedProviders.addProvider(createProvider('IPv6 Only', {}, { ranges: ['2001:db8::/32'] }));
+    trustedProviders.addProvider(createProvider('Near Miss', { ranges: ['192.0.2.128/25', '10.0.0.0/8'] }));
+    trustedProviders.addProvider(createProvider('Winner', { ranges: ['192.0.2.0/25'] }));
+    trustedProviders.addProvider(createProvider('Runner Up', { addresses: ['192.0.2.1'] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report every provider in priority order', () => {
+    const explanation = trustedProviders.explain('192.0.2.1');
+
+    expect(explanation.valid).toBe(true);
+    expect(explanation.ipVersion).toBe('ipv4');
+    expect(explanation.providers.map((report) => report.provider)).toEqual([
+      'Empty',
+      'IPv6 Only',
+      'Near Miss',
+      'Winner',
+      'Runner Up',
+    ]);
+  });
+
+  test('should report skipped, matched, shadowed and unmatched providers', () => {
+    const [empty, ipv6Only, nearMiss, winner, runnerUp] = trustedProviders.explain('192.0.2.1').providers;
+
+    expect(empty).toMatchObject({ outcome: EXPLAIN_OUTCOME_SKIPPED, skipReason: SKIP_REASON_EMPTY });
+    expect(ipv6Only).toMatchObject({ outcome: EXPLAIN_OUTCOME_SKIPPED, skipReason: SKIP_REASON_WRONG_FAMILY });
+    expect(nearMiss).toMatchObject({ outcome: EXPLAIN_OUTCOME_NO_MATCH, skipReason: null, matchedRange: null });
+    expect(winner).toMatchObject({
+      outcome: EXPLAIN_OUTCOME_MATCHED,
+      matchType: 'range',
+      matchedRange: '192.0.2.0/25',
+    });
+    expect(runnerUp).toMatchObject({
+      outcome: EXPLAIN_OUTCOME_SHADOWED,
+      matchType: 'address',
+      matchedRange: '192.0.2.1',
+    });
+  });
+
+  test('should list the nearest non-matching entries first', () => {
+    const nearMiss = trustedProviders.explain('192.0.2.1').providers[2];
+
+    expect(nearMiss.nearest).toEqual([
+      { matchType: 'range', range: '192.0.2.128/25', sharedBits: 24 },
+      { matchType: 'range', range: '10.0.0.0/8', sharedBits: 0 },
+    ]);
+  });
+
+  test('should always agree with getTrustedProvider()', () => {
+    const ips = ['192.0.2.1', '192.0.2.200', '10.1.1.1', '2001:db8::1', '198.51.100.1'];
+
+    ips.forEach((ip) => {
+      expect(trustedProviders.explain(ip).provider).toBe(trustedProviders.getTrustedProvider(ip));
+    });
+  });
+
+  test('should report an invalid IP without checking providers', () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    expect(trustedProviders.explain('not-an-ip')).toEqual({
+      ip: 'not-an-ip',
+      ipVersion: null,
+      valid: false,
+      provider: null,
+      deniedBy: null,
+      providers: [],
+    });
+    expect(logger.error).toHaveBeenCalledWith(
+      'Failed to parse IP: not-an-ip',
+      expect.objectContaining({ ip: 'not-an-ip' })
+    );
+  });
+});
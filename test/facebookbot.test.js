@@ -0,0 +1,66 @@
+/**
+ * FacebookBot Provider Tests
+ *
+ * Tests that reload() loads both bundled lists, and keeps its data and fails when a list can't be read.
+ */
+
+import { jest } from '@jest/globals';
+
+const fsPromises = await import('node:fs/promises');
+const { readFile } = fsPromises;
+const mockReadFile = jest.fn(readFile);
+
+jest.unstable_mockModule('node:fs/promises', () => ({
+  ...fsPromises,
+  readFile: mockReadFile,
+}));
+
+const { default: facebookbot } = await import('../src/providers/facebookbot.js');
+const { createTrustedNetwork } = await import('../src/index.js');
+const { default: logger } = await import('../src/utils/logger.js');
+
+describe('FacebookBot Provider', () => {
+  beforeEach(() => {
+    mockReadFile.mockClear();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should load IPv4 and IPv6 ranges from the bundled assets', async () => {
+    await facebookbot.reload();
+
+    expect(facebookbot.ipv4.ranges.length).toBeGreaterThan(0);
+    expect(facebookbot.ipv6.ranges.length).toBeGreaterThan(0);
+    expect(facebookbot.ipv4.ranges).not.toContain('');
+  });
+
+  test('should keep its data and throw if a list cannot be read', async () => {
+    await facebookbot.reload();
+    const ipv4Ranges = [...facebookbot.ipv4.ranges];
+    const ipv6Ranges = [...facebookbot.ipv6.ranges];
+    mockReadFile.mockImplementationOnce(readFile).mockRejectedValueOnce(new Error('ENOENT: missing'));
+
+    await expect(facebookbot.reload()).rejects.toThrow('ENOENT: missing');
+
+    expect(facebookbot.ipv4.ranges).toEqual(ipv4Ranges);
+    expect(facebookbot.ipv6.ranges).toEqual(ipv6Ranges);
+    expect(logger.error).toHaveBeenCalledWith(
+      'Failed to load FacebookBot IPs: ENOENT: missing',
+      expect.objectContaining({ provider: 'FacebookBot' })
+    );
+  });
+
+  test('should leave the previous data live when a reload fails', async () => {
+    const network = createTrustedNetwork({ providers: [facebookbot] });
+    await network.reloadAll();
+    mockReadFile.mockRejectedValueOnce(new Error('ENOENT: missing'));
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('rejected');
+    expect(network.getTrustedProvider(facebookbot.testAddresses[0])).toBe('FacebookBot');
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Worker for the SharedMemoryCache tests: looks up the IP it is given with a network whose
+ * result caches wrap the shared buffers, then reports the result and the positive cache's stats.
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { createTrustedNetwork, SharedMemoryCache } from '../../src/index.js';
+
+const network = createTrustedNetwork({
+  providers: workerData.providers,
+  resultCacheAdapters: {
+    positive: new SharedMemoryCache(workerData.positive),
+    negative: new SharedMemoryCache(workerData.negative),
+  },
+});
+
+parentPort.postMessage({
+  provider: network.getTrustedProvider(workerData.ipAddress),
+  stats: network.getCacheStats().positiveResults,
+});
@@ -0,0 +1,154 @@
+/**
+ * Health Report Tests
+ *
+ * Tests getHealth(): the per-provider summary, cache statistics, and the overall status decided
+ * by the default and configured health rules.
+ */
+
+import {
+  createTrustedNetwork,
+  HEALTH_STATUS_DEGRADED,
+  HEALTH_STATUS_HEALTHY,
+  HEALTH_STATUS_UNHEALTHY,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_READY,
+} from '../src/index.js';
+
+const PAYMENTS_READY = { name: 'payments-ready', categories: ['payment'], states: ['ready'], status: 'unhealthy' };
+
+const createFeed = (name, categories, extra = {}) => ({
+  name,
+  categories,
+  ipv4: { addresses: ['192.0.2.10'], ranges: ['198.51.100.0/24'] },
+  ipv6: { addresses: [], ranges: ['2001:db8::/32'] },
+  ...extra,
+});
+
+const failingReload = async () => {
+  throw new Error('Upstream unavailable');
+};
+
+describe('getHealth()', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork({
+      stalenessThresholdMs: 2 * 60 * 60 * 1000,
+      providers: [createFeed('Stripe API', ['payment']), createFeed('Googlebot', ['crawler'])],
+    });
+  });
+
+  test('should summarise every provider', () => {
+    const health = network.getHealth();
+
+    expect(health).toMatchObject({ status: HEALTH_STATUS_HEALTHY, failures: [], stalenessThresholdMs: 7200000 });
+    expect(health.providers[0]).toEqual({
+      name: 'Stripe API',
+      categories: ['payment'],
+      state: PROVIDER_STATE_READY,
+      lastUpdated: null,
+      lastError: null,
+      source: 'provider',
+      reloadSource: null,
+      entries: { ipv4: 2, ipv6: 1, total: 3 },
+    });
+  });
+
+  test('should report cache statistics', () => {
+    network.getTrustedProvider('192.0.2.10');
+    network.getTrustedProvider('203.0.113.1');
+
+    expect(network.getHealth().caches).toEqual(network.getCacheStats());
+    expect(network.getHealth().caches).toMatchObject({
+      positiveResults: { size: 1, maxSize: expect.any(Number) },
+      negativeResults: { size: 1, maxSize: expect.any(Number) },
+      allProviders: { size: 0, maxSize: expect.any(Number) },
+      parsedRanges: { size: 2, maxSize: expect.any(Number) },
+    });
+  });
+
+  test('should be degraded by default while a provider is not ready', async () => {
+    network.addProvider(createFeed('Feed', [], { reload: failingReload }));
+    await network.reloadAll();
+
+    const health = network.getHealth();
+
+    expect(health.status).toBe(HEALTH_STATUS_DEGRADED);
+    expect(health.failures).toEqual([
+      { rule: 'providers-ready', status: HEALTH_STATUS_DEGRADED, provider: 'Feed', reason: "state is 'error'" },
+    ]);
+    expect(health.providers[2]).toMatchObject({ state: PROVIDER_STATE_ERROR, lastError: 'Upstream unavailable' });
+  });
+
+  test('should not count disabled providers against the default rule', () => {
+    network.addProvider(createFeed('Feed', []));
+    network.disableProvider('Feed');
+
+    expect(network.getHealth().status).toBe(HEALTH_STATUS_HEALTHY);
+  });
+
+  test('should be unhealthy when a configured rule fails', async () => {
+    const stripe = createFeed('Stripe API', ['payment'], { reload: failingReload });
+    network = createTrustedNetwork({ providers: [stripe], healthRules: [PAYMENTS_READY] });
+    await network.reloadAll();
+
+    const health = network.getHealth();
+
+    expect(health.status).toBe(HEALTH_STATUS_UNHEALTHY);
+    expect(health.failures).toEqual([
+      { rule: 'payments-ready', status: HEALTH_STATUS_UNHEALTHY, provider: 'Stripe API', reason: "state is 'error'" },
+    ]);
+  });
+
+  test('should only apply rules to the providers they pick', async () => {
+    network.addProvider(createFeed('Feed', ['crawler'], { reload: failingReload }));
+    network.setHealthRules([PAYMENTS_READY]);
+    await network.reloadAll();
+
+    expect(network.getHealth().status).toBe(HEALTH_STATUS_HEALTHY);
+  });
+
+  test('should take the worst status of the failing rules', async () => {
+    network.addProvider(createFeed('Feed', ['crawler'], { reload: failingReload }));
+    network.setHealthRules([
+      ...network.getHealthRules(),
+      { providers: ['Stripe API'], minEntries: 4, status: 'unhealthy' },
+    ]);
+    await network.reloadAll();
+
+    const health = network.getHealth();
+
+    expect(health.status).toBe(HEALTH_STATUS_UNHEALTHY);
+    expect(health.failures.map(({ rule, reason }) => [rule, reason])).toEqual([
+      ['providers-ready', "state is 'error'"],
+      ['1', '3 entries, fewer than 4'],
+    ]);
+  });
+
+  test('should fail rules naming providers that are not registered', () => {
+    network.setHealthRules([{ name: 'paypal', providers: ['PayPal'], states: ['ready'], status: 'unhealthy' }]);
+
+    expect(network.getHealth().failures).toEqual([
+      { rule: 'paypal', status: HEALTH_STATUS_UNHEALTHY, provider: 'PayPal', reason: 'not registered' },
+    ]);
+  });
+
+  test('should return copies of the rules', () => {
+    network.getHealthRules()[0].states.push('error');
+
+    expect(network.getHealthRules()[0].states).toEqual(['ready', 'disabled']);
+  });
+
+  test('should reject invalid rules', () => {
+    expect(() => network.setHealthRules({})).toThrow('health rules must be an array');
+    expect(() => network.setHealthRules([{ states: ['ready'], status: 'bad' }])).toThrow(
+      "health rule 0 status must be 'degraded' or 'unhealthy'"
+    );
+    expect(() =>
+      network.setHealthRules([{ name: 'x', categories: 'payment', states: [], status: 'degraded' }])
+    ).toThrow('health rule x categories must be an array of strings');
+    expect(() => network.setHealthRules([{ status: 'degraded' }])).toThrow(
+      'health rule 0 must set states or minEntries'
+    );
+  });
+});
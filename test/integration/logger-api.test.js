@@ -79,7 +79,9 @@ describe('Logger API (index.js)', () => {
     });
 
     // The debug message from addProvider should appear
-    expect(console.debug).toHaveBeenCalledWith('➕ Add provider: Test Provider Debug');
+    expect(console.debug).toHaveBeenCalledWith('➕ Add provider: Test Provider Debug', {
+      provider: 'Test Provider Debug',
+    });
   });
 
   test('should suppress all output at silent level', () => {
@@ -115,4 +117,46 @@ describe('Logger API (index.js)', () => {
     expect(result).toBeNull();
     expect(console.error).toHaveBeenCalled();
   });
+
+  test('should send messages with their context to a custom logger', () => {
+    const customLogger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+    trustedProviders.setLogLevel('debug');
+    trustedProviders.setLogger(customLogger);
+
+    try {
+      trustedProviders.getTrustedProvider('invalid-ip-custom-test');
+
+      expect(customLogger.error).toHaveBeenCalledWith('Failed to parse IP: invalid-ip-custom-test', {
+        ip: 'invalid-ip-custom-test',
+        error: expect.any(Error),
+      });
+      expect(console.error).not.toHaveBeenCalled();
+    } finally {
+      trustedProviders.setLogger(null);
+    }
+  });
+
+  test('should report reload durations in the context', async () => {
+    const customLogger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+    trustedProviders.setLogLevel('debug');
+    trustedProviders.setLogger(customLogger);
+
+    try {
+      trustedProviders.addProvider({
+        name: 'Test Provider Reload',
+        ipv4: { addresses: [], ranges: [] },
+        ipv6: { addresses: [], ranges: [] },
+        reload: async () => {},
+      });
+      await trustedProviders.reloadProvider('Test Provider Reload');
+
+      expect(customLogger.debug).toHaveBeenCalledWith(expect.stringContaining('Reload success'), {
+        provider: 'Test Provider Reload',
+        outcome: 'success',
+        durationMs: expect.any(Number),
+      });
+    } finally {
+      trustedProviders.setLogger(null);
+    }
+  });
 });
@@ -0,0 +1,77 @@
+/**
+ * Tests for the on-disk last-known-good store
+ */
+
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { LastKnownGoodStore } from '../src/last-known-good-store.js';
+
+const DATA = {
+  ipv4: { addresses: ['192.0.2.10'], ranges: ['198.51.100.0/24'] },
+  ipv6: { addresses: [], ranges: ['2001:db8::/32'] },
+};
+
+describe('LastKnownGoodStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'tnp-store-'));
+    store = new LastKnownGoodStore(path.join(directory, 'nested'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('should throw error for an invalid directory', () => {
+    expect(() => new LastKnownGoodStore('')).toThrow('directory must be a non-empty string');
+    expect(() => new LastKnownGoodStore(null)).toThrow('directory must be a non-empty string');
+  });
+
+  test('should save and load a provider copy, creating the directory', async () => {
+    await store.save('Stripe API', DATA, { savedAt: 1700000000000, source: 'reload' });
+
+    expect(await store.load('Stripe API')).toEqual({ ...DATA, savedAt: 1700000000000, source: 'reload' });
+  });
+
+  test('should return null when nothing has been saved', async () => {
+    expect(await store.load('Stripe API')).toBeNull();
+  });
+
+  test('should use a safe file name for any provider name', async () => {
+    await store.save('../Evil/Provider', DATA, { savedAt: 1, source: 'reload' });
+
+    expect(await readdir(path.join(directory, 'nested'))).toEqual(['..%2FEvil%2FProvider.json']);
+    expect(await store.load('../Evil/Provider')).toMatchObject(DATA);
+  });
+
+  test('should replace the previous copy without leaving temporary files', async () => {
+    await store.save('Feed', DATA, { savedAt: 1, source: 'reload' });
+    await store.save(
+      'Feed',
+      { ipv4: { addresses: [], ranges: [] }, ipv6: DATA.ipv6 },
+      { savedAt: 2, source: 'reload' }
+    );
+
+    expect(await readdir(path.join(directory, 'nested'))).toEqual(['Feed.json']);
+    expect((await store.load('Feed')).savedAt).toBe(2);
+  });
+
+  test('should write a versioned document', async () => {
+    await store.save('Feed', DATA, { savedAt: 1, source: 'reload' });
+
+    const document = JSON.parse(await readFile(store.getFilePath('Feed'), 'utf8'));
+    expect(document).toEqual({ version: 1, provider: 'Feed', savedAt: 1, source: 'reload', ...DATA });
+  });
+
+  test('should reject files that are not a copy of the provider', async () => {
+    await store.save('Feed', DATA, { savedAt: 1, source: 'reload' });
+    await writeFile(store.getFilePath('Other'), await readFile(store.getFilePath('Feed'), 'utf8'));
+    await writeFile(store.getFilePath('Broken'), '{"version":1,"provider":"Broken","savedAt":1,"ipv4":null}');
+
+    await expect(store.load('Other')).rejects.toThrow('Not a saved copy of Other');
+    await expect(store.load('Broken')).rejects.toThrow('Not a saved copy of Broken');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Last-Known-Good Fallback Tests
+ *
+ * Tests that successful reloads are saved to the configured directory, and that a failed
+ * reload falls back to the saved copy, with getProviderStatus() reporting where the data
+ * came from and how old it is.
+ */
+
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createTrustedNetwork,
+  DATA_SOURCE_LAST_KNOWN_GOOD,
+  DATA_SOURCE_PROVIDER,
+  DATA_SOURCE_RELOAD,
+  PROVIDER_STATE_ERROR,
+} from '../src/index.js';
+
+const createFeed = (name) => {
+  const provider = {
+    name,
+    ipv4: { addresses: [], ranges: [] },
+    ipv6: { addresses: [], ranges: [] },
+    online: true,
+  };
+  provider.reload = async () => {
+    if (!provider.online) {
+      throw new Error('Network unavailable');
+    }
+    provider.ipv4.addresses = ['192.0.2.10', '192.0.2.11'];
+  };
+  return provider;
+};
+
+describe('Last-Known-Good Store', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'tnp-lkg-'));
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('should save the data of every successful reload', async () => {
+    const network = createTrustedNetwork({ lastKnownGoodDir: directory, providers: [createFeed('Stripe API')] });
+
+    await network.reloadAll();
+
+    const document = JSON.parse(await readFile(path.join(directory, 'Stripe%20API.json'), 'utf8'));
+    expect(document).toMatchObject({
+      provider: 'Stripe API',
+      savedAt: network.getProviderStatus('Stripe API').lastUpdated,
+      source: DATA_SOURCE_RELOAD,
+      ipv4: { addresses: ['192.0.2.10', '192.0.2.11'], ranges: [] },
+    });
+  });
+
+  test('should fall back to the saved copy on a cold start without network', async () => {
+    await createTrustedNetwork({ lastKnownGoodDir: directory, providers: [createFeed('Stripe API')] }).reloadAll();
+
+    const offline = createFeed('Stripe API');
+    offline.online = false;
+    const network = createTrustedNetwork({ lastKnownGoodDir: directory, providers: [offline] });
+    const fallbacks = [];
+    network.on('reload:fallback', (data) => fallbacks.push(data));
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('rejected');
+    expect(network.getTrustedProvider('192.0.2.10')).toBe('Stripe API');
+    expect(offline.ipv4.addresses).toEqual(['192.0.2.10', '192.0.2.11']);
+    expect(fallbacks).toEqual([
+      {
+        provider: 'Stripe API',
+        source: DATA_SOURCE_LAST_KNOWN_GOOD,
+        savedAt: expect.any(Number),
+        timestamp: expect.any(Number),
+      },
+    ]);
+
+    const status = network.getProviderStatus('Stripe API');
+    expect(status).toMatchObject({ state: PROVIDER_STATE_ERROR, source: DATA_SOURCE_LAST_KNOWN_GOOD });
+    expect(status.lastUpdated).toBe(fallbacks[0].savedAt);
+    expect(status.cacheAge).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should keep the data from a successful reload in this process', async () => {
+    const feed = createFeed('Feed');
+    const network = createTrustedNetwork({ lastKnownGoodDir: directory, providers: [feed] });
+    await network.reloadAll();
+    await writeFile(
+      path.join(directory, 'Feed.json'),
+      JSON.stringify({
+        version: 1,
+        provider: 'Feed',
+        savedAt: 1,
+        source: DATA_SOURCE_RELOAD,
+        ipv4: { addresses: ['203.0.113.1'], ranges: [] },
+        ipv6: { addresses: [], ranges: [] },
+      })
+    );
+
+    feed.online = false;
+    await network.reloadAll();
+
+    expect(network.getTrustedProvider('192.0.2.10')).toBe('Feed');
+    expect(network.getTrustedProvider('203.0.113.1')).toBeNull();
+    expect(network.getProviderStatus('Feed')).toMatchObject({ source: DATA_SOURCE_RELOAD, cacheAge: null });
+  });
+
+  test('should ignore saved copies that fail validation', async () => {
+    await writeFile(
+      path.join(directory, 'Feed.json'),
+      JSON.stringify({
+        version: 1,
+        provider: 'Feed',
+        savedAt: 1,
+        source: DATA_SOURCE_RELOAD,
+        ipv4: { addresses: [], ranges: ['192.0.2.0/33'] },
+        ipv6: { addresses: [], ranges: [] },
+      })
+    );
+    const feed = createFeed('Feed');
+    feed.online = false;
+    const network = createTrustedNetwork({ lastKnownGoodDir: directory, providers: [feed] });
+
+    await network.reloadAll();
+
+    expect(network.getProviderStatus('Feed').source).toBe(DATA_SOURCE_PROVIDER);
+  });
+
+  test('should not touch the disk when no directory is configured', async () => {
+    const network = createTrustedNetwork({ providers: [createFeed('Feed')] });
+
+    await network.reloadAll();
+
+    expect(network.getLastKnownGoodDir()).toBeNull();
+    expect(network.getProviderStatus('Feed')).toMatchObject({ source: DATA_SOURCE_RELOAD, cacheAge: null });
+  });
+
+  test('should turn the store on and off', () => {
+    const network = createTrustedNetwork();
+
+    network.setLastKnownGoodDir(directory);
+    expect(network.getLastKnownGoodDir()).toBe(directory);
+
+    network.setLastKnownGoodDir(null);
+    expect(network.getLastKnownGoodDir()).toBeNull();
+    expect(() => network.setLastKnownGoodDir('')).toThrow('directory must be a non-empty string');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Lookup Index Tests
+ *
+ * Tests that getTrustedProvider() resolves IPs through the compiled prefix-trie index,
+ * keeps "first registered provider wins" semantics, and rebuilds the index after
+ * providers are added, deleted or reloaded.
+ */
+
+import trustedProviders from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, ipv6 = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [], ...ipv6 },
+});
+
+describe('Lookup Index', () => {
+  beforeEach(() => {
+    const providers = [...trustedProviders.getAllProviders()];
+    providers.forEach((provider) => {
+      trustedProviders.deleteProvider(provider.name);
+    });
+  });
+
+  test('should prefer the first registered provider over a more specific later one', () => {
+    trustedProviders.addProvider(createProvider('Wide', { ranges: ['10.0.0.0/8'] }));
+    trustedProviders.addProvider(createProvider('Narrow', { ranges: ['10.1.2.0/24'], addresses: ['10.1.2.3'] }));
+
+    expect(trustedProviders.getTrustedProvider('10.1.2.3')).toBe('Wide');
+  });
+
+  test('should match exact addresses regardless of IPv6 notation', () => {
+    trustedProviders.addProvider(createProvider('IPv6 Host', {}, { addresses: ['2001:db8:0:0:0:0:0:1'] }));
+
+    expect(trustedProviders.getTrustedProvider('2001:db8::1')).toBe('IPv6 Host');
+    expect(trustedProviders.getTrustedProvider('2001:db8::2')).toBeNull();
+  });
+
+  test('should not test IPv4 addresses against IPv6 ranges', () => {
+    trustedProviders.addProvider(createProvider('IPv6 Only', {}, { ranges: ['::/0'] }));
+
+    expect(trustedProviders.getTrustedProvider('192.0.2.1')).toBeNull();
+    expect(trustedProviders.getTrustedProvider('2001:db8::1')).toBe('IPv6 Only');
+  });
+
+  test('should rebuild the index when a provider is added', () => {
+    trustedProviders.addProvider(createProvider('First', { ranges: ['198.51.100.0/24'] }));
+    expect(trustedProviders.getTrustedProvider('203.0.113.1')).toBeNull();
+
+    trustedProviders.addProvider(createProvider('Second', { ranges: ['203.0.113.0/24'] }));
+    expect(trustedProviders.getTrustedProvider('203.0.113.2')).toBe('Second');
+  });
+
+  test('should rebuild the index when a provider is deleted', () => {
+    trustedProviders.addProvider(createProvider('First', { ranges: ['10.0.0.0/8'] }));
+    trustedProviders.addProvider(createProvider('Second', { ranges: ['10.0.0.0/16'] }));
+    expect(trustedProviders.getTrustedProvider('10.0.0.1')).toBe('First');
+
+    trustedProviders.deleteProvider('First');
+    expect(trustedProviders.getTrustedProvider('10.0.0.1')).toBe('Second');
+  });
+
+  test('should rebuild the index after reloadAll()', async () => {
+    const dynamicProvider = createProvider('Dynamic');
+    dynamicProvider.reload = async () => {
+      dynamicProvider.ipv4.ranges.length = 0;
+      dynamicProvider.ipv4.ranges.push('192.0.2.0/24');
+    };
+
+    trustedProviders.addProvider(dynamicProvider);
+    expect(trustedProviders.getTrustedProvider('192.0.2.10')).toBeNull();
+
+    await trustedProviders.reloadAll();
+    expect(trustedProviders.getTrustedProvider('192.0.2.10')).toBe('Dynamic');
+  });
+
+  test('should skip unparseable addresses without dropping the rest of the provider', () => {
+    trustedProviders.addProvider(
+      createProvider('Partly Broken', { addresses: ['not-an-ip', '192.0.2.5'], ranges: ['198.51.100.0/24'] })
+    );
+
+    expect(trustedProviders.getTrustedProvider('192.0.2.5')).toBe('Partly Broken');
+    expect(trustedProviders.getTrustedProvider('198.51.100.7')).toBe('Partly Broken');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Lookup Result Tests
+ *
+ * Tests lookup(), which returns the matched provider together with the match type,
+ * the entry that matched, the normalised IP and the provider's current status.
+ */
+
+import trustedProviders, {
+  MATCH_TYPE_ADDRESS,
+  MATCH_TYPE_RANGE,
+  PROVIDER_STATE_READY,
+  PROVIDER_STATE_STALE,
+} from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, ipv6 = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [], ...ipv6 },
+});
+
+describe('lookup()', () => {
+  beforeEach(() => {
+    const providers = [...trustedProviders.getAllProviders()];
+    providers.forEach((provider) => {
+      trustedProviders.deleteProvider(provider.name);
+    });
+    trustedProviders.setStalenessThreshold(24 * 60 * 60 * 1000);
+  });
+
+  test('should report an exact address match', () => {
+    trustedProviders.addProvider(createProvider('Payments', { addresses: ['192.0.2.10'], ranges: ['192.0.2.0/24'] }));
+
+    expect(trustedProviders.lookup('192.0.2.10')).toEqual({
+      provider: 'Payments',
+      deniedBy: null,
+      matchType: MATCH_TYPE_ADDRESS,
+      matchedRange: '192.0.2.10',
+      ip: '192.0.2.10',
+      ipVersion: 'ipv4',
+      status: {
+        state: PROVIDER_STATE_READY,
+        lastUpdated: null,
+        lastError: null,
+        source: 'provider',
+        cacheAge: null,
+        reloadSource: null,
+      },
+    });
+  });
+
+  test('should report the most specific matching range', () => {
+    trustedProviders.addProvider(createProvider('CDN', { ranges: ['198.51.0.0/16', '198.51.100.0/24'] }));
+
+    const result = trustedProviders.lookup('198.51.100.20');
+    expect(result.matchType).toBe(MATCH_TYPE_RANGE);
+    expect(result.matchedRange).toBe('198.51.100.0/24');
+  });
+
+  test('should normalise IPv6 addresses', () => {
+    trustedProviders.addProvider(createProvider('IPv6 CDN', {}, { ranges: ['2001:db8::/32'] }));
+
+    const result = trustedProviders.lookup('2001:0DB8:0000:0000:0000:0000:0000:0001');
+    expect(result.ip).toBe('2001:db8::1');
+    expect(result.ipVersion).toBe('ipv6');
+    expect(result.matchedRange).toBe('2001:db8::/32');
+  });
+
+  test('should agree with getTrustedProvider() when providers overlap', () => {
+    trustedProviders.addProvider(createProvider('First', { ranges: ['10.0.0.0/8'] }));
+    trustedProviders.addProvider(createProvider('Second', { addresses: ['10.0.0.1'] }));
+
+    expect(trustedProviders.lookup('10.0.0.1').provider).toBe(trustedProviders.getTrustedProvider('10.0.0.1'));
+    expect(trustedProviders.lookup('10.0.0.1').matchedRange).toBe('10.0.0.0/8');
+  });
+
+  test('should expose a stale provider status', async () => {
+    const provider = createProvider('Slow Feed', { ranges: ['203.0.113.0/24'] });
+    provider.reload = async () => {};
+    trustedProviders.addProvider(provider);
+    await trustedProviders.reloadAll();
+
+    trustedProviders.setStalenessThreshold(1);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    trustedProviders.checkStaleness();
+
+    expect(trustedProviders.lookup('203.0.113.1').status.state).toBe(PROVIDER_STATE_STALE);
+  });
+
+  test('should return null for untrusted and invalid IPs', () => {
+    trustedProviders.addProvider(createProvider('Only', { ranges: ['10.0.0.0/8'] }));
+
+    expect(trustedProviders.lookup('192.0.2.1')).toBeNull();
+    expect(trustedProviders.lookup('not-an-ip')).toBeNull();
+  });
+});
@@ -180,6 +180,31 @@ describe('LRUCache', () => {
     });
   });
 
+  describe('getStats', () => {
+    test('should count hits, misses and evictions', () => {
+      const cache = new LRUCache(2);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+      cache.set('key3', 'value3');
+
+      cache.get('key3');
+      cache.get('key1');
+      cache.has('key2');
+
+      expect(cache.getStats()).toEqual({ size: 2, maxSize: 2, hits: 1, misses: 1, evictions: 1, expirations: 0 });
+    });
+
+    test('should reset the counters but keep the entries', () => {
+      const cache = new LRUCache(2);
+      cache.set('key1', 'value1');
+      cache.get('key1');
+
+      cache.resetStats();
+
+      expect(cache.getStats()).toMatchObject({ size: 1, hits: 0, misses: 0 });
+    });
+  });
+
   describe('integration scenarios', () => {
     test('should handle complex access patterns', () => {
       const cache = new LRUCache(4);
@@ -0,0 +1,162 @@
+/**
+ * Metrics Tests
+ *
+ * Tests the opt-in metrics: lookup, cache and match counters, parse failures, reload outcomes
+ * and durations, and the Prometheus text rendering.
+ */
+
+import { createTrustedNetwork } from '../src/index.js';
+
+const createFeed = (name, extra = {}) => ({
+  name,
+  ipv4: { addresses: ['192.0.2.10'], ranges: ['198.51.100.0/24'] },
+  ipv6: { addresses: [], ranges: [] },
+  ...extra,
+});
+
+describe('Metrics', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork({
+      metrics: true,
+      providers: [
+        createFeed('Stripe API'),
+        createFeed('Googlebot', { ipv4: { addresses: ['203.0.113.5'], ranges: [] } }),
+      ],
+    });
+  });
+
+  test('should be disabled by default', () => {
+    const plain = createTrustedNetwork();
+
+    expect(plain.isMetricsEnabled()).toBe(false);
+    expect(plain.getMetrics()).toBeNull();
+    expect(plain.getPrometheusMetrics()).toBe('');
+  });
+
+  test('should count lookups, cache hits and matches', () => {
+    network.getTrustedProvider('192.0.2.10');
+    network.getTrustedProvider('192.0.2.10');
+    network.isTrusted('203.0.113.1');
+    network.getTrustedProviders('192.0.2.10');
+    network.lookup('203.0.113.5');
+
+    expect(network.getMetrics()).toMatchObject({
+      lookups: { getTrustedProvider: 3, getTrustedProviders: 1, lookup: 1 },
+      caches: { results: { hits: 1, misses: 2 }, allProviders: { hits: 0, misses: 1 } },
+      matches: { 'Stripe API': 3, Googlebot: 1 },
+      parseFailures: 0,
+    });
+  });
+
+  test('should count parsed range cache hits and misses', () => {
+    network.getTrustedProvider('192.0.2.10');
+    network.addProvider(createFeed('Mirror'));
+    network.getTrustedProvider('198.51.100.1');
+
+    // The first index build parses the range; the rebuild after adding Mirror finds it cached for both providers
+    expect(network.getMetrics().caches.parsedAddresses).toEqual({ hits: 2, misses: 1 });
+  });
+
+  test('should record lookup durations by method', () => {
+    network.getTrustedProvider('192.0.2.10');
+    network.getTrustedProvider('192.0.2.10');
+    network.getTrustedProviders('203.0.113.1');
+    network.lookup('203.0.113.1');
+
+    const { lookupDurationMs } = network.getMetrics();
+    expect(lookupDurationMs.getTrustedProvider).toEqual({
+      count: 2,
+      total: expect.any(Number),
+      max: expect.any(Number),
+    });
+    expect(lookupDurationMs.getTrustedProviders.count).toBe(1);
+    expect(lookupDurationMs.lookup.count).toBe(1);
+    expect(lookupDurationMs.lookup.max).toBeLessThanOrEqual(lookupDurationMs.lookup.total);
+  });
+
+  test('should count IP addresses getTrustedProvider() cannot parse', () => {
+    network.getTrustedProvider('not-an-ip');
+    network.getTrustedProvider('999.0.0.1');
+
+    expect(network.getMetrics().parseFailures).toBe(2);
+  });
+
+  test('should record reload outcomes and durations per provider', async () => {
+    network.addProvider(createFeed('Feed', { reload: async () => {} }));
+    network.addProvider(
+      createFeed('Broken', {
+        reload: async () => {
+          throw new Error('Upstream unavailable');
+        },
+      })
+    );
+
+    await network.reloadAll();
+    await network.reloadProvider('Feed');
+
+    const { reloads } = network.getMetrics();
+    expect(reloads.Feed).toEqual({
+      outcomes: { success: 2, error: 0, rejected: 0, offline: 0 },
+      durationMs: { count: 2, total: expect.any(Number), last: expect.any(Number), max: expect.any(Number) },
+    });
+    expect(reloads.Broken.outcomes).toEqual({ success: 0, error: 1, rejected: 0, offline: 0 });
+    expect(reloads).not.toHaveProperty('Stripe API');
+  });
+
+  test('should record rejected reloads', async () => {
+    const feed = createFeed('Feed');
+    feed.reload = async () => {
+      feed.ipv4 = { addresses: [], ranges: [] };
+    };
+    network.addProvider(feed);
+
+    await expect(network.reloadProvider('Feed')).rejects.toThrow('update rejected');
+
+    expect(network.getMetrics().reloads.Feed.outcomes.rejected).toBe(1);
+  });
+
+  test('should return copies of the counters', () => {
+    network.getTrustedProvider('192.0.2.10');
+    network.getMetrics().matches['Stripe API'] = 100;
+
+    expect(network.getMetrics().matches['Stripe API']).toBe(1);
+  });
+
+  test('should start from zero after a reset or when enabled again', () => {
+    network.getTrustedProvider('192.0.2.10');
+    network.resetMetrics();
+    expect(network.getMetrics()).toMatchObject({ lookups: { getTrustedProvider: 0 }, matches: {} });
+
+    network.getTrustedProvider('192.0.2.10');
+    network.setMetricsEnabled(false);
+    network.getTrustedProvider('192.0.2.10');
+    network.setMetricsEnabled(true);
+    expect(network.getMetrics().lookups.getTrustedProvider).toBe(0);
+  });
+
+  test('should render the Prometheus text format', async () => {
+    network.addProvider(createFeed('Feed "EU"', { reload: async () => {} }));
+    await network.reloadProvider('Feed "EU"');
+    network.getTrustedProvider('192.0.2.10');
+
+    const text = network.getPrometheusMetrics();
+
+    expect(text).toContain('# TYPE trusted_network_lookups_total counter\n');
+    expect(text).toContain('trusted_network_lookups_total{method="getTrustedProvider"} 1\n');
+    expect(text).toContain('trusted_network_cache_misses_total{cache="results"} 1\n');
+    expect(text).toContain('trusted_network_cache_misses_total{cache="parsedAddresses"} 1\n');
+    expect(text).toContain('# TYPE trusted_network_lookup_duration_seconds summary\n');
+    expect(text).toContain('trusted_network_lookup_duration_seconds_count{method="getTrustedProvider"} 1\n');
+    expect(text).toContain('trusted_network_matches_total{provider="Stripe API"} 1\n');
+    expect(text).toContain('trusted_network_parse_failures_total 0\n');
+    expect(text).toContain('trusted_network_reloads_total{provider="Feed \\"EU\\"",outcome="success"} 1\n');
+    expect(text).toMatch(/^trusted_network_reload_duration_seconds_count\{provider="Feed \\"EU\\""\} 1$/m);
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  test('should reject a non-boolean setting', () => {
+    expect(() => network.setMetricsEnabled('yes')).toThrow('enabled must be a boolean');
+  });
+});
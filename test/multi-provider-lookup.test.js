@@ -0,0 +1,75 @@
+/**
+ * Multi-Provider Lookup Tests
+ *
+ * Tests getTrustedProviders(), which reports every provider an IP belongs to
+ * rather than stopping at the first match.
+ */
+
+import trustedProviders from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, ipv6 = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [], ...ipv6 },
+});
+
+describe('getTrustedProviders()', () => {
+  beforeEach(() => {
+    const providers = [...trustedProviders.getAllProviders()];
+    providers.forEach((provider) => {
+      trustedProviders.deleteProvider(provider.name);
+    });
+  });
+
+  test('should return every matching provider in priority order', () => {
+    trustedProviders.addProvider(createProvider('CDN', { ranges: ['203.0.113.0/24'] }));
+    trustedProviders.addProvider(createProvider('Unrelated', { ranges: ['198.51.100.0/24'] }));
+    trustedProviders.addProvider(createProvider('Crawler', { addresses: ['203.0.113.10'] }));
+    trustedProviders.addProvider(createProvider('Catch-all', { ranges: ['203.0.0.0/8'] }));
+
+    expect(trustedProviders.getTrustedProviders('203.0.113.10')).toEqual(['CDN', 'Crawler', 'Catch-all']);
+    expect(trustedProviders.getTrustedProviders('203.0.113.11')).toEqual(['CDN', 'Catch-all']);
+  });
+
+  test('should agree with getTrustedProvider() on the first entry', () => {
+    trustedProviders.addProvider(createProvider('Services', {}, { ranges: ['2001:db8::/32'] }));
+    trustedProviders.addProvider(createProvider('Bot', {}, { ranges: ['2001:db8:1::/48'] }));
+
+    const ip = '2001:db8:1::5';
+    expect(trustedProviders.getTrustedProviders(ip)[0]).toBe(trustedProviders.getTrustedProvider(ip));
+    expect(trustedProviders.getTrustedProviders(ip)).toEqual(['Services', 'Bot']);
+  });
+
+  test('should list a provider once even if several of its entries match', () => {
+    trustedProviders.addProvider(
+      createProvider('Overlapping', { addresses: ['192.0.2.1'], ranges: ['192.0.2.0/24', '192.0.0.0/16'] })
+    );
+
+    expect(trustedProviders.getTrustedProviders('192.0.2.1')).toEqual(['Overlapping']);
+  });
+
+  test('should return an empty array for unmatched and invalid IPs', () => {
+    trustedProviders.addProvider(createProvider('Only', { ranges: ['10.0.0.0/8'] }));
+
+    expect(trustedProviders.getTrustedProviders('192.0.2.1')).toEqual([]);
+    expect(trustedProviders.getTrustedProviders('not-an-ip')).toEqual([]);
+  });
+
+  test('should not let callers mutate cached results', () => {
+    trustedProviders.addProvider(createProvider('Only', { ranges: ['10.0.0.0/8'] }));
+
+    const first = trustedProviders.getTrustedProviders('10.1.1.1');
+    first.push('Tampered');
+
+    expect(trustedProviders.getTrustedProviders('10.1.1.1')).toEqual(['Only']);
+  });
+
+  test('should drop cached results when a provider is deleted', () => {
+    trustedProviders.addProvider(createProvider('First', { ranges: ['10.0.0.0/8'] }));
+    trustedProviders.addProvider(createProvider('Second', { ranges: ['10.0.0.0/16'] }));
+    expect(trustedProviders.getTrustedProviders('10.0.0.1')).toEqual(['First', 'Second']);
+
+    trustedProviders.deleteProvider('First');
+    expect(trustedProviders.getTrustedProviders('10.0.0.1')).toEqual(['Second']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Network Mode Tests
+ *
+ * Tests offline mode: the HTTP client and SPF analyser refuse to make requests, providers
+ * with bundled data load it instead, and provider status shows which providers the network
+ * mode kept from reloading.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createTrustedNetwork,
+  NETWORK_MODE_OFFLINE,
+  NETWORK_MODE_ONLINE,
+  NetworkDisabledError,
+  PROVIDER_STATE_OFFLINE,
+  PROVIDER_STATE_READY,
+} from '../src/index.js';
+import { fetchJSON } from '../src/utils/secure-http-client.js';
+import spfAnalyser from '../src/spf-analyser.js';
+import googlebotProvider from '../src/providers/googlebot.js';
+
+const createFeed = (name, reload) => ({
+  name,
+  ipv4: { addresses: ['192.0.2.10'], ranges: [] },
+  ipv6: { addresses: [], ranges: [] },
+  reload,
+});
+
+describe('Network Mode', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork();
+  });
+
+  afterEach(() => {
+    network.setNetworkMode(null);
+    delete process.env.TNP_OFFLINE;
+  });
+
+  test('should be online by default', () => {
+    expect(network.getNetworkMode()).toBe(NETWORK_MODE_ONLINE);
+  });
+
+  test('should be offline when TNP_OFFLINE=1 until a mode is set', () => {
+    process.env.TNP_OFFLINE = '1';
+    expect(network.getNetworkMode()).toBe(NETWORK_MODE_OFFLINE);
+
+    network.setNetworkMode(NETWORK_MODE_ONLINE);
+    expect(network.getNetworkMode()).toBe(NETWORK_MODE_ONLINE);
+  });
+
+  test('should also accept TNP_OFFLINE=true, but no other value', () => {
+    process.env.TNP_OFFLINE = 'true';
+    expect(network.getNetworkMode()).toBe(NETWORK_MODE_OFFLINE);
+
+    process.env.TNP_OFFLINE = 'yes';
+    expect(network.getNetworkMode()).toBe(NETWORK_MODE_ONLINE);
+  });
+
+  test('should apply to every instance', () => {
+    network.setNetworkMode(NETWORK_MODE_OFFLINE);
+
+    expect(createTrustedNetwork().getNetworkMode()).toBe(NETWORK_MODE_OFFLINE);
+  });
+
+  test('should reject invalid modes', () => {
+    expect(() => network.setNetworkMode('air-gapped')).toThrow(
+      'Invalid network mode: air-gapped. Must be one of: online, offline'
+    );
+  });
+
+  describe('offline', () => {
+    beforeEach(() => {
+      network.setNetworkMode(NETWORK_MODE_OFFLINE);
+    });
+
+    test('should refuse HTTP requests without calling fetch', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch');
+
+      try {
+        await expect(fetchJSON('https://stripe.com/files/ips/ips_api.json')).rejects.toThrow(NetworkDisabledError);
+        expect(fetchSpy).not.toHaveBeenCalled();
+      } finally {
+        fetchSpy.mockRestore();
+      }
+    });
+
+    test('should refuse DNS lookups', async () => {
+      const provider = createFeed('Mail');
+
+      await expect(spfAnalyser('mailgun.org', provider)).rejects.toThrow(
+        'Network access is disabled (offline mode): DNS TXT mailgun.org'
+      );
+      expect(provider.ipv4.addresses).toEqual(['192.0.2.10']);
+    });
+
+    test('should report providers that could not be reloaded and keep their data', async () => {
+      network.addProvider(createFeed('Stripe API', () => fetchJSON('https://stripe.com/files/ips/ips_api.json')));
+      network.addProvider(createFeed('Bundled', async () => {}));
+
+      const results = await network.reloadAll();
+
+      expect(results.map((result) => result.status)).toEqual(['rejected', 'fulfilled']);
+      expect(network.getProviderStatus('Stripe API')).toMatchObject({
+        state: PROVIDER_STATE_OFFLINE,
+        lastUpdated: null,
+        lastError: expect.any(NetworkDisabledError),
+      });
+      expect(network.getProviderStatus('Bundled').state).toBe(PROVIDER_STATE_READY);
+      expect(network.getTrustedProvider('192.0.2.10')).toBe('Stripe API');
+    });
+
+    test('should load bundled Googlebot data instead of fetching it', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch');
+      const { ipv4, ipv6 } = googlebotProvider;
+      const saved = { ipv4: { ...ipv4, ranges: [...ipv4.ranges] }, ipv6: { ...ipv6, ranges: [...ipv6.ranges] } };
+
+      try {
+        await googlebotProvider.reloadFromWeb();
+
+        expect(fetchSpy).not.toHaveBeenCalled();
+        expect(googlebotProvider.ipv4.ranges.length).toBeGreaterThan(0);
+      } finally {
+        fetchSpy.mockRestore();
+        Object.assign(googlebotProvider, saved);
+      }
+    });
+  });
+});
@@ -87,11 +87,12 @@ describe('Performance: IP Lookup with 20+ Providers', () => {
   });
 
   test('should handle repeated lookups efficiently', async () => {
-    // Force fresh cache
+    // Rebuild the lookup index (reloadAll() keeps cached results for unchanged data, so use an IP
+    // no other test has looked up)
     await trustedProviders.reloadAll();
 
     const iterations = 100;
-    const sampleIP = '66.249.66.1'; // Googlebot
+    const sampleIP = '66.249.66.2'; // Googlebot
 
     // First lookup (cache miss)
     const firstLookupStart = performance.now();
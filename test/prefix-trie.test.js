@@ -0,0 +1,104 @@
+/**
+ * Tests for the prefix trie used by the lookup index
+ */
+
+import ipaddr from 'ipaddr.js';
+import { PrefixTrie } from '../src/prefix-trie.js';
+
+const insertCidr = (trie, cidr, value) => {
+  const [network, prefixLength] = ipaddr.parseCIDR(cidr);
+  trie.insert(network.toByteArray(), prefixLength, value);
+};
+
+const matchIp = (trie, ip) => trie.match(ipaddr.parse(ip).toByteArray());
+
+describe('PrefixTrie', () => {
+  describe('constructor', () => {
+    test('should create trie with valid bit lengths', () => {
+      expect(new PrefixTrie(32).bitLength).toBe(32);
+      expect(new PrefixTrie(128).bitLength).toBe(128);
+      expect(new PrefixTrie(32).size).toBe(0);
+    });
+
+    test('should throw error for invalid bit lengths', () => {
+      expect(() => new PrefixTrie(0)).toThrow('bitLength must be a positive multiple of 8');
+      expect(() => new PrefixTrie(30)).toThrow('bitLength must be a positive multiple of 8');
+      expect(() => new PrefixTrie('32')).toThrow('bitLength must be a positive multiple of 8');
+    });
+  });
+
+  describe('insert and match', () => {
+    test('should match addresses inside an IPv4 prefix', () => {
+      const trie = new PrefixTrie(32);
+      insertCidr(trie, '192.168.0.0/16', 'private');
+
+      expect(matchIp(trie, '192.168.1.1')).toEqual(['private']);
+      expect(matchIp(trie, '192.169.0.1')).toEqual([]);
+    });
+
+    test('should return every containing prefix, shortest first', () => {
+      const trie = new PrefixTrie(32);
+      insertCidr(trie, '10.1.2.0/24', 'narrow');
+      insertCidr(trie, '10.0.0.0/8', 'wide');
+      insertCidr(trie, '10.1.2.3/32', 'exact');
+
+      expect(matchIp(trie, '10.1.2.3')).toEqual(['wide', 'narrow', 'exact']);
+      expect(matchIp(trie, '10.1.2.4')).toEqual(['wide', 'narrow']);
+      expect(matchIp(trie, '10.200.0.1')).toEqual(['wide']);
+    });
+
+    test('should keep multiple values on the same prefix', () => {
+      const trie = new PrefixTrie(32);
+      insertCidr(trie, '203.0.113.0/24', 'first');
+      insertCidr(trie, '203.0.113.0/24', 'second');
+
+      expect(matchIp(trie, '203.0.113.9')).toEqual(['first', 'second']);
+      expect(trie.size).toBe(2);
+    });
+
+    test('should ignore host bits beyond the prefix length', () => {
+      const trie = new PrefixTrie(32);
+      insertCidr(trie, '198.51.100.77/24', 'range');
+
+      expect(matchIp(trie, '198.51.100.1')).toEqual(['range']);
+    });
+
+    test('should match a zero-length prefix against every address', () => {
+      const trie = new PrefixTrie(32);
+      insertCidr(trie, '0.0.0.0/0', 'everything');
+
+      expect(matchIp(trie, '1.2.3.4')).toEqual(['everything']);
+      expect(matchIp(trie, '255.255.255.255')).toEqual(['everything']);
+    });
+
+    test('should match IPv6 prefixes', () => {
+      const trie = new PrefixTrie(128);
+      insertCidr(trie, '2001:db8::/32', 'documentation');
+      insertCidr(trie, '2001:db8::1/128', 'host');
+
+      expect(matchIp(trie, '2001:db8::1')).toEqual(['documentation', 'host']);
+      expect(matchIp(trie, '2001:db8:ffff::1')).toEqual(['documentation']);
+      expect(matchIp(trie, '2001:db9::1')).toEqual([]);
+    });
+
+    test('should reject prefix lengths outside the address width', () => {
+      const trie = new PrefixTrie(32);
+      const bytes = ipaddr.parse('10.0.0.0').toByteArray();
+
+      expect(() => trie.insert(bytes, 33, 'bad')).toThrow('prefixLength must be an integer between 0 and 32');
+      expect(() => trie.insert(bytes, -1, 'bad')).toThrow('prefixLength must be an integer between 0 and 32');
+    });
+  });
+
+  describe('clear', () => {
+    test('should remove all prefixes', () => {
+      const trie = new PrefixTrie(32);
+      insertCidr(trie, '10.0.0.0/8', 'wide');
+
+      trie.clear();
+
+      expect(trie.size).toBe(0);
+      expect(matchIp(trie, '10.0.0.1')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Provider Category Tests
+ *
+ * Tests the categories field on providers and category-scoped lookups, used to
+ * limit trust to e.g. payment providers on webhook endpoints.
+ */
+
+import {
+  createTrustedNetwork,
+  PROVIDER_CATEGORY_CDN,
+  PROVIDER_CATEGORY_CRAWLER,
+  PROVIDER_CATEGORY_MAIL,
+  PROVIDER_CATEGORY_PAYMENT,
+} from '../src/index.js';
+
+const createProvider = (name, categories, ipv4 = {}) => ({
+  name,
+  categories,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [] },
+});
+
+describe('Provider Categories', () => {
+  describe('built-in providers', () => {
+    const network = createTrustedNetwork({ loadDefaultProviders: true });
+    const categoriesOf = (name) => network.getAllProviders().find((provider) => provider.name === name).categories;
+
+    test('should give every built-in provider at least one category', () => {
+      for (const provider of network.getAllProviders()) {
+        expect(provider.categories.length).toBeGreaterThan(0);
+      }
+    });
+
+    test.each([
+      ['Googlebot', PROVIDER_CATEGORY_CRAWLER],
+      ['AhrefsBot', PROVIDER_CATEGORY_CRAWLER],
+      ['SemrushBot', PROVIDER_CATEGORY_CRAWLER],
+      ['FacebookBot', PROVIDER_CATEGORY_CRAWLER],
+      ['Stripe Webhooks', PROVIDER_CATEGORY_PAYMENT],
+      ['PayPal', PROVIDER_CATEGORY_PAYMENT],
+      ['Opayo', PROVIDER_CATEGORY_PAYMENT],
+      ['Cloudflare', PROVIDER_CATEGORY_CDN],
+      ['BunnyNet', PROVIDER_CATEGORY_CDN],
+      ['Brevo', PROVIDER_CATEGORY_MAIL],
+      ['MS Outlook', PROVIDER_CATEGORY_MAIL],
+      ['Google Workspace', PROVIDER_CATEGORY_MAIL],
+    ])('should categorise %s as %s', (name, category) => {
+      expect(categoriesOf(name)).toContain(category);
+    });
+
+    test('should scope lookups against the built-in data', () => {
+      expect(network.getTrustedProvider('64.4.240.64', { categories: [PROVIDER_CATEGORY_PAYMENT] })).toBe('PayPal');
+      expect(network.isTrusted('104.16.0.1', { categories: [PROVIDER_CATEGORY_PAYMENT] })).toBe(false);
+      expect(network.isTrusted('104.16.0.1', { categories: [PROVIDER_CATEGORY_CDN] })).toBe(true);
+    });
+  });
+
+  describe('category-scoped lookups', () => {
+    let network;
+
+    beforeEach(() => {
+      network = createTrustedNetwork({
+        providers: [
+          createProvider('Edge CDN', ['cdn'], { ranges: ['192.0.2.0/24'] }),
+          createProvider('Gateway', ['payment'], { addresses: ['192.0.2.10'] }),
+          createProvider('Bot', ['crawler', 'monitoring'], { ranges: ['192.0.2.0/28'] }),
+          createProvider('Uncategorised', undefined, { ranges: ['192.0.0.0/16'] }),
+        ],
+      });
+    });
+
+    test('should skip providers outside the categories', () => {
+      expect(network.getTrustedProvider('192.0.2.10')).toBe('Edge CDN');
+      expect(network.getTrustedProvider('192.0.2.10', { categories: ['payment'] })).toBe('Gateway');
+      expect(network.getTrustedProvider('192.0.2.11', { categories: ['payment'] })).toBeNull();
+    });
+
+    test('should match providers in any of the given categories', () => {
+      expect(network.getTrustedProvider('192.0.2.10', { categories: ['crawler', 'payment'] })).toBe('Gateway');
+      expect(network.getTrustedProvider('192.0.2.5', { categories: ['monitoring'] })).toBe('Bot');
+      expect(network.getTrustedProviders('192.0.2.10', { categories: ['payment', 'crawler'] })).toEqual([
+        'Gateway',
+        'Bot',
+      ]);
+    });
+
+    test('should never match uncategorised providers in a scoped lookup', () => {
+      expect(network.isTrusted('192.0.100.1')).toBe(true);
+      expect(network.isTrusted('192.0.100.1', { categories: ['cdn'] })).toBe(false);
+    });
+
+    test('should treat an empty categories array as matching nothing', () => {
+      expect(network.isTrusted('192.0.2.10', { categories: [] })).toBe(false);
+    });
+
+    test('should report the scoped match in lookup()', () => {
+      expect(network.lookup('192.0.2.10', { categories: ['payment'] })).toMatchObject({
+        provider: 'Gateway',
+        matchType: 'address',
+      });
+    });
+
+    test('should cache scoped and unscoped results separately', () => {
+      expect(network.getTrustedProvider('192.0.2.10', { categories: ['payment'] })).toBe('Gateway');
+      expect(network.getTrustedProvider('192.0.2.10')).toBe('Edge CDN');
+      expect(network.getTrustedProvider('192.0.2.10', { categories: ['payment'] })).toBe('Gateway');
+      expect(network.getTrustedProvider('192.0.2.10', { categories: ['crawler'] })).toBe('Bot');
+    });
+
+    test('should reject invalid categories options', () => {
+      expect(() => network.isTrusted('192.0.2.10', { categories: 'payment' })).toThrow(
+        'categories must be an array of category names'
+      );
+    });
+  });
+
+  test('should reject providers with invalid categories', () => {
+    const network = createTrustedNetwork();
+
+    expect(() => network.addProvider(createProvider('Bad', 'payment'))).toThrow(
+      'Provider "Bad" has invalid categories: payment'
+    );
+    expect(() => network.addProvider(createProvider('Blank', ['']))).toThrow('Provider "Blank" has invalid categories');
+  });
+});
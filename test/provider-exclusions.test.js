@@ -0,0 +1,92 @@
+/**
+ * Provider Exclusion Tests
+ *
+ * Tests ipv4.exclude / ipv6.exclude, which carve sub-ranges out of a provider's
+ * published addresses and ranges.
+ */
+
+import { createTrustedNetwork, EXPLAIN_OUTCOME_SKIPPED, SKIP_REASON_EXCLUDED } from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, ipv6 = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [], ...ipv6 },
+});
+
+describe('Provider Exclusions', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork({
+      providers: [
+        createProvider(
+          'Private',
+          { ranges: ['10.0.0.0/8', '224.0.0.0/4'], exclude: ['224.0.0.0/4', '10.9.0.0/16', '10.1.1.1'] },
+          { ranges: ['fc00::/7'], exclude: ['fd00:bad::/32'] }
+        ),
+        createProvider('Fallback', { ranges: ['10.9.0.0/16'] }),
+      ],
+    });
+  });
+
+  test('should not attribute IPs inside an excluded range to the provider', () => {
+    expect(network.getTrustedProvider('10.2.0.1')).toBe('Private');
+    expect(network.getTrustedProvider('224.0.0.251')).toBeNull();
+    expect(network.getTrustedProvider('fd00:bad::1')).toBeNull();
+    expect(network.getTrustedProvider('fd00:600d::1')).toBe('Private');
+  });
+
+  test('should exclude single addresses', () => {
+    expect(network.getTrustedProvider('10.1.1.1')).toBeNull();
+    expect(network.getTrustedProvider('10.1.1.2')).toBe('Private');
+  });
+
+  test('should let lower-priority providers match excluded IPs', () => {
+    expect(network.getTrustedProvider('10.9.0.1')).toBe('Fallback');
+    expect(network.getTrustedProviders('10.9.0.1')).toEqual(['Fallback']);
+    expect(network.lookup('10.9.0.1')).toMatchObject({ provider: 'Fallback', matchedRange: '10.9.0.0/16' });
+  });
+
+  test('should override more specific entries of the same provider', () => {
+    network.addProvider(createProvider('Gateway', { addresses: ['192.0.2.10'], exclude: ['192.0.2.0/24'] }));
+
+    expect(network.getTrustedProvider('192.0.2.10')).toBeNull();
+  });
+
+  test('should report the exclusion in explain()', () => {
+    const [privateReport, fallbackReport] = network.explain('10.9.0.1').providers;
+
+    expect(privateReport).toMatchObject({
+      outcome: EXPLAIN_OUTCOME_SKIPPED,
+      skipReason: SKIP_REASON_EXCLUDED,
+      matchedRange: '10.9.0.0/16',
+    });
+    expect(fallbackReport.outcome).toBe('matched');
+  });
+
+  test('should leave exclude entries out of the nearest ranges', () => {
+    const privateReport = network.explain('192.168.0.1').providers[0];
+
+    expect(privateReport.nearest.map((entry) => entry.matchType)).not.toContain('exclude');
+  });
+
+  describe('validation', () => {
+    test('should reject invalid exclude entries', () => {
+      expect(() => network.addProvider(createProvider('Bad', { exclude: ['10.0.0.0/33', 'nope'] }))).toThrow(
+        'Provider "Bad" contains invalid exclude entries: 10.0.0.0/33, nope'
+      );
+    });
+
+    test('should reject exclude entries of the wrong address family', () => {
+      expect(() => network.addProvider(createProvider('Mixed', { exclude: ['2001:db8::/32'] }))).toThrow(
+        'Provider "Mixed" contains invalid exclude entries: 2001:db8::/32'
+      );
+    });
+
+    test('should reject an exclude value that is not an array', () => {
+      expect(() => network.addProvider(createProvider('Loose', { exclude: '10.0.0.0/8' }))).toThrow(
+        'Provider "Loose" has an invalid ipv4.exclude list: 10.0.0.0/8'
+      );
+    });
+  });
+});
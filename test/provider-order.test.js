@@ -0,0 +1,153 @@
+/**
+ * Provider Order Tests
+ *
+ * Tests provider priority, insertProvider() and setProviderOrder(), which control
+ * which provider wins when ranges overlap.
+ */
+
+import trustedProviders from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, extra = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [] },
+  ...extra,
+});
+
+const providerNames = () => trustedProviders.getAllProviders().map((provider) => provider.name);
+
+describe('Provider Order', () => {
+  beforeEach(() => {
+    const providers = [...trustedProviders.getAllProviders()];
+    providers.forEach((provider) => {
+      trustedProviders.deleteProvider(provider.name);
+    });
+
+    trustedProviders.addProvider(createProvider('Private', { ranges: ['10.0.0.0/8'] }));
+    trustedProviders.addProvider(createProvider('Cloudflare', { ranges: ['10.1.0.0/16'] }));
+  });
+
+  describe('priority', () => {
+    test('should place a higher-priority provider ahead of existing ones', () => {
+      trustedProviders.addProvider(createProvider('Office VPN', { ranges: ['10.1.2.0/24'] }, { priority: 10 }));
+
+      expect(providerNames()).toEqual(['Office VPN', 'Private', 'Cloudflare']);
+      expect(trustedProviders.getTrustedProvider('10.1.2.3')).toBe('Office VPN');
+    });
+
+    test('should keep registration order among equal priorities', () => {
+      trustedProviders.addProvider(createProvider('First Boosted', {}, { priority: 5 }));
+      trustedProviders.addProvider(createProvider('Second Boosted', {}, { priority: 5 }));
+      trustedProviders.addProvider(createProvider('Demoted', {}, { priority: -1 }));
+      trustedProviders.addProvider(createProvider('Default'));
+
+      expect(providerNames()).toEqual([
+        'First Boosted',
+        'Second Boosted',
+        'Private',
+        'Cloudflare',
+        'Default',
+        'Demoted',
+      ]);
+    });
+
+    test('should reject a non-numeric priority', () => {
+      expect(() => trustedProviders.addProvider(createProvider('Bad', {}, { priority: 'high' }))).toThrow(
+        'Provider "Bad" has an invalid priority: high'
+      );
+      expect(trustedProviders.hasProvider('Bad')).toBe(false);
+    });
+
+    test('should drop cached results when a provider outranks them', () => {
+      expect(trustedProviders.getTrustedProvider('10.1.2.3')).toBe('Private');
+
+      trustedProviders.addProvider(createProvider('Office VPN', { ranges: ['10.1.2.0/24'] }, { priority: 10 }));
+
+      expect(trustedProviders.getTrustedProvider('10.1.2.3')).toBe('Office VPN');
+    });
+  });
+
+  describe('insertProvider()', () => {
+    test('should insert before a named provider', () => {
+      trustedProviders.insertProvider(createProvider('Office VPN', { ranges: ['10.1.2.0/24'] }), { before: 'Private' });
+
+      expect(providerNames()).toEqual(['Office VPN', 'Private', 'Cloudflare']);
+      expect(trustedProviders.getTrustedProvider('10.1.2.3')).toBe('Office VPN');
+    });
+
+    test('should insert after a named provider', () => {
+      trustedProviders.insertProvider(createProvider('Middle'), { after: 'Private' });
+
+      expect(providerNames()).toEqual(['Private', 'Middle', 'Cloudflare']);
+    });
+
+    test('should append like addProvider() without a position', () => {
+      trustedProviders.insertProvider(createProvider('Last'));
+
+      expect(providerNames()).toEqual(['Private', 'Cloudflare', 'Last']);
+    });
+
+    test('should reject unknown reference providers', () => {
+      expect(() => trustedProviders.insertProvider(createProvider('Lost'), { before: 'Nobody' })).toThrow(
+        'Cannot insert provider "Lost": unknown provider "Nobody"'
+      );
+      expect(trustedProviders.hasProvider('Lost')).toBe(false);
+    });
+
+    test('should reject both before and after', () => {
+      expect(() =>
+        trustedProviders.insertProvider(createProvider('Confused'), { before: 'Private', after: 'Cloudflare' })
+      ).toThrow('use either before or after, not both');
+    });
+
+    test('should ignore providers that are already registered', () => {
+      trustedProviders.insertProvider(createProvider('Cloudflare'), { before: 'Private' });
+
+      expect(providerNames()).toEqual(['Private', 'Cloudflare']);
+    });
+  });
+
+  describe('setProviderOrder()', () => {
+    test('should move named providers to the front and change the winner', () => {
+      expect(trustedProviders.getTrustedProvider('10.1.0.1')).toBe('Private');
+
+      trustedProviders.setProviderOrder(['Cloudflare']);
+
+      expect(providerNames()).toEqual(['Cloudflare', 'Private']);
+      expect(trustedProviders.getTrustedProvider('10.1.0.1')).toBe('Cloudflare');
+      expect(trustedProviders.getTrustedProviders('10.1.0.1')).toEqual(['Cloudflare', 'Private']);
+    });
+
+    test('should keep unlisted providers in their relative order', () => {
+      trustedProviders.addProvider(createProvider('Third'));
+      trustedProviders.addProvider(createProvider('Fourth'));
+
+      trustedProviders.setProviderOrder(['Fourth', 'Cloudflare']);
+
+      expect(providerNames()).toEqual(['Fourth', 'Cloudflare', 'Private', 'Third']);
+    });
+
+    test('should keep cached results when the order is unchanged', () => {
+      expect(trustedProviders.getTrustedProvider('10.1.0.1')).toBe('Private');
+
+      // Mutating data without a reload isn't picked up while the cached result is valid
+      trustedProviders.getAllProviders()[0].ipv4.ranges.length = 0;
+      trustedProviders.setProviderOrder(['Private', 'Cloudflare']);
+
+      expect(trustedProviders.getTrustedProvider('10.1.0.1')).toBe('Private');
+    });
+
+    test('should reject unknown provider names', () => {
+      expect(() => trustedProviders.setProviderOrder(['Cloudflare', 'Nobody'])).toThrow(
+        'Cannot reorder unknown providers: Nobody'
+      );
+      expect(providerNames()).toEqual(['Private', 'Cloudflare']);
+    });
+
+    test('should reject non-array input', () => {
+      expect(() => trustedProviders.setProviderOrder('Cloudflare')).toThrow(
+        'setProviderOrder() expects an array of provider names'
+      );
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Provider Enable/Disable Tests
+ *
+ * Tests disableProvider() and enableProvider(), which take a provider out of lookups
+ * without discarding its data, position or metadata.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createTrustedNetwork,
+  EXPLAIN_OUTCOME_SKIPPED,
+  PROVIDER_STATE_DISABLED,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_READY,
+  SKIP_REASON_DISABLED,
+} from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, extra = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [] },
+  ...extra,
+});
+
+describe('disableProvider() / enableProvider()', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork({
+      providers: [
+        createProvider('Office VPN', { ranges: ['10.1.0.0/16'] }),
+        createProvider('Private', { ranges: ['10.0.0.0/8'] }),
+      ],
+    });
+  });
+
+  test('should skip a disabled provider and fall through to the next match', () => {
+    expect(network.getTrustedProvider('10.1.0.1')).toBe('Office VPN');
+
+    network.disableProvider('Office VPN');
+
+    expect(network.getTrustedProvider('10.1.0.1')).toBe('Private');
+    expect(network.getTrustedProviders('10.1.0.1')).toEqual(['Private']);
+    expect(network.lookup('10.1.0.1').provider).toBe('Private');
+  });
+
+  test('should stop trusting IPs only a disabled provider covers', () => {
+    network.disableProvider('Private');
+
+    expect(network.isTrusted('10.2.0.1')).toBe(false);
+    expect(network.isTrusted('10.1.0.1')).toBe(true);
+  });
+
+  test('should keep the provider registered in its original position', () => {
+    network.disableProvider('Office VPN');
+
+    expect(network.hasProvider('Office VPN')).toBe(true);
+    expect(network.getAllProviders().map((provider) => provider.name)).toEqual(['Office VPN', 'Private']);
+  });
+
+  test('should restore matching when re-enabled', () => {
+    network.disableProvider('Office VPN');
+    expect(network.getTrustedProvider('10.1.0.1')).toBe('Private');
+
+    network.enableProvider('Office VPN');
+
+    expect(network.getTrustedProvider('10.1.0.1')).toBe('Office VPN');
+    expect(network.getProviderStatus('Office VPN').state).toBe(PROVIDER_STATE_READY);
+  });
+
+  test('should report the disabled state and restore the underlying state', async () => {
+    const failing = createProvider('Failing Feed', {}, { reload: async () => Promise.reject(new Error('Offline')) });
+    network.addProvider(failing);
+    await network.reloadAll();
+
+    network.disableProvider('Failing Feed');
+    expect(network.getProviderStatus('Failing Feed').state).toBe(PROVIDER_STATE_DISABLED);
+    expect(network.getProviderStatus('Failing Feed').lastError.message).toBe('Offline');
+
+    network.enableProvider('Failing Feed');
+    expect(network.getProviderStatus('Failing Feed').state).toBe(PROVIDER_STATE_ERROR);
+  });
+
+  test('should emit events only when the state changes', () => {
+    const events = [];
+    network.on('provider:disabled', (data) => events.push({ event: 'disabled', ...data }));
+    network.on('provider:enabled', (data) => events.push({ event: 'enabled', ...data }));
+
+    network.disableProvider('Private');
+    network.disableProvider('Private');
+    network.enableProvider('Private');
+    network.enableProvider('Private');
+    network.disableProvider('Unknown');
+
+    expect(events).toEqual([
+      { event: 'disabled', provider: 'Private', timestamp: expect.any(Number) },
+      { event: 'enabled', provider: 'Private', timestamp: expect.any(Number) },
+    ]);
+  });
+
+  test('should report disabled providers as skipped in explain()', () => {
+    network.disableProvider('Office VPN');
+
+    const [officeVpn, privateReport] = network.explain('10.1.0.1').providers;
+    expect(officeVpn).toMatchObject({
+      outcome: EXPLAIN_OUTCOME_SKIPPED,
+      skipReason: SKIP_REASON_DISABLED,
+      state: PROVIDER_STATE_DISABLED,
+    });
+    expect(privateReport.outcome).toBe('matched');
+  });
+
+  describe('reloadAll()', () => {
+    test('should skip disabled providers by default', async () => {
+      const reload = jest.fn(async () => {});
+      network.addProvider(createProvider('Feed', {}, { reload }));
+      network.disableProvider('Feed');
+
+      await network.reloadAll();
+
+      expect(reload).not.toHaveBeenCalled();
+      expect(network.getProviderStatus('Feed').lastUpdated).toBeNull();
+    });
+
+    test('should refresh disabled providers when asked to, leaving them disabled', async () => {
+      const feed = createProvider('Feed', {}, {});
+      feed.reload = async () => {
+        feed.ipv4.ranges = ['192.0.2.0/24'];
+      };
+      network.addProvider(feed);
+      network.disableProvider('Feed');
+
+      await network.reloadAll({ includeDisabled: true });
+
+      expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_DISABLED);
+      expect(network.getProviderStatus('Feed').lastUpdated).not.toBeNull();
+      expect(network.getTrustedProvider('192.0.2.1')).toBeNull();
+
+      network.enableProvider('Feed');
+      expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+    });
+  });
+
+  test('should forget the disabled flag when the provider is deleted', () => {
+    network.disableProvider('Private');
+    network.deleteProvider('Private');
+    network.addProvider(createProvider('Private', { ranges: ['10.0.0.0/8'] }));
+
+    expect(network.getProviderStatus('Private').state).toBe(PROVIDER_STATE_READY);
+    expect(network.getTrustedProvider('10.2.0.1')).toBe('Private');
+  });
+});
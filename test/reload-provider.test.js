@@ -0,0 +1,183 @@
+/**
+ * reloadProvider() Tests
+ *
+ * Tests reloading a single provider: state and events, selective invalidation of cached
+ * results, one-off reload thresholds, and joining a reload already in progress.
+ */
+
+import { jest } from '@jest/globals';
+import ipaddr from 'ipaddr.js';
+import {
+  createTrustedNetwork,
+  PROVIDER_MODE_DENY,
+  PROVIDER_STATE_DISABLED,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_READY,
+  PROVIDER_STATE_REJECTED,
+} from '../src/index.js';
+
+const createFeed = (name, ranges, nextRanges, extra = {}) => {
+  const provider = {
+    name,
+    ipv4: { addresses: [], ranges: [...ranges] },
+    ipv6: { addresses: [], ranges: [] },
+    ...extra,
+  };
+  provider.reload = jest.fn(async () => {
+    provider.ipv4.ranges = [...nextRanges];
+  });
+  return provider;
+};
+
+describe('reloadProvider()', () => {
+  let network;
+  let high;
+  let feed;
+  let low;
+
+  beforeEach(() => {
+    high = createFeed('High', ['192.0.2.0/26'], ['192.0.2.0/26']);
+    feed = createFeed('Feed', ['198.51.100.0/24'], ['198.51.100.0/24', '203.0.113.0/24']);
+    low = createFeed('Low', ['203.0.113.0/24', '192.0.2.0/24'], ['203.0.113.0/24', '192.0.2.0/24']);
+    network = createTrustedNetwork({ providers: [high, feed, low] });
+  });
+
+  test('should reload only the named provider', async () => {
+    await network.reloadProvider('Feed');
+
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+    expect(high.reload).not.toHaveBeenCalled();
+    expect(low.reload).not.toHaveBeenCalled();
+    expect(network.getTrustedProvider('203.0.113.1')).toBe('Feed');
+  });
+
+  test('should update state and emit the same events as reloadAll()', async () => {
+    const events = [];
+    network.on('reload:start', ({ provider }) => events.push(`start:${provider}`));
+    network.on('reload:success', ({ provider }) => events.push(`success:${provider}`));
+    network.on('change', ({ provider }) => events.push(`change:${provider}`));
+
+    await network.reloadProvider('Feed');
+
+    expect(events).toEqual(['start:Feed', 'success:Feed', 'change:Feed']);
+    expect(network.getProviderStatus('Feed')).toMatchObject({ state: PROVIDER_STATE_READY, lastError: null });
+    expect(network.getProviderStatus('Feed').lastUpdated).not.toBeNull();
+    expect(network.getProviderStatus('High').lastUpdated).toBeNull();
+  });
+
+  test('should reject with the reload error and keep the previous data', async () => {
+    feed.reload.mockImplementation(async () => {
+      feed.ipv4.ranges = [];
+      throw new Error('Upstream unavailable');
+    });
+
+    await expect(network.reloadProvider('Feed')).rejects.toThrow('Upstream unavailable');
+
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_ERROR);
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+  });
+
+  test('should reject unknown providers and providers without a reload function', async () => {
+    network.addProvider({ name: 'Static', ipv4: { addresses: [], ranges: [] }, ipv6: { addresses: [], ranges: [] } });
+
+    await expect(network.reloadProvider('Unknown')).rejects.toThrow('Unknown provider: Unknown');
+    await expect(network.reloadProvider('Static')).rejects.toThrow('Provider "Static" has no reload function');
+  });
+
+  test('should reload disabled providers and leave them disabled', async () => {
+    network.disableProvider('Feed');
+
+    await network.reloadProvider('Feed');
+
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_DISABLED);
+    expect(network.getTrustedProvider('203.0.113.1')).toBe('Low');
+  });
+
+  test('should join a reload of the same provider already in progress', async () => {
+    const first = network.reloadProvider('Feed');
+    const second = network.reloadAll();
+
+    await Promise.all([first, second]);
+
+    expect(feed.reload).toHaveBeenCalledTimes(1);
+    expect(high.reload).toHaveBeenCalledTimes(1);
+  });
+
+  describe('reload thresholds', () => {
+    test('should accept an update refused by the thresholds when overridden for one reload', async () => {
+      feed.reload.mockImplementation(async () => {
+        feed.ipv4.ranges = [];
+      });
+      feed.ipv4.ranges.push('198.51.101.0/24', '198.51.102.0/24');
+      network = createTrustedNetwork({ providers: [feed] });
+
+      await expect(network.reloadProvider('Feed')).rejects.toThrow('update rejected');
+      expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_REJECTED);
+
+      await network.reloadProvider('Feed', { reloadThresholds: { maxShrinkPercent: null } });
+
+      expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_READY);
+      expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+    });
+
+    test('should reject invalid threshold overrides', async () => {
+      await expect(network.reloadProvider('Feed', { reloadThresholds: { minEntries: -1 } })).rejects.toThrow(
+        'reload threshold minEntries must be a non-negative number or null'
+      );
+      expect(feed.reload).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cache invalidation', () => {
+    test('should keep cached results of higher-priority providers', async () => {
+      expect(network.getTrustedProvider('192.0.2.1')).toBe('High');
+
+      await network.reloadProvider('Feed');
+
+      // A cache hit returns before the IP is parsed
+      const parse = jest.spyOn(ipaddr, 'parse');
+      try {
+        expect(network.getTrustedProvider('192.0.2.1')).toBe('High');
+        expect(parse).not.toHaveBeenCalled();
+      } finally {
+        parse.mockRestore();
+      }
+    });
+
+    test('should drop results the provider can take over or lose', async () => {
+      expect(network.getTrustedProvider('203.0.113.1')).toBe('Low');
+      expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+      expect(network.getTrustedProvider('233.252.0.1')).toBeNull();
+
+      feed.reload.mockImplementation(async () => {
+        feed.ipv4.ranges = ['203.0.113.0/24', '233.252.0.0/24'];
+      });
+      await network.reloadProvider('Feed');
+
+      expect(network.getTrustedProvider('203.0.113.1')).toBe('Feed');
+      expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+      expect(network.getTrustedProvider('233.252.0.1')).toBe('Feed');
+    });
+
+    test('should drop every positive result when a deny provider reloads', async () => {
+      const blocklist = createFeed('Blocklist', ['233.252.0.0/24'], ['233.252.0.0/24', '192.0.2.0/30'], {
+        mode: PROVIDER_MODE_DENY,
+      });
+      network.addProvider(blocklist);
+      expect(network.getTrustedProvider('192.0.2.1')).toBe('High');
+
+      await network.reloadProvider('Blocklist');
+
+      expect(network.getTrustedProvider('192.0.2.1')).toBeNull();
+    });
+
+    test('should refresh multi-provider results', async () => {
+      expect(network.getTrustedProviders('203.0.113.1')).toEqual(['Low']);
+
+      await network.reloadProvider('Feed');
+
+      expect(network.getTrustedProviders('203.0.113.1')).toEqual(['Feed', 'Low']);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Reload Sources Tests
+ *
+ * Tests providers that declare reloadSources: sources are tried in order until one can be
+ * read, parsed and validated, and the source that worked is reported in provider status.
+ */
+
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  createTrustedNetwork,
+  NetworkDisabledError,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_OFFLINE,
+  PROVIDER_STATE_READY,
+  SOURCE_FORMAT_TEXT,
+  SOURCE_TYPE_ASSET,
+  SOURCE_TYPE_FILE,
+  SOURCE_TYPE_URL,
+} from '../src/index.js';
+import googlebotProvider from '../src/providers/googlebot.js';
+
+const FEED_URL = 'https://feeds.example.com/ips.json';
+const ASSETS_DIR = fileURLToPath(new URL('../src/assets/', import.meta.url));
+
+const createResponse = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: 'OK',
+  text: jest.fn().mockResolvedValue(JSON.stringify(body)),
+});
+
+const createFeed = (reloadSources, extra = {}) => ({
+  name: 'Feed',
+  ipv4: { addresses: [], ranges: [] },
+  ipv6: { addresses: [], ranges: [] },
+  reloadSources,
+  parseSource: (data) => ({ ipv4: { ranges: data.ranges } }),
+  ...extra,
+});
+
+describe('Reload Sources', () => {
+  const originalFetch = global.fetch;
+  let directory;
+  let localCopy;
+  let network;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'tnp-sources-'));
+    localCopy = path.join(directory, 'ips.json');
+    await writeFile(localCopy, JSON.stringify({ ranges: ['198.51.100.0/24'] }));
+    network = createTrustedNetwork();
+  });
+
+  afterEach(async () => {
+    global.fetch = originalFetch;
+    network.setNetworkMode(null);
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('should load from the first source that works', async () => {
+    global.fetch = jest.fn().mockResolvedValue(createResponse({ ranges: ['192.0.2.0/24'] }));
+    network.addProvider(
+      createFeed([
+        { type: SOURCE_TYPE_URL, url: FEED_URL },
+        { type: SOURCE_TYPE_FILE, path: localCopy },
+      ])
+    );
+
+    await network.reloadProvider('Feed');
+
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+    expect(network.getProviderStatus('Feed')).toMatchObject({
+      state: PROVIDER_STATE_READY,
+      reloadSource: { type: SOURCE_TYPE_URL, location: FEED_URL },
+    });
+  });
+
+  test('should fall back to the next source when a fetch fails', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND feeds.example.com'));
+    network.addProvider(
+      createFeed([
+        { type: SOURCE_TYPE_URL, url: FEED_URL, retries: 0 },
+        { type: SOURCE_TYPE_FILE, path: localCopy },
+      ])
+    );
+
+    await network.reloadProvider('Feed');
+
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+    expect(network.getProviderStatus('Feed').reloadSource).toEqual({ type: SOURCE_TYPE_FILE, location: localCopy });
+  });
+
+  test('should fall back to the next source when the data fails validation', async () => {
+    global.fetch = jest.fn().mockResolvedValue(createResponse({ ranges: ['192.0.2.0/33'] }));
+    network.addProvider(
+      createFeed([
+        { type: SOURCE_TYPE_URL, url: FEED_URL },
+        { type: SOURCE_TYPE_FILE, path: localCopy },
+      ])
+    );
+
+    await network.reloadProvider('Feed');
+
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+    expect(network.getProviderStatus('Feed').reloadSource.type).toBe(SOURCE_TYPE_FILE);
+  });
+
+  test('should fall back to the next source when a bundled asset fails its checksum', async () => {
+    const tampered = path.join(directory, 'googlebot-ips.json');
+    await writeFile(tampered, JSON.stringify({ ranges: ['192.0.2.0/24'] }));
+    network.addProvider(
+      createFeed([
+        { type: SOURCE_TYPE_ASSET, path: path.relative(ASSETS_DIR, tampered), checksumKey: 'googlebot' },
+        { type: SOURCE_TYPE_FILE, path: localCopy },
+      ])
+    );
+
+    await network.reloadProvider('Feed');
+
+    expect(network.getTrustedProvider('192.0.2.1')).toBeNull();
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+    expect(network.getProviderStatus('Feed').reloadSource).toEqual({ type: SOURCE_TYPE_FILE, location: localCopy });
+  });
+
+  test('should fall back to the next source when parseSource() throws', async () => {
+    const textCopy = path.join(directory, 'ips.txt');
+    await writeFile(textCopy, '203.0.113.0/24\n');
+    network.addProvider(
+      createFeed(
+        [
+          { type: SOURCE_TYPE_FILE, path: localCopy },
+          { type: SOURCE_TYPE_FILE, path: textCopy, format: SOURCE_FORMAT_TEXT },
+        ],
+        {
+          parseSource: (body) => {
+            if (typeof body !== 'string') {
+              throw new Error('Expected a plain-text list');
+            }
+            return { ipv4: { ranges: body.trim().split('\n') } };
+          },
+        }
+      )
+    );
+
+    await network.reloadProvider('Feed');
+
+    expect(network.getTrustedProvider('203.0.113.1')).toBe('Feed');
+  });
+
+  test('should keep the lists parseSource() leaves out', async () => {
+    network.addProvider(
+      createFeed([{ type: SOURCE_TYPE_FILE, path: localCopy }], {
+        ipv4: { addresses: [], ranges: [], exclude: ['198.51.100.128/25'] },
+      })
+    );
+
+    await network.reloadProvider('Feed');
+
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+    expect(network.getTrustedProvider('198.51.100.200')).toBeNull();
+  });
+
+  test('should keep the previous data when every source fails', async () => {
+    const feed = createFeed([
+      { type: SOURCE_TYPE_FILE, path: path.join(directory, 'missing.json') },
+      { type: SOURCE_TYPE_FILE, path: localCopy },
+    ]);
+    feed.ipv4.addresses.push('192.0.2.10');
+    await writeFile(localCopy, 'not json');
+    network.addProvider(feed);
+
+    await expect(network.reloadProvider('Feed')).rejects.toThrow(
+      /Provider "Feed" could not be loaded from any source \(.*missing\.json: ENOENT.*; .*Failed to parse JSON/
+    );
+
+    expect(network.getProviderStatus('Feed')).toMatchObject({ state: PROVIDER_STATE_ERROR, reloadSource: null });
+    expect(network.getTrustedProvider('192.0.2.10')).toBe('Feed');
+  });
+
+  test('should report the offline state when only url sources are left in offline mode', async () => {
+    global.fetch = jest.fn();
+    network.setNetworkMode('offline');
+    network.addProvider(createFeed([{ type: SOURCE_TYPE_URL, url: FEED_URL }]));
+
+    await expect(network.reloadProvider('Feed')).rejects.toThrow(NetworkDisabledError);
+
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_OFFLINE);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('should reload Googlebot from the bundled asset when offline', async () => {
+    network.setNetworkMode('offline');
+    network.addProvider(googlebotProvider);
+
+    await network.reloadProvider('Googlebot');
+
+    expect(network.getProviderStatus('Googlebot')).toMatchObject({
+      state: PROVIDER_STATE_READY,
+      reloadSource: { type: SOURCE_TYPE_ASSET, location: expect.stringMatching(/googlebot-ips\.json$/) },
+    });
+    expect(network.getTrustedProvider(googlebotProvider.testAddresses[0])).toBe('Googlebot');
+  });
+
+  test("should try sources added to an instance after the provider's own, in that instance only", async () => {
+    global.fetch = jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND feeds.example.com'));
+    const feed = createFeed([{ type: SOURCE_TYPE_URL, url: FEED_URL, retries: 0 }]);
+    const other = createTrustedNetwork({ providers: [feed] });
+    network.addProvider(feed);
+    network.addReloadSource('Feed', { type: SOURCE_TYPE_FILE, path: localCopy });
+
+    const [, otherResult] = await Promise.allSettled([network.reloadProvider('Feed'), other.reloadProvider('Feed')]);
+
+    expect(network.getProviderStatus('Feed')).toMatchObject({
+      state: PROVIDER_STATE_READY,
+      reloadSource: { type: SOURCE_TYPE_FILE, location: localCopy },
+    });
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+    expect(otherResult.status).toBe('rejected');
+    expect(other.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_ERROR);
+    expect(feed.reloadSources).toHaveLength(1);
+  });
+
+  test('should reject sources added to unknown providers, providers without sources and invalid sources', () => {
+    network.addProvider(createFeed([{ type: SOURCE_TYPE_URL, url: FEED_URL }]));
+    network.addProvider({ name: 'Static', ipv4: { addresses: [], ranges: [] }, ipv6: { addresses: [], ranges: [] } });
+
+    expect(() => network.addReloadSource('Nobody', { type: SOURCE_TYPE_FILE, path: localCopy })).toThrow(
+      'Unknown provider: Nobody'
+    );
+    expect(() => network.addReloadSource('Static', { type: SOURCE_TYPE_FILE, path: localCopy })).toThrow(
+      'Provider "Static" has no reloadSources'
+    );
+    expect(() => network.addReloadSource('Feed', { type: SOURCE_TYPE_FILE })).toThrow(
+      'Invalid reload source for provider "Feed": file source needs a path'
+    );
+  });
+
+  test('should reject invalid reload sources', () => {
+    expect(() => network.addProvider(createFeed([]))).toThrow(
+      'Provider "Feed" has invalid reloadSources: must be a non-empty array'
+    );
+    expect(() => network.addProvider(createFeed([{ type: 'ftp', path: localCopy }]))).toThrow(
+      'Provider "Feed" has invalid reloadSources: source type must be one of: url, asset, file'
+    );
+    expect(() => network.addProvider(createFeed([{ type: SOURCE_TYPE_URL, url: 'http://example.com' }]))).toThrow(
+      'url source needs an HTTPS url: http://example.com'
+    );
+    expect(() =>
+      network.addProvider(createFeed([{ type: SOURCE_TYPE_FILE, path: localCopy }], { parseSource: undefined }))
+    ).toThrow('Provider "Feed" has reloadSources but no parseSource function');
+  });
+});
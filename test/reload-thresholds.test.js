@@ -0,0 +1,195 @@
+/**
+ * Reload Threshold Tests
+ *
+ * Tests the sanity checks applied to reloaded provider data, which refuse suspicious updates
+ * (too few entries, large shrinks or growth, overly broad ranges) and keep the previous data.
+ */
+
+import {
+  createTrustedNetwork,
+  PROVIDER_STATE_READY,
+  PROVIDER_STATE_REJECTED,
+  REJECT_REASON_GROWTH,
+  REJECT_REASON_PREFIX_TOO_BROAD,
+  REJECT_REASON_SHRINK,
+  REJECT_REASON_TOO_FEW_ENTRIES,
+} from '../src/index.js';
+
+const FEED_RANGES = ['192.0.2.0/26', '192.0.2.64/26', '192.0.2.128/26', '192.0.2.192/26'];
+
+const createFeed = (name, nextRanges, extra = {}) => {
+  const provider = {
+    name,
+    ipv4: { addresses: [], ranges: [...FEED_RANGES] },
+    ipv6: { addresses: [], ranges: [] },
+    ...extra,
+  };
+  provider.reload = async () => {
+    provider.ipv4.ranges = [...nextRanges];
+  };
+  return provider;
+};
+
+describe('Reload Thresholds', () => {
+  let network;
+  let rejections;
+
+  beforeEach(() => {
+    network = createTrustedNetwork();
+    rejections = [];
+    network.on('reload:rejected', (data) => rejections.push(data));
+  });
+
+  test('should refuse an update that shrinks a provider too much', async () => {
+    const feed = createFeed('Feed', ['198.51.100.0/24']);
+    network.addProvider(feed);
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('rejected');
+    expect(result.reason.message).toBe('Provider "Feed" update rejected: entries dropped from 4 to 1, more than 50%');
+    expect(rejections).toEqual([
+      {
+        provider: 'Feed',
+        reason: REJECT_REASON_SHRINK,
+        message: 'entries dropped from 4 to 1, more than 50%',
+        previousCount: 4,
+        count: 1,
+        timestamp: expect.any(Number),
+      },
+    ]);
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+    expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+    // Thresholds are per instance, so the shared provider object keeps what the feed served
+    expect(feed.ipv4.ranges).toEqual(['198.51.100.0/24']);
+  });
+
+  test('should set the rejected state and keep the previous lastUpdated', async () => {
+    network.addProvider(createFeed('Feed', []));
+
+    await network.reloadAll();
+
+    const status = network.getProviderStatus('Feed');
+    expect(status.state).toBe(PROVIDER_STATE_REJECTED);
+    expect(status.lastUpdated).toBeNull();
+    expect(status.lastError.message).toContain('update rejected');
+  });
+
+  test('should not emit error or reload:success for a rejected update', async () => {
+    const otherEvents = [];
+    network.on('error', () => otherEvents.push('error'));
+    network.on('reload:success', () => otherEvents.push('reload:success'));
+    network.addProvider(createFeed('Feed', []));
+
+    await network.reloadAll();
+
+    expect(otherEvents).toEqual([]);
+    expect(rejections).toHaveLength(1);
+  });
+
+  test('should accept updates within the thresholds', async () => {
+    network.addProvider(createFeed('Feed', ['198.51.100.0/24', '203.0.113.0/24']));
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('fulfilled');
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_READY);
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+  });
+
+  test('should refuse ranges broader than the minimum prefix length', async () => {
+    network.addProvider(createFeed('Feed', [...FEED_RANGES, '0.0.0.0/0']));
+
+    await network.reloadAll();
+
+    expect(rejections[0]).toMatchObject({
+      reason: REJECT_REASON_PREFIX_TOO_BROAD,
+      message: '0.0.0.0/0 is broader than /8',
+    });
+    expect(network.getTrustedProvider('203.0.113.1')).toBeNull();
+  });
+
+  test('should check IPv6 ranges against their own minimum prefix length', async () => {
+    const feed = createFeed('Feed', FEED_RANGES);
+    feed.reload = async () => {
+      feed.ipv6.ranges = ['2000::/3'];
+    };
+    network.addProvider(feed);
+
+    await network.reloadAll();
+
+    expect(rejections[0]).toMatchObject({
+      reason: REJECT_REASON_PREFIX_TOO_BROAD,
+      message: '2000::/3 is broader than /16',
+    });
+  });
+
+  test('should skip the shrink and growth checks when there was no previous data', async () => {
+    network.setReloadThresholds({ maxGrowthPercent: 10 });
+    const feed = createFeed('Feed', FEED_RANGES);
+    feed.ipv4.ranges = [];
+    network.addProvider(feed);
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('fulfilled');
+  });
+
+  describe('configuration', () => {
+    test('should apply instance thresholds set through the options', async () => {
+      network = createTrustedNetwork({ reloadThresholds: { maxGrowthPercent: 100 } });
+      network.on('reload:rejected', (data) => rejections.push(data));
+      network.addProvider(createFeed('Feed', [...FEED_RANGES, '10.0.0.0/24', '10.0.1.0/24', '10.0.2.0/24']));
+
+      const [result] = await network.reloadAll();
+
+      expect(result.status).toBe('fulfilled');
+      expect(network.getReloadThresholds().maxGrowthPercent).toBe(100);
+    });
+
+    test('should refuse growth beyond the configured percentage', async () => {
+      network.setReloadThresholds({ maxGrowthPercent: 50 });
+      network.addProvider(createFeed('Feed', [...FEED_RANGES, '10.0.0.0/24', '10.0.1.0/24', '10.0.2.0/24']));
+
+      await network.reloadAll();
+
+      expect(rejections[0]).toMatchObject({ reason: REJECT_REASON_GROWTH, previousCount: 4, count: 7 });
+    });
+
+    test('should let a provider override the instance thresholds', async () => {
+      network.addProvider(
+        createFeed('Shrinking Feed', ['198.51.100.0/24'], { reloadThresholds: { maxShrinkPercent: null } })
+      );
+      network.addProvider(createFeed('Strict Feed', FEED_RANGES.slice(0, 3), { reloadThresholds: { minEntries: 4 } }));
+
+      const results = await network.reloadAll();
+
+      expect(results.map((result) => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(rejections).toEqual([
+        expect.objectContaining({ provider: 'Strict Feed', reason: REJECT_REASON_TOO_FEW_ENTRIES }),
+      ]);
+    });
+
+    test('should report the thresholds in effect', () => {
+      network.setReloadThresholds({ maxShrinkPercent: 20 });
+
+      expect(network.getReloadThresholds()).toEqual({
+        minEntries: 0,
+        maxShrinkPercent: 20,
+        maxGrowthPercent: null,
+        minIpv4PrefixLength: 8,
+        minIpv6PrefixLength: 16,
+      });
+    });
+
+    test('should reject invalid thresholds', () => {
+      expect(() => network.setReloadThresholds({ maxShrinkPercent: -1 })).toThrow(
+        'reload threshold maxShrinkPercent must be a non-negative number or null'
+      );
+      expect(() => network.setReloadThresholds({ maxShrink: 10 })).toThrow('unknown reload threshold: maxShrink');
+      expect(() => network.addProvider(createFeed('Bad', [], { reloadThresholds: 'strict' }))).toThrow(
+        'Provider "Bad" has invalid reloadThresholds: reload thresholds must be an object'
+      );
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Result Cache Tests
+ *
+ * Tests the separate positive and negative result caches: their independent TTL and capacity
+ * settings, the per-cache statistics reported by getCacheStats(), and custom cache adapters.
+ */
+
+import { jest } from '@jest/globals';
+import { createTrustedNetwork, SharedMemoryCache, TTLCache } from '../src/index.js';
+
+const MINUTE = 60 * 1000;
+
+const createFeed = (name, ranges) => ({
+  name,
+  ipv4: { addresses: [], ranges },
+  ipv6: { addresses: [], ranges: [] },
+});
+
+// The smallest adapter: no deleteWhere() or getStats()
+const createMapAdapter = () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: (key) => entries.get(key)?.value,
+    set: (key, value, ttlMs) => entries.set(key, { value, ttlMs }),
+    has: (key) => entries.has(key),
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+  };
+};
+
+describe('Result caches', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork({ providers: [createFeed('Googlebot', ['66.249.64.0/19'])] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should cache matches and negative results apart', () => {
+    network.getTrustedProvider('66.249.66.1');
+    network.getTrustedProvider('203.0.113.1');
+    network.getTrustedProvider('66.249.66.1');
+    network.getTrustedProvider('203.0.113.1');
+
+    const { positiveResults, negativeResults } = network.getCacheStats();
+    // Each lookup counts in one cache only, and uncached IPs count as positive misses
+    expect(positiveResults).toMatchObject({ size: 1, hits: 1, misses: 2 });
+    expect(negativeResults).toMatchObject({ size: 1, hits: 1, misses: 0 });
+  });
+
+  test('should not let negative results evict matches', () => {
+    network.setResultCacheSettings({ positive: { maxSize: 2 }, negative: { maxSize: 2 } });
+    network.getTrustedProvider('66.249.66.1');
+
+    for (let host = 1; host <= 10; host++) {
+      expect(network.getTrustedProvider(`203.0.113.${host}`)).toBeNull();
+    }
+
+    expect(network.getTrustedProvider('66.249.66.1')).toBe('Googlebot');
+    expect(network.getCacheStats().positiveResults).toMatchObject({ hits: 1, evictions: 0 });
+    expect(network.getCacheStats().negativeResults).toMatchObject({ size: 2, evictions: 8 });
+  });
+
+  test('should expire matches and negative results after their own TTL', () => {
+    jest.useFakeTimers();
+    network = createTrustedNetwork({
+      providers: [createFeed('Googlebot', ['66.249.64.0/19'])],
+      resultCache: { positive: { ttlMs: 60 * MINUTE }, negative: { ttlMs: 5 * MINUTE } },
+    });
+    network.getTrustedProvider('66.249.66.1');
+    network.getTrustedProvider('203.0.113.1');
+
+    jest.advanceTimersByTime(10 * MINUTE);
+    network.getTrustedProvider('66.249.66.1');
+    network.getTrustedProvider('203.0.113.1');
+
+    expect(network.getCacheStats().positiveResults).toMatchObject({ hits: 1, expirations: 0 });
+    expect(network.getCacheStats().negativeResults).toMatchObject({ hits: 0, expirations: 1 });
+  });
+
+  test('should only recreate the caches whose settings change', () => {
+    network.getTrustedProvider('66.249.66.1');
+    network.getTrustedProvider('203.0.113.1');
+
+    network.setResultCacheSettings({ negative: { ttlMs: MINUTE } });
+
+    expect(network.getResultCacheSettings()).toEqual({
+      positive: { ttlMs: 60 * MINUTE, maxSize: 10000 },
+      negative: { ttlMs: MINUTE, maxSize: 10000 },
+    });
+    expect(network.getCacheStats().positiveResults.size).toBe(1);
+    expect(network.getCacheStats().negativeResults).toMatchObject({ size: 0, maxSize: 10000 });
+  });
+
+  test('should apply setResultCacheTTL() to both caches', () => {
+    network.setResultCacheTTL(30 * MINUTE);
+
+    expect(network.getResultCacheTTL()).toBe(30 * MINUTE);
+    expect(network.getResultCacheSettings()).toEqual({
+      positive: { ttlMs: 30 * MINUTE, maxSize: 10000 },
+      negative: { ttlMs: 30 * MINUTE, maxSize: 10000 },
+    });
+  });
+
+  test('should report parsed range statistics', () => {
+    network.addProvider(createFeed('Crawler', ['66.249.64.0/19']));
+    network.getTrustedProvider('66.249.66.1');
+
+    expect(network.getCacheStats().parsedRanges).toMatchObject({ size: 1, hits: 1, misses: 1 });
+  });
+
+  test('should return copies of the settings', () => {
+    network.getResultCacheSettings().positive.ttlMs = 1;
+
+    expect(network.getResultCacheTTL()).toBe(60 * MINUTE);
+  });
+
+  test('should store results in the configured adapters with their TTL', () => {
+    const positive = createMapAdapter();
+    const negative = createMapAdapter();
+    network = createTrustedNetwork({
+      providers: [createFeed('Googlebot', ['66.249.64.0/19'])],
+      resultCache: { negative: { ttlMs: MINUTE } },
+      resultCacheAdapters: { positive, negative },
+    });
+
+    network.getTrustedProvider('66.249.66.1');
+    network.getTrustedProvider('203.0.113.1');
+
+    expect(positive.entries.get('66.249.66.1')).toEqual({ value: 'Googlebot', ttlMs: 60 * MINUTE });
+    expect(negative.entries.get('203.0.113.1')).toEqual({ value: null, ttlMs: MINUTE });
+    expect(network.getResultCacheAdapters()).toEqual({ positive, negative });
+    expect(network.getCacheStats()).toMatchObject({ positiveResults: null, negativeResults: null });
+  });
+
+  test('should pass adapters with a generation the one read before the lookup', () => {
+    const positive = createMapAdapter();
+    positive.generation = 7;
+    positive.set = jest.fn(positive.set);
+    network.setResultCacheAdapters({ positive });
+
+    network.getTrustedProvider('66.249.66.1');
+
+    expect(positive.set).toHaveBeenCalledWith('66.249.66.1', 'Googlebot', 60 * MINUTE, 7);
+  });
+
+  test('should clear adapters without deleteWhere() when a provider changes', () => {
+    const positive = createMapAdapter();
+    network.setResultCacheAdapters({ positive });
+    network.getTrustedProvider('66.249.66.1');
+
+    network.addProvider(createFeed('Feed', ['233.252.0.0/24']));
+
+    expect(positive.entries.size).toBe(0);
+  });
+
+  test('should keep adapters when settings change and restore the default with null', () => {
+    const positive = new SharedMemoryCache(64, MINUTE);
+    network.setResultCacheAdapters({ positive });
+    network.getTrustedProvider('66.249.66.1');
+
+    network.setResultCacheSettings({ positive: { maxSize: 100 } });
+    expect(network.getResultCacheAdapters().positive).toBe(positive);
+    expect(network.getCacheStats().positiveResults).toMatchObject({ size: 1, maxSize: 64 });
+
+    network.setResultCacheAdapters({ positive: null });
+    expect(network.getResultCacheAdapters().positive).toBeInstanceOf(TTLCache);
+    expect(network.getCacheStats().positiveResults).toMatchObject({ size: 0, maxSize: 100 });
+  });
+
+  test('should reject invalid adapters', () => {
+    expect(() => network.setResultCacheAdapters([])).toThrow('result cache adapters must be an object');
+    expect(() => network.setResultCacheAdapters({ all: createMapAdapter() })).toThrow('unknown result cache: all');
+    expect(() => network.setResultCacheAdapters({ positive: { get: () => undefined } })).toThrow(
+      'Invalid cache adapter: must have get, set, has, delete, clear functions'
+    );
+  });
+
+  test('should reject invalid settings', () => {
+    expect(() => network.setResultCacheSettings(null)).toThrow('result cache settings must be an object');
+    expect(() => network.setResultCacheSettings({ misses: {} })).toThrow('unknown result cache: misses');
+    expect(() => network.setResultCacheSettings({ negative: 100 })).toThrow(
+      'result cache negative settings must be an object'
+    );
+    expect(() => network.setResultCacheSettings({ negative: { ttl: 100 } })).toThrow(
+      'unknown result cache setting: negative.ttl'
+    );
+    expect(() => network.setResultCacheSettings({ positive: { maxSize: 0 } })).toThrow(
+      'result cache setting positive.maxSize must be a positive integer'
+    );
+  });
+});
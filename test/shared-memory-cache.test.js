@@ -0,0 +1,228 @@
+/**
+ * Tests for the SharedMemoryCache adapter
+ */
+
+import { jest } from '@jest/globals';
+import { Worker } from 'node:worker_threads';
+import { SharedMemoryCache } from '../src/shared-memory-cache.js';
+
+const WORKER_URL = new URL('./fixtures/shared-cache-worker.js', import.meta.url);
+
+const runWorker = (workerData) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, { workerData });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+  });
+
+describe('SharedMemoryCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('constructor', () => {
+    test('should round maxSize up to whole buckets', () => {
+      const cache = new SharedMemoryCache(10, 5000);
+
+      expect(cache.maxSize).toBe(16);
+      expect(cache.ttlMs).toBe(5000);
+      expect(cache.size).toBe(0);
+      expect(cache.buffer).toBeInstanceOf(SharedArrayBuffer);
+    });
+
+    test('should throw error for invalid sizes', () => {
+      expect(() => new SharedMemoryCache(0, 5000)).toThrow('maxSize must be a positive integer');
+      expect(() => new SharedMemoryCache(10, 5000.5)).toThrow('ttlMs must be a positive integer');
+      expect(() => new SharedMemoryCache(10, 5000, { maxKeyBytes: 70000 })).toThrow(
+        'maxKeyBytes must be a positive integer no greater than 65535'
+      );
+    });
+
+    test('should attach to the buffer of an existing cache', () => {
+      const cache = new SharedMemoryCache(10, 5000, { maxValueBytes: 32 });
+      cache.set('192.0.2.1', 'Googlebot');
+
+      const attached = new SharedMemoryCache(cache.buffer);
+
+      expect(attached).toMatchObject({ maxSize: 16, ttlMs: 5000, maxValueBytes: 32 });
+      expect(attached.get('192.0.2.1')).toBe('Googlebot');
+    });
+
+    test('should reject a buffer it did not create', () => {
+      expect(() => new SharedMemoryCache(new SharedArrayBuffer(100))).toThrow(
+        'buffer is not a SharedMemoryCache buffer'
+      );
+    });
+  });
+
+  describe('set and get', () => {
+    test('should store and retrieve JSON values', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      cache.set('key1', 'Stripe API');
+      cache.set('key2', null);
+      cache.set('key3', ['Googlebot', 'Cloudflare']);
+
+      expect(cache.get('key1')).toBe('Stripe API');
+      expect(cache.get('key2')).toBeNull();
+      expect(cache.get('key3')).toEqual(['Googlebot', 'Cloudflare']);
+      expect(cache.get('missing')).toBeUndefined();
+    });
+
+    test('should update existing keys', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      cache.set('key1', 'value1');
+      cache.set('key1', 'value2');
+
+      expect(cache.get('key1')).toBe('value2');
+      expect(cache.size).toBe(1);
+    });
+
+    test('should not cache entries that do not fit in a slot', () => {
+      const cache = new SharedMemoryCache(16, 60000, { maxKeyBytes: 8, maxValueBytes: 8 });
+
+      expect(cache.set('a-long-key', 'value')).toBe(false);
+      expect(cache.set('key', 'a long value')).toBe(false);
+      expect(cache.set('key', undefined)).toBe(false);
+      expect(cache.set('key', 'value')).toBe(true);
+      expect(cache.size).toBe(1);
+    });
+  });
+
+  describe('TTL expiration', () => {
+    test('should expire entries after their TTL', () => {
+      jest.useFakeTimers();
+      const cache = new SharedMemoryCache(16, 60000);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2', 1000);
+
+      jest.advanceTimersByTime(2000);
+
+      expect(cache.has('key2')).toBe(false);
+      expect(cache.get('key1')).toBe('value1');
+
+      jest.advanceTimersByTime(60000);
+
+      expect(cache.get('key1')).toBeUndefined();
+      expect(cache.getStats()).toMatchObject({ size: 0, hits: 1, misses: 1, expirations: 2 });
+    });
+  });
+
+  describe('eviction', () => {
+    test('should evict the least recently used entry of a full bucket', () => {
+      const cache = new SharedMemoryCache(8, 60000); // A single bucket
+      for (let key = 0; key < 8; key++) {
+        cache.set(`key${key}`, key);
+      }
+
+      cache.get('key0');
+      cache.set('key8', 8);
+
+      expect(cache.has('key0')).toBe(true);
+      expect(cache.has('key1')).toBe(false);
+      expect(cache.getStats()).toMatchObject({ size: 8, evictions: 1 });
+    });
+  });
+
+  describe('delete, clear and deleteWhere', () => {
+    test('should remove entries', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      cache.set('key1', 'Googlebot');
+      cache.set('key2', null);
+      cache.set('key3', 'Stripe API');
+
+      expect(cache.delete('key1')).toBe(true);
+      expect(cache.delete('key1')).toBe(false);
+      expect(cache.deleteWhere((value, key) => value === null || key === 'missing')).toBe(1);
+      expect(cache.get('key3')).toBe('Stripe API');
+
+      cache.clear();
+
+      expect(cache.size).toBe(0);
+      expect(cache.get('key3')).toBeUndefined();
+    });
+
+    test('should refuse writes computed before an invalidation in another thread', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      const other = new SharedMemoryCache(cache.buffer);
+      const generation = cache.generation;
+
+      other.deleteWhere((value) => value === 'Googlebot');
+
+      expect(cache.set('key1', 'Googlebot', 60000, generation)).toBe(false);
+      expect(cache.has('key1')).toBe(false);
+      expect(cache.set('key1', 'Googlebot', 60000, cache.generation)).toBe(true);
+      expect(cache.set('key2', 'Googlebot')).toBe(true);
+    });
+
+    test('should move the generation on with every invalidation', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      const generations = [cache.generation];
+
+      cache.delete('missing');
+      generations.push(cache.generation);
+      cache.clear();
+      generations.push(cache.generation);
+      cache.deleteWhere(() => false);
+      generations.push(cache.generation);
+
+      expect(new Set(generations).size).toBe(4);
+    });
+  });
+
+  describe('getStats', () => {
+    test('should reset the counters but keep the entries', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      cache.set('key1', 'value1');
+      cache.get('key1');
+      cache.get('key2');
+
+      cache.resetStats();
+
+      expect(cache.getStats()).toEqual({ size: 1, maxSize: 16, hits: 0, misses: 0, evictions: 0, expirations: 0 });
+    });
+  });
+
+  describe('lock timeout', () => {
+    test('should skip the cache, or throw, while a terminated thread still holds the lock', () => {
+      const cache = new SharedMemoryCache(16, 60000);
+      cache.set('key1', 'value1');
+      const lock = new Int32Array(cache.buffer, 0, 1);
+      Atomics.store(lock, 0, 1);
+
+      expect(cache.get('key1')).toBeUndefined();
+      expect(cache.has('key1')).toBe(false);
+      expect(cache.set('key2', 'value2')).toBe(false);
+      expect(() => cache.clear()).toThrow('SharedMemoryCache lock still held after 1000ms');
+
+      Atomics.store(lock, 0, 0);
+      expect(cache.get('key1')).toBe('value1');
+      expect(cache.has('key2')).toBe(false);
+    });
+  });
+
+  describe('worker_threads', () => {
+    test('should share lookup results between threads', async () => {
+      const positive = new SharedMemoryCache(64, 60000);
+      const negative = new SharedMemoryCache(64, 60000);
+      const workerData = {
+        positive: positive.buffer,
+        negative: negative.buffer,
+        ipAddress: '66.249.66.1',
+        providers: [
+          {
+            name: 'Googlebot',
+            ipv4: { addresses: [], ranges: ['66.249.64.0/19'] },
+            ipv6: { addresses: [], ranges: [] },
+          },
+        ],
+      };
+
+      const first = await runWorker(workerData);
+      const second = await runWorker(workerData);
+
+      expect(first).toMatchObject({ provider: 'Googlebot', stats: { hits: 0, misses: 1 } });
+      expect(second).toMatchObject({ provider: 'Googlebot', stats: { hits: 1, misses: 1 } });
+      expect(positive.get('66.249.66.1')).toBe('Googlebot');
+    });
+  });
+});
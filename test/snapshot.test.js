@@ -0,0 +1,148 @@
+/**
+ * Snapshot Tests
+ *
+ * Tests exportSnapshot() / importSnapshot(): handing one instance's reloaded provider data and
+ * metadata to another instance without reloading there.
+ */
+
+import {
+  createTrustedNetwork,
+  DATA_SOURCE_RELOAD,
+  DATA_SOURCE_SNAPSHOT,
+  PROVIDER_MODE_DENY,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_READY,
+} from '../src/index.js';
+
+const createFeed = (name, ranges, extra = {}) => {
+  const provider = {
+    name,
+    ipv4: { addresses: [], ranges: [] },
+    ipv6: { addresses: [], ranges: [] },
+    ...extra,
+  };
+  provider.reload = async () => {
+    provider.ipv4.ranges = [...ranges];
+  };
+  return provider;
+};
+
+describe('Snapshots', () => {
+  let parent;
+
+  beforeEach(async () => {
+    parent = createTrustedNetwork({
+      providers: [
+        createFeed('Stripe API', ['192.0.2.0/24'], { categories: ['payments'], priority: 1 }),
+        createFeed('Blocklist', ['198.51.100.0/24'], { mode: PROVIDER_MODE_DENY }),
+      ],
+    });
+    await parent.reloadAll();
+  });
+
+  test('should export a versioned document of every provider', () => {
+    const snapshot = parent.exportSnapshot();
+
+    expect(snapshot).toEqual({
+      version: 1,
+      createdAt: expect.any(Number),
+      providers: [
+        {
+          name: 'Stripe API',
+          categories: ['payments'],
+          priority: 1,
+          ipv4: { addresses: [], ranges: ['192.0.2.0/24'] },
+          ipv6: { addresses: [], ranges: [] },
+          metadata: {
+            state: PROVIDER_STATE_READY,
+            lastUpdated: parent.getProviderStatus('Stripe API').lastUpdated,
+            lastError: null,
+            source: DATA_SOURCE_RELOAD,
+            reloadSource: null,
+          },
+        },
+        expect.objectContaining({ name: 'Blocklist', mode: PROVIDER_MODE_DENY }),
+      ],
+    });
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  test('should restore the data of registered providers without reloading', () => {
+    const stripe = createFeed('Stripe API', ['203.0.113.0/24']);
+    const reload = stripe.reload;
+    const worker = createTrustedNetwork({ providers: [stripe, createFeed('Blocklist', [])] });
+
+    worker.importSnapshot(JSON.stringify(parent.exportSnapshot()));
+
+    expect(worker.getTrustedProvider('192.0.2.1')).toBe('Stripe API');
+    expect(worker.getTrustedProvider('198.51.100.1')).toBe('Blocklist');
+    expect(worker.getProviderStatus('Stripe API')).toMatchObject({
+      state: PROVIDER_STATE_READY,
+      lastUpdated: parent.getProviderStatus('Stripe API').lastUpdated,
+      source: DATA_SOURCE_SNAPSHOT,
+    });
+    expect(stripe.ipv4.ranges).toEqual(['192.0.2.0/24']);
+    expect(stripe.reload).toBe(reload);
+  });
+
+  test('should add providers that are not registered yet', () => {
+    const worker = createTrustedNetwork();
+
+    worker.importSnapshot(parent.exportSnapshot());
+
+    const providers = worker.getAllProviders();
+    expect(providers.map((provider) => provider.name)).toEqual(['Stripe API', 'Blocklist']);
+    expect(providers[1].mode).toBe(PROVIDER_MODE_DENY);
+    expect(providers[1]).not.toHaveProperty('reload');
+    expect(worker.getTrustedProvider('192.0.2.1')).toBe('Stripe API');
+  });
+
+  test('should drop cached results from before the import', () => {
+    const worker = createTrustedNetwork({ providers: [createFeed('Stripe API', [])] });
+    expect(worker.getTrustedProvider('192.0.2.1')).toBeNull();
+
+    worker.importSnapshot(parent.exportSnapshot());
+
+    expect(worker.getTrustedProvider('192.0.2.1')).toBe('Stripe API');
+  });
+
+  test('should carry the last error of failed providers', async () => {
+    const failing = createFeed('Failing', []);
+    failing.reload = async () => {
+      throw new Error('Upstream unavailable');
+    };
+    parent.addProvider(failing);
+    await parent.reloadAll();
+
+    const worker = createTrustedNetwork();
+    worker.importSnapshot(parent.exportSnapshot());
+
+    const status = worker.getProviderStatus('Failing');
+    expect(status.state).toBe(PROVIDER_STATE_ERROR);
+    expect(status.lastError).toBeInstanceOf(Error);
+    expect(status.lastError.message).toBe('Upstream unavailable');
+  });
+
+  test('should change nothing when any provider fails validation', () => {
+    const snapshot = parent.exportSnapshot();
+    snapshot.providers[1].ipv4.ranges.push('198.51.100.0/33');
+    const worker = createTrustedNetwork({ providers: [createFeed('Stripe API', [])] });
+
+    expect(() => worker.importSnapshot(snapshot)).toThrow(/Blocklist/);
+
+    expect(worker.getTrustedProvider('192.0.2.1')).toBeNull();
+    expect(worker.hasProvider('Blocklist')).toBe(false);
+    expect(worker.getProviderStatus('Stripe API').source).not.toBe(DATA_SOURCE_SNAPSHOT);
+  });
+
+  test('should reject documents that are not snapshots', () => {
+    const network = createTrustedNetwork();
+    const snapshot = parent.exportSnapshot();
+
+    expect(() => network.importSnapshot({ ...snapshot, version: 2 })).toThrow('Unsupported snapshot version: 2');
+    expect(() => network.importSnapshot({ version: 1 })).toThrow('Snapshot has no providers array');
+    expect(() =>
+      network.importSnapshot({ ...snapshot, providers: [snapshot.providers[0], snapshot.providers[0]] })
+    ).toThrow('Snapshot contains provider "Stripe API" more than once');
+  });
+});
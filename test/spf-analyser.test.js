@@ -184,7 +184,10 @@ describe('spfAnalyser', () => {
 
       await spfAnalyser('example.com', mockProvider);
 
-      expect(consoleSpy).toHaveBeenCalledWith('Not updating test-provider addresses because no SPF netblocks found');
+      expect(consoleSpy).toHaveBeenCalledWith('Not updating test-provider addresses because no SPF netblocks found', {
+        provider: 'test-provider',
+        domain: 'example.com',
+      });
       expect(mockResolveTxt).toHaveBeenCalledTimes(1); // Only main domain, no includes
 
       logger.setLevel('error'); // Reset to default
@@ -263,7 +266,11 @@ describe('spfAnalyser', () => {
 
       await expect(spfAnalyser('example.com', mockProvider)).rejects.toThrow('ENOTFOUND');
 
-      expect(consoleSpy).toHaveBeenCalledWith('Failed to analyse SPF records for test-provider: ENOTFOUND');
+      expect(consoleSpy).toHaveBeenCalledWith('Failed to analyse SPF records for test-provider: ENOTFOUND', {
+        provider: 'test-provider',
+        domain: 'example.com',
+        error: expect.any(Error),
+      });
 
       consoleSpy.mockRestore();
     });
@@ -281,7 +288,8 @@ describe('spfAnalyser', () => {
       await spfAnalyser('example.com', mockProvider);
 
       expect(consoleSpy).toHaveBeenCalledWith(
-        'Failed to resolve SPF include _spf.example.com for test-provider: DNS timeout'
+        'Failed to resolve SPF include _spf.example.com for test-provider: DNS timeout',
+        expect.objectContaining({ provider: 'test-provider', domain: '_spf.example.com' })
       );
 
       // Provider should have empty results (no successful DNS lookups)
@@ -308,7 +316,8 @@ describe('spfAnalyser', () => {
       await spfAnalyser('example.com', mockProvider);
 
       expect(consoleSpy).toHaveBeenCalledWith(
-        'Failed to resolve SPF include _spf2.example.com for test-provider: Include resolution failed'
+        'Failed to resolve SPF include _spf2.example.com for test-provider: Include resolution failed',
+        expect.objectContaining({ provider: 'test-provider', domain: '_spf2.example.com' })
       );
 
       // Should have results from the successful include only
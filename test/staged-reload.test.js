@@ -0,0 +1,173 @@
+/**
+ * Staged Reload Tests
+ *
+ * Tests that reloadAll() swaps in new provider data atomically: lookups keep using the
+ * previous data while a provider reloads, and keep it if the reload fails or produces
+ * invalid data.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  createTrustedNetwork,
+  PROVIDER_STATE_ERROR,
+  PROVIDER_STATE_LOADING,
+  PROVIDER_STATE_READY,
+} from '../src/index.js';
+
+const createFeed = (name, ranges, reload) => {
+  const provider = {
+    name,
+    ipv4: { addresses: [], ranges: [...ranges] },
+    ipv6: { addresses: [], ranges: [] },
+  };
+  provider.reload = () => reload(provider);
+  return provider;
+};
+
+describe('Staged Reloads', () => {
+  let network;
+
+  beforeEach(() => {
+    network = createTrustedNetwork();
+  });
+
+  test('should keep serving the previous data while a reload is in progress', async () => {
+    let finishReload;
+    const feed = createFeed('Feed', ['192.0.2.0/24'], async (provider) => {
+      provider.ipv4.ranges.length = 0;
+      await new Promise((resolve) => {
+        finishReload = resolve;
+      });
+      provider.ipv4.ranges.push('198.51.100.0/24');
+    });
+    network.addProvider(feed);
+
+    const reloading = network.reloadAll();
+    await Promise.resolve();
+
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_LOADING);
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+
+    finishReload();
+    await reloading;
+
+    expect(network.getTrustedProvider('192.0.2.1')).toBeNull();
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Feed');
+  });
+
+  test('should keep the previous data if the reload throws after clearing it', async () => {
+    const feed = createFeed('Feed', ['192.0.2.0/24'], async (provider) => {
+      provider.ipv4.ranges.length = 0;
+      throw new Error('Upstream unavailable');
+    });
+    network.addProvider(feed);
+
+    const results = await network.reloadAll();
+
+    expect(results).toEqual([{ status: 'rejected', reason: new Error('Upstream unavailable') }]);
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+    expect(feed.ipv4.ranges).toEqual(['192.0.2.0/24']);
+    expect(network.getProviderStatus('Feed').state).toBe(PROVIDER_STATE_ERROR);
+  });
+
+  test('should reject staged data that fails validation', async () => {
+    const errors = [];
+    network.on('error', ({ error }) => errors.push(error.message));
+
+    const feed = createFeed('Feed', ['192.0.2.0/24'], async (provider) => {
+      provider.ipv4.ranges = ['192.0.2.0/33'];
+    });
+    network.addProvider(feed);
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('rejected');
+    expect(errors).toEqual(['Provider "Feed" contains invalid CIDR ranges: 192.0.2.0/33']);
+    expect(network.getProviderStatus('Feed').lastError.message).toContain('invalid CIDR ranges');
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+    expect(feed.ipv4.ranges).toEqual(['192.0.2.0/24']);
+  });
+
+  test('should reject staged data with malformed address pools', async () => {
+    const feed = createFeed('Feed', ['192.0.2.0/24'], async (provider) => {
+      provider.ipv6 = { ranges: [] };
+    });
+    network.addProvider(feed);
+
+    const [result] = await network.reloadAll();
+
+    expect(result.status).toBe('rejected');
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Feed');
+  });
+
+  test('should only swap in data when every reload task succeeds', async () => {
+    const feed = createFeed('Multi Feed', ['192.0.2.0/24'], (provider) => {
+      provider.ipv4.ranges.length = 0;
+      return [
+        Promise.resolve().then(() => provider.ipv4.ranges.push('198.51.100.0/24')),
+        Promise.reject(new Error('Second endpoint failed')),
+      ];
+    });
+    network.addProvider(feed);
+
+    const results = await network.reloadAll();
+
+    expect(results).toHaveLength(1);
+    expect(results[0].status).toBe('rejected');
+    expect(network.getTrustedProvider('192.0.2.1')).toBe('Multi Feed');
+    expect(network.getTrustedProvider('198.51.100.1')).toBeNull();
+  });
+
+  test('should not let one instance reload data into another', async () => {
+    const other = createTrustedNetwork();
+    const feed = createFeed('Shared Feed', ['192.0.2.0/24'], async (provider) => {
+      provider.ipv4.ranges = ['198.51.100.0/24'];
+    });
+    network.addProvider(feed);
+    other.addProvider(feed);
+
+    await network.reloadAll();
+
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Shared Feed');
+    expect(other.getTrustedProvider('198.51.100.1')).toBeNull();
+    expect(other.getTrustedProvider('192.0.2.1')).toBe('Shared Feed');
+  });
+
+  test('should share a reload in progress between instances', async () => {
+    const other = createTrustedNetwork();
+    const reload = jest.fn(async (provider) => {
+      provider.ipv4.ranges.length = 0;
+      await Promise.resolve();
+      provider.ipv4.ranges.push('198.51.100.0/24', '203.0.113.0/24');
+    });
+    const feed = createFeed('Shared Feed', ['192.0.2.0/24'], reload);
+    network.addProvider(feed);
+    other.addProvider(feed);
+
+    await Promise.all([network.reloadAll(), other.reloadAll()]);
+
+    expect(reload).toHaveBeenCalledTimes(1);
+    expect(feed.ipv4.ranges).toEqual(['198.51.100.0/24', '203.0.113.0/24']);
+    for (const instance of [network, other]) {
+      expect(instance.getTrustedProvider('203.0.113.1')).toBe('Shared Feed');
+      expect(instance.getProviderStatus('Shared Feed').state).toBe(PROVIDER_STATE_READY);
+    }
+  });
+
+  test('should not let one instance refusing a shared reload affect another', async () => {
+    const other = createTrustedNetwork({ reloadThresholds: { maxGrowthPercent: 50 } });
+    const feed = createFeed('Shared Feed', ['192.0.2.0/24'], async (provider) => {
+      provider.ipv4.ranges.push('198.51.100.0/24');
+    });
+    network.addProvider(feed);
+    other.addProvider(feed);
+
+    const [[accepted], [refused]] = await Promise.all([network.reloadAll(), other.reloadAll()]);
+
+    expect(accepted.status).toBe('fulfilled');
+    expect(refused.status).toBe('rejected');
+    expect(network.getTrustedProvider('198.51.100.1')).toBe('Shared Feed');
+    expect(other.getTrustedProvider('198.51.100.1')).toBeNull();
+    expect(feed.ipv4.ranges).toEqual(['192.0.2.0/24', '198.51.100.0/24']);
+  });
+});
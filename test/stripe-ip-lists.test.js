@@ -0,0 +1,40 @@
+/**
+ * Stripe IP List Tests
+ *
+ * Tests the helper behind the Stripe providers: each provider parses the addresses under its own
+ * key, and rejects a list in any other shape.
+ */
+
+import { readFile } from 'node:fs/promises';
+import stripeApiProvider from '../src/providers/stripe-api.js';
+import stripeWebhooksProvider from '../src/providers/stripe-webhooks.js';
+
+const apiResponse = JSON.parse(await readFile(new URL('./fixtures/stripe-api-response.json', import.meta.url)));
+
+describe('Stripe IP lists', () => {
+  test('should parse the addresses under the list key', () => {
+    const { ipv4 } = stripeApiProvider.parseSource(apiResponse);
+
+    expect(ipv4.addresses).toEqual(apiResponse.API);
+    expect(ipv4.addresses).not.toBe(apiResponse.API);
+  });
+
+  test("should reject another list's key and malformed lists", () => {
+    expect(() => stripeWebhooksProvider.parseSource(apiResponse)).toThrow(
+      'Invalid response format from Stripe Webhooks'
+    );
+    expect(() => stripeApiProvider.parseSource({ API: [] })).toThrow('Invalid response format from Stripe API');
+    expect(() => stripeApiProvider.parseSource({ API: ['2001:db8::1'] })).toThrow(
+      'Invalid response format from Stripe API'
+    );
+  });
+
+  test('should fetch each list from its own URL', () => {
+    expect(stripeApiProvider.reloadSources.map(({ url }) => url)).toEqual([
+      'https://stripe.com/files/ips/ips_api.json',
+    ]);
+    expect(stripeWebhooksProvider.reloadSources.map(({ url }) => url)).toEqual([
+      'https://stripe.com/files/ips/ips_webhooks.json',
+    ]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Trusted Network Instance Tests
+ *
+ * Tests createTrustedNetwork(), which returns isolated instances with their own
+ * providers, metadata, caches, events and configuration.
+ */
+
+import trustedProviders, { createTrustedNetwork } from '../src/index.js';
+
+const createProvider = (name, ipv4 = {}, ipv6 = {}) => ({
+  name,
+  ipv4: { addresses: [], ranges: [], ...ipv4 },
+  ipv6: { addresses: [], ranges: [], ...ipv6 },
+});
+
+describe('createTrustedNetwork()', () => {
+  test('should create instances with the same API as the default export', () => {
+    const network = createTrustedNetwork();
+
+    for (const [key, value] of Object.entries(trustedProviders)) {
+      expect(typeof network[key]).toBe(typeof value);
+    }
+    expect(network).not.toBe(trustedProviders);
+  });
+
+  test('should keep provider registries separate', () => {
+    const strict = createTrustedNetwork();
+    const lenient = createTrustedNetwork();
+
+    strict.addProvider(createProvider('Payments', { addresses: ['192.0.2.10'] }));
+    lenient.addProvider(createProvider('Crawlers', { ranges: ['192.0.2.0/24'] }));
+
+    expect(strict.getTrustedProvider('192.0.2.10')).toBe('Payments');
+    expect(lenient.getTrustedProvider('192.0.2.10')).toBe('Crawlers');
+    expect(strict.getTrustedProvider('192.0.2.11')).toBeNull();
+    expect(strict.hasProvider('Crawlers')).toBe(false);
+    expect(trustedProviders.hasProvider('Payments')).toBe(false);
+  });
+
+  test('should keep result caches separate', () => {
+    const first = createTrustedNetwork();
+    const second = createTrustedNetwork();
+
+    expect(first.getTrustedProvider('198.51.100.1')).toBeNull();
+
+    second.addProvider(createProvider('Later', { ranges: ['198.51.100.0/24'] }));
+    expect(second.getTrustedProvider('198.51.100.1')).toBe('Later');
+    expect(first.getTrustedProvider('198.51.100.1')).toBeNull();
+  });
+
+  test('should keep events and metadata separate', async () => {
+    const first = createTrustedNetwork();
+    const second = createTrustedNetwork();
+    const firstEvents = [];
+    first.on('reload:success', ({ provider }) => firstEvents.push(provider));
+
+    second.addProvider({ ...createProvider('Reloading'), reload: async () => {} });
+    await second.reloadAll();
+
+    expect(firstEvents).toEqual([]);
+    expect(first.getProviderStatus('Reloading')).toBeNull();
+    expect(second.getProviderStatus('Reloading').lastUpdated).not.toBeNull();
+  });
+
+  test('should keep configuration separate', () => {
+    const network = createTrustedNetwork({ stalenessThresholdMs: 1000, resultCacheTtlMs: 2000 });
+
+    expect(network.getStalenessThreshold()).toBe(1000);
+    expect(network.getResultCacheTTL()).toBe(2000);
+    expect(trustedProviders.getStalenessThreshold()).toBe(24 * 60 * 60 * 1000);
+    expect(trustedProviders.getResultCacheTTL()).toBe(60 * 60 * 1000);
+  });
+
+  test('should ignore invalid configuration values', () => {
+    const network = createTrustedNetwork({ stalenessThresholdMs: -1, resultCacheTtlMs: 'soon' });
+
+    expect(network.getStalenessThreshold()).toBe(24 * 60 * 60 * 1000);
+    expect(network.getResultCacheTTL()).toBe(60 * 60 * 1000);
+  });
+
+  test('should register providers passed as options in order', () => {
+    const network = createTrustedNetwork({
+      providers: [
+        createProvider('First', { ranges: ['10.0.0.0/8'] }),
+        createProvider('Second', { ranges: ['10.0.0.0/16'] }),
+      ],
+    });
+
+    expect(network.getAllProviders().map((provider) => provider.name)).toEqual(['First', 'Second']);
+    expect(network.getTrustedProvider('10.0.0.1')).toBe('First');
+  });
+
+  test('should load the built-in providers when asked to', () => {
+    const network = createTrustedNetwork({ loadDefaultProviders: true });
+
+    expect(network.hasProvider('Cloudflare')).toBe(true);
+    expect(network.getTrustedProvider('104.16.0.1')).toBe('Cloudflare');
+    expect(createTrustedNetwork().getAllProviders()).toEqual([]);
+  });
+});
@@ -59,7 +59,32 @@ describe('TTLCache', () => {
     });
   });
 
+  describe('delete', () => {
+    test('should remove a single entry', () => {
+      const cache = new TTLCache(3, 60000);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+
+      expect(cache.delete('key1')).toBe(true);
+      expect(cache.delete('key1')).toBe(false);
+      expect(cache.get('key2')).toBe('value2');
+      expect(cache.size).toBe(1);
+    });
+  });
+
   describe('TTL expiration', () => {
+    test('should use a TTL given to set() instead of ttlMs', () => {
+      const cache = new TTLCache(10, 60000);
+      cache.set('key1', 'value1', 50);
+
+      const start = Date.now();
+      while (Date.now() - start < 60) {
+        // busy wait
+      }
+
+      expect(cache.get('key1')).toBeUndefined();
+    });
+
     test('should expire entries after ttlMs', () => {
       const cache = new TTLCache(10, 50); // 50ms TTL
       cache.set('key1', 'value1');
@@ -199,6 +224,33 @@ describe('TTLCache', () => {
     });
   });
 
+  describe('deleteWhere', () => {
+    test('should remove matching entries and return count', () => {
+      const cache = new TTLCache(10, 60000);
+      cache.set('key1', 'Googlebot');
+      cache.set('key2', null);
+      cache.set('key3', 'Stripe');
+
+      const removed = cache.deleteWhere((value) => value === null || value === 'Stripe');
+
+      expect(removed).toBe(2);
+      expect(cache.size).toBe(1);
+      expect(cache.get('key1')).toBe('Googlebot');
+      expect(cache.has('key2')).toBe(false);
+    });
+
+    test('should pass the key to the predicate', () => {
+      const cache = new TTLCache(10, 60000);
+      cache.set('192.0.2.1', 'A');
+      cache.set('192.0.2.1#payment', 'A');
+
+      cache.deleteWhere((value, key) => key.includes('#'));
+
+      expect(cache.has('192.0.2.1')).toBe(true);
+      expect(cache.has('192.0.2.1#payment')).toBe(false);
+    });
+  });
+
   describe('prune', () => {
     test('should remove expired entries and return count', () => {
       const cache = new TTLCache(10, 50); // 50ms TTL
@@ -271,6 +323,62 @@ describe('TTLCache', () => {
     });
   });
 
+  describe('getStats', () => {
+    test('should count hits, misses and evictions', () => {
+      const cache = new TTLCache(2, 60000);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+      cache.set('key3', 'value3');
+
+      cache.get('key3');
+      cache.get('key1');
+      cache.has('key2');
+
+      expect(cache.getStats()).toEqual({ size: 2, maxSize: 2, hits: 1, misses: 1, evictions: 1, expirations: 0 });
+    });
+
+    test('should count expired entries removed by get, has and prune', () => {
+      const cache = new TTLCache(10, 50);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+      cache.set('key3', 'value3');
+
+      const start = Date.now();
+      while (Date.now() - start < 60) {
+        // busy wait
+      }
+
+      cache.get('key1');
+      cache.has('key2');
+      cache.prune();
+
+      expect(cache.getStats()).toMatchObject({ size: 0, hits: 0, misses: 1, expirations: 3 });
+    });
+
+    test('should not count deleted or cleared entries', () => {
+      const cache = new TTLCache(10, 60000);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+
+      cache.deleteWhere((value) => value === 'value1');
+      cache.clear();
+
+      expect(cache.getStats()).toMatchObject({ evictions: 0, expirations: 0 });
+    });
+
+    test('should reset the counters but keep the entries', () => {
+      const cache = new TTLCache(1, 60000);
+      cache.set('key1', 'value1');
+      cache.set('key2', 'value2');
+      cache.get('key2');
+
+      cache.resetStats();
+
+      expect(cache.getStats()).toEqual({ size: 1, maxSize: 1, hits: 0, misses: 0, evictions: 0, expirations: 0 });
+      expect(cache.get('key2')).toBe('value2');
+    });
+  });
+
   describe('integration scenarios', () => {
     test('should handle complex access patterns with mixed expiry and eviction', () => {
       const cache = new TTLCache(4, 60000);
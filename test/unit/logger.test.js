@@ -195,10 +195,97 @@ describe('Logger', () => {
     });
   });
 
+  describe('setLogger', () => {
+    afterEach(() => {
+      logger.setLogger(null);
+    });
+
+    test('should send messages to a custom logger instead of the console', () => {
+      const customLogger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+      logger.setLogger(customLogger);
+
+      logger.error('Reload failed', { provider: 'Stripe API' });
+
+      expect(customLogger.error).toHaveBeenCalledWith('Reload failed', { provider: 'Stripe API' });
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('should still apply the log level', () => {
+      const customLogger = { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+      logger.setLogger(customLogger);
+
+      logger.debug('Reload: Stripe API');
+
+      expect(customLogger.debug).not.toHaveBeenCalled();
+    });
+
+    test('should go back to the console with null', () => {
+      logger.setLogger({ error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() });
+      logger.setLogger(null);
+
+      logger.error('error message');
+
+      expect(console.error).toHaveBeenCalledWith('error message');
+    });
+
+    test('should reject objects without every log function', () => {
+      expect(() => logger.setLogger({ error: jest.fn(), warn: jest.fn(), info: jest.fn() })).toThrow(
+        'Invalid logger: must have error, warn, info, debug functions'
+      );
+      expect(() => logger.setLogger(undefined)).toThrow('Invalid logger');
+    });
+  });
+
+  describe('createJsonLogger', () => {
+    let lines;
+    let jsonLogger;
+
+    beforeEach(() => {
+      lines = [];
+      jsonLogger = logger.createJsonLogger({ write: (line) => lines.push(line) });
+    });
+
+    test('should write one JSON object per line with the context fields', () => {
+      jsonLogger.warn('🛑 Rejected update for Stripe API', { provider: 'Stripe API', durationMs: 12 });
+
+      expect(lines).toHaveLength(1);
+      expect(lines[0].endsWith('\n')).toBe(true);
+      expect(JSON.parse(lines[0])).toEqual({
+        time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'warn',
+        msg: 'Rejected update for Stripe API',
+        provider: 'Stripe API',
+        durationMs: 12,
+      });
+    });
+
+    test('should serialise errors', () => {
+      const error = Object.assign(new Error('getaddrinfo ENOTFOUND stripe.com'), { code: 'ENOTFOUND' });
+
+      jsonLogger.error('Failed to reload Stripe API IPs', { provider: 'Stripe API', error });
+      jsonLogger.error('Failed:', error);
+
+      expect(JSON.parse(lines[0]).error).toEqual({
+        name: 'Error',
+        message: 'getaddrinfo ENOTFOUND stripe.com',
+        code: 'ENOTFOUND',
+      });
+      expect(JSON.parse(lines[1]).error.message).toBe('getaddrinfo ENOTFOUND stripe.com');
+    });
+
+    test('should skip calls without a message', () => {
+      jsonLogger.info();
+
+      expect(lines).toEqual([]);
+    });
+  });
+
   describe('default export', () => {
     test('should export all methods and constants', () => {
       expect(logger.setLevel).toBeDefined();
       expect(logger.getLevel).toBeDefined();
+      expect(logger.setLogger).toBeDefined();
+      expect(logger.createJsonLogger).toBeDefined();
       expect(logger.error).toBeDefined();
       expect(logger.warn).toBeDefined();
       expect(logger.info).toBeDefined();